@@ -0,0 +1,237 @@
+// English API messages. This is the reference bundle: every error code the API can return is
+// listed here, and other bundles fall back to it for anything they have not translated.
+// Messages may hold {placeholders} filled in from the params given with the code.
+
+const errors = {
+  // General
+  VALIDATION_FAILED: { error: 'Validation failed', message: 'Please check your input data' },
+  ROUTE_NOT_FOUND: { error: 'Route not found', message: 'The route {path} does not exist on this server.' },
+  INTERNAL_ERROR: { error: 'Something went wrong!', message: 'An unexpected error occurred' },
+  INVALID_JSON: { error: 'Invalid JSON', message: 'The request body is not valid JSON' },
+  PAYLOAD_TOO_LARGE: { error: 'Request too large', message: 'The request body is too large' },
+  TOO_MANY_REQUESTS: { error: 'Too many requests', message: 'Too many requests from this IP, please try again later.' },
+  TOO_MANY_ATTEMPTS: { error: 'Too many attempts', message: 'Too many attempts from this IP, please try again later.' },
+  INVALID_ID: { error: 'Invalid ID', message: 'The provided ID is not valid' },
+
+  // Authentication and authorization
+  AUTH_REQUIRED: { error: 'Authentication required', message: 'You must be logged in to access this resource' },
+  TOKEN_MISSING: { error: 'Access denied', message: 'No valid token provided. Please include Bearer token in Authorization header.' },
+  TOKEN_REQUIRED: { error: 'Access denied', message: 'Token is required' },
+  TOKEN_EXPIRED: { error: 'Token expired', message: 'Your access token has expired. Please refresh it or login again.' },
+  TOKEN_INVALID: { error: 'Invalid token', message: 'The provided token is invalid.' },
+  TOKEN_USER_NOT_FOUND: { error: 'Invalid token', message: 'User not found' },
+  PASSWORD_CHANGED: { error: 'Token expired', message: 'Your password was changed. Please login again.' },
+  SESSION_ENDED: { error: 'Session ended', message: 'Your session has ended. Please login again.' },
+  ACCOUNT_DEACTIVATED: { error: 'Account deactivated', message: 'Your account has been deactivated. Please contact support.' },
+  AUTHENTICATION_FAILED: { error: 'Authentication failed', message: 'An error occurred during authentication' },
+  INSUFFICIENT_PERMISSIONS: { error: 'Insufficient permissions', message: 'Access denied. Required role: {roles}. Your role: {role}' },
+  RESOURCE_ID_REQUIRED: { error: 'Resource ID required', message: 'Resource ID must be provided' },
+  NOT_RESOURCE_OWNER: { error: 'Access denied', message: 'You can only access your own resources' },
+  AUTHORIZATION_FAILED: { error: 'Authorization failed', message: 'An error occurred during authorization' },
+  EMAIL_NOT_VERIFIED: { error: 'Email not verified', message: 'Please verify your email address before uploading songs' },
+
+  // Accounts and sessions
+  USER_ALREADY_EXISTS: { error: 'User already exists', message: 'A user with this email already exists' },
+  INVALID_INVITE_CODE: { error: 'Invalid invite code', message: 'This invite code is invalid, expired, revoked or has already been used' },
+  REGISTRATION_FAILED: { error: 'Registration failed', message: 'An error occurred during registration' },
+  INVALID_CREDENTIALS: { error: 'Invalid credentials', message: 'Email or password is incorrect' },
+  LOGIN_FAILED: { error: 'Login failed', message: 'An error occurred during login' },
+  PASSWORD_RESET_REQUEST_FAILED: { error: 'Password reset request failed', message: 'An error occurred while requesting a password reset' },
+  INVALID_RESET_TOKEN: { error: 'Invalid or expired token', message: 'This password reset link is invalid or has expired. Please request a new one.' },
+  PASSWORD_RESET_FAILED: { error: 'Password reset failed', message: 'An error occurred while resetting the password' },
+  INVALID_VERIFICATION_TOKEN: { error: 'Invalid or expired token', message: 'This verification link is invalid or has expired. Please request a new one.' },
+  EMAIL_VERIFICATION_FAILED: { error: 'Email verification failed', message: 'An error occurred while verifying the email' },
+  EMAIL_ALREADY_VERIFIED: { error: 'Email already verified', message: 'Your email address has already been verified' },
+  VERIFICATION_EMAIL_TOO_SOON: { error: 'Too many requests', message: 'Please wait {seconds} seconds before requesting another verification email' },
+  VERIFICATION_EMAIL_NOT_SENT: { error: 'Email could not be sent', message: 'We could not send the verification email. Please try again later.' },
+  RESEND_VERIFICATION_FAILED: { error: 'Resend verification failed', message: 'An error occurred while sending the verification email' },
+  PROFILE_RETRIEVAL_FAILED: { error: 'Profile retrieval failed', message: 'An error occurred while retrieving profile' },
+  REFRESH_TOKEN_REUSED: { error: 'Refresh token reused', message: 'This refresh token was already used. The session has been ended for your security. Please login again.' },
+  REFRESH_TOKEN_SUPERSEDED: { error: 'Refresh token superseded', message: 'This refresh token was just exchanged by another request. Please use the newest refresh token.' },
+  INVALID_REFRESH_TOKEN: { error: 'Invalid refresh token', message: 'Your session has expired. Please login again.' },
+  TOKEN_REFRESH_FAILED: { error: 'Token refresh failed', message: 'An error occurred while refreshing token' },
+  LOGOUT_FAILED: { error: 'Logout failed', message: 'An error occurred during logout' },
+  SESSIONS_RETRIEVAL_FAILED: { error: 'Sessions retrieval failed', message: 'An error occurred while retrieving sessions' },
+  SESSION_NOT_FOUND: { error: 'Session not found', message: 'The requested session could not be found' },
+  INVALID_SESSION_ID: { error: 'Invalid session ID', message: 'The provided session ID is not valid' },
+  SESSION_REVOKE_FAILED: { error: 'Session revoke failed', message: 'An error occurred while revoking the session' },
+  SESSIONS_REVOKE_FAILED: { error: 'Sessions revoke failed', message: 'An error occurred while revoking sessions' },
+  PREFERENCES_UPDATE_FAILED: { error: 'Preferences update failed', message: 'An error occurred while updating preferences' },
+  STATS_RETRIEVAL_FAILED: { error: 'Stats retrieval failed', message: 'An error occurred while retrieving statistics' },
+
+  // Setup
+  SETUP_DISABLED: { error: 'Setup disabled', message: 'Admin setup is not enabled on this server' },
+  INVALID_SETUP_TOKEN: { error: 'Invalid setup token', message: 'A valid X-Setup-Token header is required' },
+  SETUP_ALREADY_COMPLETED: { error: 'Setup already completed', message: 'An admin account has already been set up. Use the admin tools to add more admins.' },
+  ADMIN_CREATION_FAILED: { error: 'Admin creation failed', message: 'An error occurred while creating admin user' },
+  SETUP_STATUS_FAILED: { error: 'Status check failed', message: 'Unable to check admin status' },
+
+  // Users
+  USER_NOT_FOUND: { error: 'User not found', message: 'The requested user could not be found' },
+  INVALID_USER_ID: { error: 'Invalid user ID', message: 'The provided user ID is not valid' },
+  USERS_RETRIEVAL_FAILED: { error: 'Users retrieval failed', message: 'An error occurred while retrieving users' },
+  USER_PROFILE_RETRIEVAL_FAILED: { error: 'User profile retrieval failed', message: 'An error occurred while retrieving user profile' },
+  NOT_PROFILE_OWNER: { error: 'Access denied', message: 'You can only edit your own profile' },
+  PROFILE_UPDATE_FAILED: { error: 'Profile update failed', message: 'An error occurred while updating profile' },
+  NO_IMAGE_PROVIDED: { error: 'No image provided', message: 'Please provide an image file' },
+  AVATAR_UPLOAD_FAILED: { error: 'Avatar upload failed', message: 'An error occurred while uploading avatar' },
+  NOT_STATISTICS_OWNER: { error: 'Access denied', message: 'You can only view your own statistics' },
+  USER_STATISTICS_RETRIEVAL_FAILED: { error: 'User statistics retrieval failed', message: 'An error occurred while retrieving user statistics' },
+  CANNOT_DEACTIVATE_SELF: { error: 'Cannot deactivate yourself', message: 'You cannot deactivate your own account' },
+  USER_STATUS_UPDATE_FAILED: { error: 'User status update failed', message: 'An error occurred while updating user status' },
+  CANNOT_CHANGE_OWN_ROLE: { error: 'Cannot change own role', message: 'You cannot change your own role' },
+  USER_ROLE_UPDATE_FAILED: { error: 'User role update failed', message: 'An error occurred while updating user role' },
+  NOT_ACCOUNT_OWNER: { error: 'Access denied', message: 'You can only delete your own account' },
+  CANNOT_DELETE_ADMIN: { error: 'Cannot delete admin account', message: 'Admin accounts cannot be deleted' },
+  ACCOUNT_DELETION_FAILED: { error: 'Account deletion failed', message: 'An error occurred while deleting account' },
+
+  // Songs
+  SONG_NOT_FOUND: { error: 'Song not found', message: 'The requested song could not be found' },
+  INVALID_SONG_ID: { error: 'Invalid song ID', message: 'The provided song ID is not valid' },
+  NOT_SONG_OWNER: { error: 'Access denied', message: 'You can only edit your own songs' },
+  SONGS_RETRIEVAL_FAILED: { error: 'Songs retrieval failed', message: 'An error occurred while retrieving songs' },
+  SONG_SUGGESTIONS_FAILED: { error: 'Song suggestions failed', message: 'An error occurred while retrieving suggestions' },
+  FEATURED_SONGS_RETRIEVAL_FAILED: { error: 'Featured songs retrieval failed', message: 'An error occurred while retrieving featured songs' },
+  POPULAR_SONGS_RETRIEVAL_FAILED: { error: 'Popular songs retrieval failed', message: 'An error occurred while retrieving popular songs' },
+  RECENT_SONGS_RETRIEVAL_FAILED: { error: 'Recent songs retrieval failed', message: 'An error occurred while retrieving recent songs' },
+  FAVORITE_SONGS_RETRIEVAL_FAILED: { error: 'Favorite songs retrieval failed', message: 'An error occurred while retrieving favorite songs' },
+  USER_SONGS_RETRIEVAL_FAILED: { error: 'User songs retrieval failed', message: 'An error occurred while retrieving user songs' },
+  SONG_RETRIEVAL_FAILED: { error: 'Song retrieval failed', message: 'An error occurred while retrieving the song' },
+  SIMILAR_SONGS_RETRIEVAL_FAILED: { error: 'Similar songs retrieval failed', message: 'An error occurred while retrieving similar songs' },
+  SONG_UPLOAD_FAILED: { error: 'Song upload failed', message: 'An error occurred while uploading the song' },
+  AUDIO_NOT_FOUND: { error: 'Audio file not found', message: 'The audio for this song is not available' },
+  RANGE_NOT_SATISFIABLE: { error: 'Range not satisfiable', message: 'The requested byte range is outside the audio file' },
+  SONG_STREAM_FAILED: { error: 'Song stream failed', message: 'An error occurred while streaming the song' },
+  NOT_SONG_OWNER_RESUBMIT: { error: 'Access denied', message: 'You can only resubmit your own songs' },
+  ONLY_REJECTED_RESUBMIT: { error: 'Invalid status transition', message: 'Only rejected songs can be resubmitted' },
+  SONG_RESUBMIT_FAILED: { error: 'Song resubmit failed', message: 'An error occurred while resubmitting the song' },
+  NO_CHANGES_PROVIDED: { error: 'No changes provided', message: 'Please provide at least one field to update' },
+  SONG_UPDATE_FAILED: { error: 'Song update failed', message: 'An error occurred while updating the song' },
+  AUDIO_REPLACEMENT_FAILED: { error: 'Audio replacement failed', message: 'An error occurred while replacing the audio file' },
+  COVER_REPLACEMENT_FAILED: { error: 'Cover replacement failed', message: 'An error occurred while replacing the cover image' },
+  PLAY_COUNT_UPDATE_FAILED: { error: 'Play count update failed', message: 'An error occurred while updating play count' },
+  SONG_RATING_FAILED: { error: 'Song rating failed', message: 'An error occurred while rating the song' },
+  SONG_RATINGS_RETRIEVAL_FAILED: { error: 'Song ratings retrieval failed', message: 'An error occurred while retrieving song ratings' },
+  FAVORITE_SONG_FAILED: { error: 'Favorite song failed', message: 'An error occurred while adding the song to favorites' },
+  UNFAVORITE_SONG_FAILED: { error: 'Unfavorite song failed', message: 'An error occurred while removing the song from favorites' },
+  NOT_SONG_OWNER_DELETE: { error: 'Access denied', message: 'You can only delete your own songs' },
+  SONG_DELETION_FAILED: { error: 'Song deletion failed', message: 'An error occurred while deleting the song' },
+
+  // Translations
+  TRANSLATION_EMPTY: { error: 'Empty translation', message: 'Please provide a title, artist or album for the translation' },
+  TRANSLATION_NOT_FOUND: { error: 'Translation not found', message: 'This song has no translation in {language}' },
+  TRANSLATION_UPDATE_FAILED: { error: 'Translation update failed', message: 'An error occurred while saving the translation' },
+  TRANSLATION_REMOVAL_FAILED: { error: 'Translation removal failed', message: 'An error occurred while removing the translation' },
+
+  // Lyrics and captions
+  INVALID_LRC: { error: 'Invalid LRC', message: 'Please fix the problems in the LRC lyrics' },
+  TIMED_LYRICS_UPDATE_FAILED: { error: 'Timed lyrics update failed', message: 'An error occurred while saving the timed lyrics' },
+  TIMED_LYRICS_NOT_FOUND: { error: 'Timed lyrics not found', message: 'This song has no timed lyrics' },
+  LYRICS_NOT_FOUND: { error: 'Lyrics not found', message: 'This song has no lyrics' },
+  LYRICS_RETRIEVAL_FAILED: { error: 'Lyrics retrieval failed', message: 'An error occurred while retrieving the lyrics' },
+  CAPTIONS_RETRIEVAL_FAILED: { error: 'Captions retrieval failed', message: 'An error occurred while retrieving captions' },
+  CAPTIONS_NOT_FOUND: { error: 'Captions not found', message: 'This song has no captions in {language}' },
+  SUBTITLES_NOT_FOUND: { error: 'Captions not found', message: 'This song has no subtitles in {language}' },
+  CAPTION_RETRIEVAL_FAILED: { error: 'Caption retrieval failed', message: 'An error occurred while retrieving the captions' },
+  INVALID_CAPTIONS: { error: 'Invalid captions', message: 'Please fix the problems in the {format} captions' },
+  CAPTION_UPLOAD_FAILED: { error: 'Caption upload failed', message: 'An error occurred while saving the captions' },
+  CAPTION_REMOVAL_FAILED: { error: 'Caption removal failed', message: 'An error occurred while removing the captions' },
+
+  // File uploads
+  AUDIO_FILE_REQUIRED: { error: 'Audio file required', message: 'Please provide an audio file' },
+  COVER_IMAGE_REQUIRED: { error: 'Cover image required', message: 'Please provide a cover image' },
+  SONG_FILE_TOO_LARGE: { error: 'File upload failed', message: 'File too large. Audio files must be under 100MB, images under 5MB' },
+  IMAGE_TOO_LARGE: { error: 'Image upload failed', message: 'Image too large. Maximum size is 5MB' },
+  TEXT_FILE_TOO_LARGE: { error: 'File upload failed', message: 'File too large. Maximum size is {maxSizeKb}KB' },
+  TOO_MANY_FILES: { error: 'File upload failed', message: 'Too many files. Send at most one file in each of these fields: {fields}' },
+  TOO_MANY_FIELDS: { error: 'File upload failed', message: 'Too many fields in request' },
+  UNEXPECTED_FILE_FIELD: { error: 'File upload failed', message: 'Unexpected file field. Allowed fields: {fields}' },
+  INVALID_FILE_FORMAT: { error: 'File upload failed', message: 'Invalid file format. Allowed formats: {formats}' },
+  AUDIO_TOO_LONG: { error: 'File upload failed', message: 'The audio is too long. Songs can be at most {maxMinutes} minutes' },
+  INVALID_AUDIO_CONTENT: { error: 'File upload failed', message: 'The content of "{fileName}" is not a supported audio format' },
+  INVALID_IMAGE_CONTENT: { error: 'File upload failed', message: 'The content of "{fileName}" is not a supported image format' },
+  FILE_UPLOAD_FAILED: { error: 'File upload failed', message: 'Upload error: {reason}' },
+  FILE_CHECK_FAILED: { error: 'File upload failed', message: 'An error occurred while checking the uploaded files' },
+  IMAGE_CHECK_FAILED: { error: 'Image upload failed', message: 'An error occurred while checking the uploaded image' },
+
+  // Playlists
+  PLAYLIST_NOT_FOUND: { error: 'Playlist not found', message: 'The requested playlist could not be found' },
+  NOT_PLAYLIST_OWNER: { error: 'Access denied', message: 'You can only modify your own playlists' },
+  PLAYLISTS_RETRIEVAL_FAILED: { error: 'Playlists retrieval failed', message: 'An error occurred while retrieving playlists' },
+  PUBLIC_PLAYLISTS_RETRIEVAL_FAILED: { error: 'Public playlists retrieval failed', message: 'An error occurred while retrieving public playlists' },
+  PLAYLIST_RETRIEVAL_FAILED: { error: 'Playlist retrieval failed', message: 'An error occurred while retrieving the playlist' },
+  PLAYLIST_CREATION_FAILED: { error: 'Playlist creation failed', message: 'An error occurred while creating the playlist' },
+  PLAYLIST_UPDATE_FAILED: { error: 'Playlist update failed', message: 'An error occurred while updating the playlist' },
+  PLAYLIST_DELETION_FAILED: { error: 'Playlist deletion failed', message: 'An error occurred while deleting the playlist' },
+  SONG_ALREADY_IN_PLAYLIST: { error: 'Song already in playlist', message: 'This song is already in the playlist' },
+  PLAYLIST_FULL: { error: 'Playlist full', message: 'A playlist can hold at most {max} songs' },
+  PLAYLIST_ADD_SONG_FAILED: { error: 'Adding song failed', message: 'An error occurred while adding the song to the playlist' },
+  SONG_NOT_IN_PLAYLIST: { error: 'Song not in playlist', message: 'This song is not in the playlist' },
+  PLAYLIST_REMOVE_SONG_FAILED: { error: 'Removing song failed', message: 'An error occurred while removing the song from the playlist' },
+  INVALID_PLAYLIST_ORDER: { error: 'Invalid order', message: 'songIds must list every song in the playlist exactly once' },
+  PLAYLIST_CHANGED: { error: 'Playlist changed', message: 'The playlist was modified while reordering. Please reload and try again.' },
+  PLAYLIST_REORDER_FAILED: { error: 'Playlist reorder failed', message: 'An error occurred while reordering the playlist' },
+
+  // Moderation
+  INVALID_STATUS_TRANSITION: { error: 'Invalid status transition', message: 'This action is not allowed for a song with status "{status}"' },
+  MODERATION_FAILED: { error: 'Moderation failed', message: 'An error occurred while moderating the song' },
+  NO_PENDING_REVISION: { error: 'No pending revision', message: 'This song has no edits awaiting review' },
+  REVISION_MODERATION_FAILED: { error: 'Moderation failed', message: 'An error occurred while reviewing the revision' },
+  MODERATION_QUEUE_RETRIEVAL_FAILED: { error: 'Moderation queue retrieval failed', message: 'An error occurred while retrieving the moderation queue' },
+  NOT_SONG_OWNER_HISTORY: { error: 'Access denied', message: 'You can only view the history of your own songs' },
+  MODERATION_HISTORY_RETRIEVAL_FAILED: { error: 'Moderation history retrieval failed', message: 'An error occurred while retrieving the moderation history' },
+
+  // Invites
+  INVITE_CREATION_FAILED: { error: 'Invite creation failed', message: 'An error occurred while creating the invite' },
+  INVITES_RETRIEVAL_FAILED: { error: 'Invites retrieval failed', message: 'An error occurred while retrieving invites' },
+  INVITE_NOT_FOUND: { error: 'Invite not found', message: 'The requested invite could not be found' },
+  INVITE_ALREADY_REVOKED: { error: 'Invite already revoked', message: 'This invite has already been revoked' },
+  INVALID_INVITE_ID: { error: 'Invalid invite ID', message: 'The provided invite ID is not valid' },
+  INVITE_REVOKE_FAILED: { error: 'Invite revoke failed', message: 'An error occurred while revoking the invite' },
+
+  // Admin
+  MEDIA_COLLECTION_IN_PROGRESS: { error: 'Collection in progress', message: 'A media collection is already running. Try again when it has finished.' },
+  MEDIA_COLLECTION_FAILED: { error: 'Media collection failed', message: 'An error occurred while collecting unused media' },
+  PLAY_ANOMALIES_RETRIEVAL_FAILED: { error: 'Play anomalies retrieval failed', message: 'An error occurred while retrieving play anomalies' },
+
+  // Listening history, charts and recommendations
+  RECENTLY_PLAYED_RETRIEVAL_FAILED: { error: 'Recently played retrieval failed', message: 'An error occurred while retrieving recently played songs' },
+  LISTENING_HISTORY_RETRIEVAL_FAILED: { error: 'Listening history retrieval failed', message: 'An error occurred while retrieving listening history' },
+  LISTENING_HISTORY_CLEAR_FAILED: { error: 'Listening history clear failed', message: 'An error occurred while clearing listening history' },
+  PLAY_BATCH_FAILED: { error: 'Play batch failed', message: 'An error occurred while recording plays' },
+  PLAY_START_IN_FUTURE: { error: 'Invalid start time', message: 'Start time is in the future' },
+  PLAY_START_TOO_OLD: { error: 'Invalid start time', message: 'Start time is more than {hours} hours ago' },
+  TRENDING_SONGS_RETRIEVAL_FAILED: { error: 'Trending songs retrieval failed', message: 'An error occurred while retrieving trending songs' },
+  FUTURE_CHART_DATE: { error: 'Invalid date', message: 'Charts are not available for future dates' },
+  CHART_NOT_PUBLISHED: { error: 'Chart not found', message: 'No chart was published for this period' },
+  CHART_RETRIEVAL_FAILED: { error: 'Chart retrieval failed', message: 'An error occurred while retrieving the chart' },
+  RECOMMENDATIONS_RETRIEVAL_FAILED: { error: 'Recommendations retrieval failed', message: 'An error occurred while retrieving recommendations' }
+};
+
+// Why a song was recommended, by reason code (see services/recommendations.js).
+// {language} is filled with a name from languageNames, lists like {tags} are joined for the locale.
+const reasons = {
+  SIMILAR_ARTIST: 'Also by {artist}',
+  SIMILAR_GENRE: 'Also {genre} music',
+  SIMILAR_TAGS: 'Also tagged {tags}',
+  SIMILAR_LANGUAGE: 'Also sung in {language}',
+  SIMILAR_ERA: 'Also from the {decade}s',
+  TASTE_ARTIST_PLAY: 'Because you listened to {artist}',
+  TASTE_ARTIST_FAVORITE: 'Because you added songs by {artist} to your favorites',
+  TASTE_ARTIST_RATING: 'Because you rated songs by {artist} highly',
+  TASTE_GENRE: 'Because you enjoy {genre} music',
+  TASTE_TAG: 'Because you enjoy songs tagged "{tag}"',
+  POPULAR: 'Popular with other listeners'
+};
+
+// Names of song languages (Song.language)
+const languageNames = {
+  en: 'English',
+  zh: 'Chinese'
+};
+
+module.exports = {
+  errors,
+  reasons,
+  languageNames
+};
@@ -0,0 +1,391 @@
+// Chinese (Simplified) API messages.
+// `errors` translates the error codes in en.js. `validation` translates the English messages of
+// input checks (express-validator, model validation, LRC and caption parsing) by their text;
+// a {placeholder} in a key matches any value, which is carried over into the translation.
+// `reasons` and `languageNames` translate the recommendation reasons in en.js by their code.
+
+const errors = {
+  // General
+  VALIDATION_FAILED: { error: '验证失败', message: '请检查您输入的内容' },
+  ROUTE_NOT_FOUND: { error: '路由不存在', message: '此服务器上不存在路由 {path}。' },
+  INTERNAL_ERROR: { error: '出错了！', message: '发生了意外错误' },
+  INVALID_JSON: { error: 'JSON 无效', message: '请求内容不是有效的 JSON' },
+  PAYLOAD_TOO_LARGE: { error: '请求过大', message: '请求内容太大' },
+  TOO_MANY_REQUESTS: { error: '请求过多', message: '此 IP 的请求过多，请稍后再试。' },
+  TOO_MANY_ATTEMPTS: { error: '尝试次数过多', message: '此 IP 的尝试次数过多，请稍后再试。' },
+  INVALID_ID: { error: 'ID 无效', message: '提供的 ID 无效' },
+
+  // Authentication and authorization
+  AUTH_REQUIRED: { error: '需要登录', message: '您必须登录才能访问此内容' },
+  TOKEN_MISSING: { error: '拒绝访问', message: '未提供有效的令牌。请在 Authorization 请求头中附上 Bearer 令牌。' },
+  TOKEN_REQUIRED: { error: '拒绝访问', message: '需要提供令牌' },
+  TOKEN_EXPIRED: { error: '令牌已过期', message: '您的访问令牌已过期。请刷新令牌或重新登录。' },
+  TOKEN_INVALID: { error: '令牌无效', message: '提供的令牌无效。' },
+  TOKEN_USER_NOT_FOUND: { error: '令牌无效', message: '找不到该用户' },
+  PASSWORD_CHANGED: { error: '令牌已过期', message: '您的密码已更改。请重新登录。' },
+  SESSION_ENDED: { error: '会话已结束', message: '您的会话已结束。请重新登录。' },
+  ACCOUNT_DEACTIVATED: { error: '账户已停用', message: '您的账户已被停用。请联系客服。' },
+  AUTHENTICATION_FAILED: { error: '身份验证失败', message: '身份验证时发生错误' },
+  INSUFFICIENT_PERMISSIONS: { error: '权限不足', message: '拒绝访问。需要的角色：{roles}。您的角色：{role}' },
+  RESOURCE_ID_REQUIRED: { error: '需要资源 ID', message: '必须提供资源 ID' },
+  NOT_RESOURCE_OWNER: { error: '拒绝访问', message: '您只能访问自己的内容' },
+  AUTHORIZATION_FAILED: { error: '授权失败', message: '检查权限时发生错误' },
+  EMAIL_NOT_VERIFIED: { error: '邮箱未验证', message: '上传歌曲前请先验证您的邮箱地址' },
+
+  // Accounts and sessions
+  USER_ALREADY_EXISTS: { error: '用户已存在', message: '已有用户使用此邮箱' },
+  INVALID_INVITE_CODE: { error: '邀请码无效', message: '此邀请码无效、已过期、已撤销或已被使用' },
+  REGISTRATION_FAILED: { error: '注册失败', message: '注册时发生错误' },
+  INVALID_CREDENTIALS: { error: '登录信息有误', message: '邮箱或密码不正确' },
+  LOGIN_FAILED: { error: '登录失败', message: '登录时发生错误' },
+  PASSWORD_RESET_REQUEST_FAILED: { error: '重置密码请求失败', message: '申请重置密码时发生错误' },
+  INVALID_RESET_TOKEN: { error: '链接无效或已过期', message: '此重置密码链接无效或已过期。请重新申请。' },
+  PASSWORD_RESET_FAILED: { error: '重置密码失败', message: '重置密码时发生错误' },
+  INVALID_VERIFICATION_TOKEN: { error: '链接无效或已过期', message: '此验证链接无效或已过期。请重新申请。' },
+  EMAIL_VERIFICATION_FAILED: { error: '邮箱验证失败', message: '验证邮箱时发生错误' },
+  EMAIL_ALREADY_VERIFIED: { error: '邮箱已验证', message: '您的邮箱地址已经验证过了' },
+  VERIFICATION_EMAIL_TOO_SOON: { error: '请求过多', message: '请等待 {seconds} 秒后再申请新的验证邮件' },
+  VERIFICATION_EMAIL_NOT_SENT: { error: '邮件无法发送', message: '我们无法发送验证邮件。请稍后再试。' },
+  RESEND_VERIFICATION_FAILED: { error: '重新发送验证邮件失败', message: '发送验证邮件时发生错误' },
+  PROFILE_RETRIEVAL_FAILED: { error: '获取个人资料失败', message: '获取个人资料时发生错误' },
+  REFRESH_TOKEN_REUSED: { error: '刷新令牌被重复使用', message: '此刷新令牌已被使用过。为了您的安全，会话已结束。请重新登录。' },
+  REFRESH_TOKEN_SUPERSEDED: { error: '刷新令牌已被替换', message: '此刷新令牌刚刚已被另一个请求使用，请使用最新的刷新令牌。' },
+  INVALID_REFRESH_TOKEN: { error: '刷新令牌无效', message: '您的会话已过期。请重新登录。' },
+  TOKEN_REFRESH_FAILED: { error: '刷新令牌失败', message: '刷新令牌时发生错误' },
+  LOGOUT_FAILED: { error: '退出登录失败', message: '退出登录时发生错误' },
+  SESSIONS_RETRIEVAL_FAILED: { error: '获取会话失败', message: '获取会话时发生错误' },
+  SESSION_NOT_FOUND: { error: '找不到会话', message: '找不到所请求的会话' },
+  INVALID_SESSION_ID: { error: '会话 ID 无效', message: '提供的会话 ID 无效' },
+  SESSION_REVOKE_FAILED: { error: '结束会话失败', message: '结束会话时发生错误' },
+  SESSIONS_REVOKE_FAILED: { error: '结束会话失败', message: '结束各个会话时发生错误' },
+  PREFERENCES_UPDATE_FAILED: { error: '更新偏好设置失败', message: '更新偏好设置时发生错误' },
+  STATS_RETRIEVAL_FAILED: { error: '获取统计数据失败', message: '获取统计数据时发生错误' },
+
+  // Setup
+  SETUP_DISABLED: { error: '设置未启用', message: '此服务器未启用管理员设置' },
+  INVALID_SETUP_TOKEN: { error: '设置令牌无效', message: '需要有效的 X-Setup-Token 请求头' },
+  SETUP_ALREADY_COMPLETED: { error: '设置已完成', message: '管理员账户已经设置好了。请使用管理工具添加更多管理员。' },
+  ADMIN_CREATION_FAILED: { error: '创建管理员失败', message: '创建管理员用户时发生错误' },
+  SETUP_STATUS_FAILED: { error: '状态检查失败', message: '无法检查管理员状态' },
+
+  // Users
+  USER_NOT_FOUND: { error: '找不到用户', message: '找不到所请求的用户' },
+  INVALID_USER_ID: { error: '用户 ID 无效', message: '提供的用户 ID 无效' },
+  USERS_RETRIEVAL_FAILED: { error: '获取用户失败', message: '获取用户时发生错误' },
+  USER_PROFILE_RETRIEVAL_FAILED: { error: '获取用户资料失败', message: '获取用户资料时发生错误' },
+  NOT_PROFILE_OWNER: { error: '拒绝访问', message: '您只能编辑自己的资料' },
+  PROFILE_UPDATE_FAILED: { error: '更新资料失败', message: '更新资料时发生错误' },
+  NO_IMAGE_PROVIDED: { error: '未提供图片', message: '请提供一个图片文件' },
+  AVATAR_UPLOAD_FAILED: { error: '上传头像失败', message: '上传头像时发生错误' },
+  NOT_STATISTICS_OWNER: { error: '拒绝访问', message: '您只能查看自己的统计数据' },
+  USER_STATISTICS_RETRIEVAL_FAILED: { error: '获取用户统计数据失败', message: '获取用户统计数据时发生错误' },
+  CANNOT_DEACTIVATE_SELF: { error: '不能停用自己', message: '您不能停用自己的账户' },
+  USER_STATUS_UPDATE_FAILED: { error: '更新用户状态失败', message: '更新用户状态时发生错误' },
+  CANNOT_CHANGE_OWN_ROLE: { error: '不能更改自己的角色', message: '您不能更改自己的角色' },
+  USER_ROLE_UPDATE_FAILED: { error: '更新用户角色失败', message: '更新用户角色时发生错误' },
+  NOT_ACCOUNT_OWNER: { error: '拒绝访问', message: '您只能删除自己的账户' },
+  CANNOT_DELETE_ADMIN: { error: '不能删除管理员账户', message: '管理员账户不能被删除' },
+  ACCOUNT_DELETION_FAILED: { error: '删除账户失败', message: '删除账户时发生错误' },
+
+  // Songs
+  SONG_NOT_FOUND: { error: '找不到歌曲', message: '找不到所请求的歌曲' },
+  INVALID_SONG_ID: { error: '歌曲 ID 无效', message: '提供的歌曲 ID 无效' },
+  NOT_SONG_OWNER: { error: '拒绝访问', message: '您只能编辑自己的歌曲' },
+  SONGS_RETRIEVAL_FAILED: { error: '获取歌曲失败', message: '获取歌曲时发生错误' },
+  SONG_SUGGESTIONS_FAILED: { error: '获取歌曲建议失败', message: '获取建议时发生错误' },
+  FEATURED_SONGS_RETRIEVAL_FAILED: { error: '获取精选歌曲失败', message: '获取精选歌曲时发生错误' },
+  POPULAR_SONGS_RETRIEVAL_FAILED: { error: '获取热门歌曲失败', message: '获取热门歌曲时发生错误' },
+  RECENT_SONGS_RETRIEVAL_FAILED: { error: '获取最新歌曲失败', message: '获取最新歌曲时发生错误' },
+  FAVORITE_SONGS_RETRIEVAL_FAILED: { error: '获取收藏歌曲失败', message: '获取收藏歌曲时发生错误' },
+  USER_SONGS_RETRIEVAL_FAILED: { error: '获取用户歌曲失败', message: '获取用户歌曲时发生错误' },
+  SONG_RETRIEVAL_FAILED: { error: '获取歌曲失败', message: '获取该歌曲时发生错误' },
+  SIMILAR_SONGS_RETRIEVAL_FAILED: { error: '获取相似歌曲失败', message: '获取相似歌曲时发生错误' },
+  SONG_UPLOAD_FAILED: { error: '上传歌曲失败', message: '上传歌曲时发生错误' },
+  AUDIO_NOT_FOUND: { error: '找不到音频文件', message: '这首歌的音频无法使用' },
+  RANGE_NOT_SATISFIABLE: { error: '请求范围无效', message: '请求的字节范围超出了音频文件' },
+  SONG_STREAM_FAILED: { error: '播放歌曲失败', message: '播放歌曲时发生错误' },
+  NOT_SONG_OWNER_RESUBMIT: { error: '拒绝访问', message: '您只能重新提交自己的歌曲' },
+  ONLY_REJECTED_RESUBMIT: { error: '状态变更无效', message: '只有被拒绝的歌曲才能重新提交' },
+  SONG_RESUBMIT_FAILED: { error: '重新提交歌曲失败', message: '重新提交歌曲时发生错误' },
+  NO_CHANGES_PROVIDED: { error: '没有提供修改', message: '请至少提供一项要修改的内容' },
+  SONG_UPDATE_FAILED: { error: '更新歌曲失败', message: '更新歌曲时发生错误' },
+  AUDIO_REPLACEMENT_FAILED: { error: '替换音频失败', message: '替换音频文件时发生错误' },
+  COVER_REPLACEMENT_FAILED: { error: '替换封面失败', message: '替换封面图片时发生错误' },
+  PLAY_COUNT_UPDATE_FAILED: { error: '更新播放次数失败', message: '更新播放次数时发生错误' },
+  SONG_RATING_FAILED: { error: '评分失败', message: '为歌曲评分时发生错误' },
+  SONG_RATINGS_RETRIEVAL_FAILED: { error: '获取歌曲评分失败', message: '获取歌曲评分时发生错误' },
+  FAVORITE_SONG_FAILED: { error: '收藏歌曲失败', message: '将歌曲加入收藏时发生错误' },
+  UNFAVORITE_SONG_FAILED: { error: '取消收藏失败', message: '将歌曲移出收藏时发生错误' },
+  NOT_SONG_OWNER_DELETE: { error: '拒绝访问', message: '您只能删除自己的歌曲' },
+  SONG_DELETION_FAILED: { error: '删除歌曲失败', message: '删除歌曲时发生错误' },
+
+  // Translations
+  TRANSLATION_EMPTY: { error: '翻译为空', message: '请为翻译提供歌名、歌手或专辑' },
+  TRANSLATION_NOT_FOUND: { error: '未找到翻译', message: '这首歌没有 {language} 的翻译' },
+  TRANSLATION_UPDATE_FAILED: { error: '更新翻译失败', message: '保存翻译时发生错误' },
+  TRANSLATION_REMOVAL_FAILED: { error: '删除翻译失败', message: '删除翻译时发生错误' },
+
+  // Lyrics and captions
+  INVALID_LRC: { error: 'LRC 歌词无效', message: '请修正 LRC 歌词中的问题' },
+  TIMED_LYRICS_UPDATE_FAILED: { error: '更新同步歌词失败', message: '保存同步歌词时发生错误' },
+  TIMED_LYRICS_NOT_FOUND: { error: '找不到同步歌词', message: '这首歌没有同步歌词' },
+  LYRICS_NOT_FOUND: { error: '找不到歌词', message: '这首歌没有歌词' },
+  LYRICS_RETRIEVAL_FAILED: { error: '获取歌词失败', message: '获取歌词时发生错误' },
+  CAPTIONS_RETRIEVAL_FAILED: { error: '获取字幕失败', message: '获取字幕列表时发生错误' },
+  CAPTIONS_NOT_FOUND: { error: '找不到字幕', message: '这首歌没有 {language} 的字幕（含声音描述）' },
+  SUBTITLES_NOT_FOUND: { error: '找不到字幕', message: '这首歌没有 {language} 的字幕' },
+  CAPTION_RETRIEVAL_FAILED: { error: '获取字幕失败', message: '获取字幕时发生错误' },
+  INVALID_CAPTIONS: { error: '字幕无效', message: '请修正 {format} 字幕中的问题' },
+  CAPTION_UPLOAD_FAILED: { error: '上传字幕失败', message: '保存字幕时发生错误' },
+  CAPTION_REMOVAL_FAILED: { error: '删除字幕失败', message: '删除字幕时发生错误' },
+
+  // File uploads
+  AUDIO_FILE_REQUIRED: { error: '需要音频文件', message: '请提供一个音频文件' },
+  COVER_IMAGE_REQUIRED: { error: '需要封面图片', message: '请提供一张封面图片' },
+  SONG_FILE_TOO_LARGE: { error: '文件上传失败', message: '文件太大。音频文件必须小于 100MB，图片必须小于 5MB' },
+  IMAGE_TOO_LARGE: { error: '图片上传失败', message: '图片太大。最大为 5MB' },
+  TEXT_FILE_TOO_LARGE: { error: '文件上传失败', message: '文件太大。最大为 {maxSizeKb}KB' },
+  TOO_MANY_FILES: { error: '文件上传失败', message: '文件太多。以下每个字段最多只能上传一个文件：{fields}' },
+  TOO_MANY_FIELDS: { error: '文件上传失败', message: '请求中的字段太多' },
+  UNEXPECTED_FILE_FIELD: { error: '文件上传失败', message: '不支持的文件字段。允许的字段：{fields}' },
+  INVALID_FILE_FORMAT: { error: '文件上传失败', message: '文件格式无效。支持的格式：{formats}' },
+  AUDIO_TOO_LONG: { error: '文件上传失败', message: '音频太长。歌曲最长为 {maxMinutes} 分钟' },
+  INVALID_AUDIO_CONTENT: { error: '文件上传失败', message: '“{fileName}”的内容不是支持的音频格式' },
+  INVALID_IMAGE_CONTENT: { error: '文件上传失败', message: '“{fileName}”的内容不是支持的图片格式' },
+  FILE_UPLOAD_FAILED: { error: '文件上传失败', message: '上传出错：{reason}' },
+  FILE_CHECK_FAILED: { error: '文件上传失败', message: '检查上传的文件时发生错误' },
+  IMAGE_CHECK_FAILED: { error: '图片上传失败', message: '检查上传的图片时发生错误' },
+
+  // Playlists
+  PLAYLIST_NOT_FOUND: { error: '找不到歌单', message: '找不到所请求的歌单' },
+  NOT_PLAYLIST_OWNER: { error: '拒绝访问', message: '您只能修改自己的歌单' },
+  PLAYLISTS_RETRIEVAL_FAILED: { error: '获取歌单失败', message: '获取歌单时发生错误' },
+  PUBLIC_PLAYLISTS_RETRIEVAL_FAILED: { error: '获取公开歌单失败', message: '获取公开歌单时发生错误' },
+  PLAYLIST_RETRIEVAL_FAILED: { error: '获取歌单失败', message: '获取该歌单时发生错误' },
+  PLAYLIST_CREATION_FAILED: { error: '创建歌单失败', message: '创建歌单时发生错误' },
+  PLAYLIST_UPDATE_FAILED: { error: '更新歌单失败', message: '更新歌单时发生错误' },
+  PLAYLIST_DELETION_FAILED: { error: '删除歌单失败', message: '删除歌单时发生错误' },
+  SONG_ALREADY_IN_PLAYLIST: { error: '歌曲已在歌单中', message: '这首歌已经在歌单里了' },
+  PLAYLIST_FULL: { error: '歌单已满', message: '一个歌单最多只能有 {max} 首歌' },
+  PLAYLIST_ADD_SONG_FAILED: { error: '添加歌曲失败', message: '将歌曲加入歌单时发生错误' },
+  SONG_NOT_IN_PLAYLIST: { error: '歌曲不在歌单中', message: '这首歌不在歌单里' },
+  PLAYLIST_REMOVE_SONG_FAILED: { error: '移除歌曲失败', message: '从歌单移除歌曲时发生错误' },
+  INVALID_PLAYLIST_ORDER: { error: '顺序无效', message: 'songIds 必须列出歌单中的每一首歌，且每首只出现一次' },
+  PLAYLIST_CHANGED: { error: '歌单已变更', message: '排序时歌单被修改了。请重新加载后再试。' },
+  PLAYLIST_REORDER_FAILED: { error: '歌单排序失败', message: '调整歌单顺序时发生错误' },
+
+  // Moderation
+  INVALID_STATUS_TRANSITION: { error: '状态变更无效', message: '状态为“{status}”的歌曲不能进行此操作' },
+  MODERATION_FAILED: { error: '审核失败', message: '审核歌曲时发生错误' },
+  NO_PENDING_REVISION: { error: '没有待审核的修改', message: '这首歌没有等待审核的修改' },
+  REVISION_MODERATION_FAILED: { error: '审核失败', message: '审核修改时发生错误' },
+  MODERATION_QUEUE_RETRIEVAL_FAILED: { error: '获取审核队列失败', message: '获取审核队列时发生错误' },
+  NOT_SONG_OWNER_HISTORY: { error: '拒绝访问', message: '您只能查看自己歌曲的历史记录' },
+  MODERATION_HISTORY_RETRIEVAL_FAILED: { error: '获取审核记录失败', message: '获取审核记录时发生错误' },
+
+  // Invites
+  INVITE_CREATION_FAILED: { error: '创建邀请失败', message: '创建邀请时发生错误' },
+  INVITES_RETRIEVAL_FAILED: { error: '获取邀请失败', message: '获取邀请时发生错误' },
+  INVITE_NOT_FOUND: { error: '找不到邀请', message: '找不到所请求的邀请' },
+  INVITE_ALREADY_REVOKED: { error: '邀请已撤销', message: '此邀请已经被撤销了' },
+  INVALID_INVITE_ID: { error: '邀请 ID 无效', message: '提供的邀请 ID 无效' },
+  INVITE_REVOKE_FAILED: { error: '撤销邀请失败', message: '撤销邀请时发生错误' },
+
+  // Admin
+  MEDIA_COLLECTION_IN_PROGRESS: { error: '清理正在进行', message: '媒体清理已在运行。请等它完成后再试。' },
+  MEDIA_COLLECTION_FAILED: { error: '媒体清理失败', message: '清理未使用的媒体时发生错误' },
+  PLAY_ANOMALIES_RETRIEVAL_FAILED: { error: '获取异常播放失败', message: '获取异常播放记录时发生错误' },
+
+  // Listening history, charts and recommendations
+  RECENTLY_PLAYED_RETRIEVAL_FAILED: { error: '获取最近播放失败', message: '获取最近播放的歌曲时发生错误' },
+  LISTENING_HISTORY_RETRIEVAL_FAILED: { error: '获取收听记录失败', message: '获取收听记录时发生错误' },
+  LISTENING_HISTORY_CLEAR_FAILED: { error: '清除收听记录失败', message: '清除收听记录时发生错误' },
+  PLAY_BATCH_FAILED: { error: '记录播放失败', message: '记录播放时发生错误' },
+  PLAY_START_IN_FUTURE: { error: '开始时间无效', message: '开始时间是未来的时间' },
+  PLAY_START_TOO_OLD: { error: '开始时间无效', message: '开始时间早于 {hours} 小时前' },
+  TRENDING_SONGS_RETRIEVAL_FAILED: { error: '获取流行歌曲失败', message: '获取流行歌曲时发生错误' },
+  FUTURE_CHART_DATE: { error: '日期无效', message: '无法查看未来日期的排行榜' },
+  CHART_NOT_PUBLISHED: { error: '未找到排行榜', message: '这个时期没有发布排行榜' },
+  CHART_RETRIEVAL_FAILED: { error: '获取排行榜失败', message: '获取排行榜时发生错误' },
+  RECOMMENDATIONS_RETRIEVAL_FAILED: { error: '获取推荐失败', message: '获取推荐时发生错误' }
+};
+
+const validation = {
+  // express-validator's message when a check has none of its own
+  'Invalid value': '值无效',
+
+  // Paging, sorting and filters
+  'Page must be a positive integer': '页码必须是正整数',
+  'Limit must be between 1 and {max}': '数量必须在 1 到 {max} 之间',
+  'Sort order must be asc or desc': '排序方向必须是 asc 或 desc',
+  'Sort by must be createdAt, playCount, favoriteCount, title, or artist': '排序字段必须是 createdAt、playCount、favoriteCount、title 或 artist',
+  'Search text must be between 1 and {max} characters': '搜索内容必须为 1 到 {max} 个字符',
+  'Search query cannot exceed {max} characters': '搜索内容不能超过 {max} 个字符',
+  'Genre filter cannot exceed {max} characters': '曲风筛选不能超过 {max} 个字符',
+  'Language filter must be en, zh, mixed, or other': '语言筛选必须是 en、zh、mixed 或 other',
+  'Role filter must be senior, contributor, or admin': '角色筛选必须是 senior、contributor 或 admin',
+  'isActive filter must be a boolean': 'isActive 筛选必须是布尔值',
+  'Transcription available filter must be true or false': '字幕筛选必须是 true 或 false',
+  'Period must be either current or last': '周期必须是 current 或 last',
+  'Date must be a valid date': '日期必须是有效的日期',
+  'From must be a valid date': '开始日期必须是有效的日期',
+  'To must be a valid date': '结束日期必须是有效的日期',
+  'Days must be between 1 and {max}': '天数必须在 1 到 {max} 之间',
+  'Format must be json, lrc, or plain': '格式必须是 json、lrc 或 plain',
+  'Format must be vtt, srt, json, or text': '格式必须是 vtt、srt、json 或 text',
+  'Format must be vtt or srt': '格式必须是 vtt 或 srt',
+
+  // Accounts
+  'Please provide a valid email': '请提供有效的邮箱地址',
+  'Name must be between {min} and {max} characters': '姓名必须为 {min} 到 {max} 个字符',
+  'Name is required': '姓名为必填项',
+  'Name cannot exceed {max} characters': '姓名不能超过 {max} 个字符',
+  'Email is required': '邮箱为必填项',
+  'Password is required': '密码为必填项',
+  'Password must be at least {min} characters long': '密码至少需要 {min} 个字符',
+  'Password must be at least {min} characters': '密码至少需要 {min} 个字符',
+  'Admin password must be at least {min} characters long': '管理员密码至少需要 {min} 个字符',
+  'Invite code must be between 1 and {max} characters': '邀请码必须为 1 到 {max} 个字符',
+  'Public registration is for senior accounts only. Contributor and admin accounts need an invite code.': '公开注册只能创建长者账户。贡献者和管理员账户需要邀请码。',
+  'Verification token is required': '需要提供验证令牌',
+  'Reset token is required': '需要提供重置令牌',
+  'Refresh token is required': '需要提供刷新令牌',
+  'Device name cannot exceed {max} characters': '设备名称不能超过 {max} 个字符',
+  'Language must be "en" or "zh"': '语言必须是 "en" 或 "zh"',
+  'Font size must be "small", "medium", or "large"': '字体大小必须是 "small"、"medium" 或 "large"',
+  'High contrast must be a boolean': '高对比度必须是布尔值',
+  'Notifications must be a boolean': '通知设置必须是布尔值',
+  'Bio cannot exceed {max} characters': '个人简介不能超过 {max} 个字符',
+  'Birth year must be between 1900 and current year': '出生年份必须在 1900 年到今年之间',
+  'Birth year must be after 1900': '出生年份必须在 1900 年之后',
+  'Birth year cannot be in the future': '出生年份不能是未来的年份',
+  'Role must be senior, contributor, or admin': '角色必须是 senior、contributor 或 admin',
+  'Role must be contributor or admin': '角色必须是 contributor 或 admin',
+  'isActive must be a boolean': 'isActive 必须是布尔值',
+
+  // Songs
+  'Song ID is not valid': '歌曲 ID 无效',
+  'A valid song ID is required': '需要有效的歌曲 ID',
+  'Title must be between 1 and {max} characters': '歌名必须为 1 到 {max} 个字符',
+  'Song title is required': '歌名为必填项',
+  'Title cannot exceed {max} characters': '歌名不能超过 {max} 个字符',
+  'Artist name must be between 1 and {max} characters': '歌手名必须为 1 到 {max} 个字符',
+  'Artist name is required': '歌手名为必填项',
+  'Artist name cannot exceed {max} characters': '歌手名不能超过 {max} 个字符',
+  'Album name cannot exceed {max} characters': '专辑名不能超过 {max} 个字符',
+  'Genre must be between 1 and {max} characters': '曲风必须为 1 到 {max} 个字符',
+  'Genre must be the genre of a published song': '曲风必须是已发布歌曲的曲风',
+  'Genre cannot exceed {max} characters': '曲风不能超过 {max} 个字符',
+  'Year must be between 1900 and next year': '年份必须在 1900 年到明年之间',
+  'Year must be after 1900': '年份必须在 1900 年之后',
+  'Year cannot be in the future': '年份不能是未来的年份',
+  'Duration must be between 1 and {max} seconds': '时长必须在 1 到 {max} 秒之间',
+  'Duration must be at least 1 second': '时长至少为 1 秒',
+  'Duration cannot exceed 2 hours': '时长不能超过 2 小时',
+  'Language must be one of: en, zh, mixed, other': '语言必须是以下之一：en、zh、mixed、other',
+  'Language must be en, zh, mixed, or other': '语言必须是 en、zh、mixed 或 other',
+  'Tags must be an array': '标签必须是数组',
+  'Each tag must be between 1 and {max} characters': '每个标签必须为 1 到 {max} 个字符',
+  'Tag cannot exceed {max} characters': '标签不能超过 {max} 个字符',
+  'Lyrics cannot exceed {max} characters': '歌词不能超过 {max} 个字符',
+  'Description cannot exceed {max} characters': '描述不能超过 {max} 个字符',
+  'Status must be approved, pending, or rejected': '状态必须是 approved、pending 或 rejected',
+  'Rating must be between 1 and 5': '评分必须在 1 到 5 之间',
+  'Rating is required': '评分为必填项',
+  'Review cannot exceed {max} characters': '评论不能超过 {max} 个字符',
+  'File size cannot exceed 100MB': '文件大小不能超过 100MB',
+
+  // Lyrics and captions
+  'Please provide LRC lyrics as text or as an .lrc file': '请以文字或 .lrc 文件提供 LRC 歌词',
+  'LRC lyrics must be between 1 and {max} characters': 'LRC 歌词必须为 1 到 {max} 个字符',
+  'Please provide captions as text or as a .vtt or .srt file': '请以文字或 .vtt、.srt 文件提供字幕',
+  'Captions must be between 1 and {max} characters': '字幕必须为 1 到 {max} 个字符',
+  'Language must be a language tag such as en, zh or zh-Hant': '语言必须是语言标签，例如 en、zh 或 zh-Hant',
+  'Language is required': '语言为必填项',
+  'Each language can only have one translation': '每种语言只能有一个翻译',
+  'Label must be between 1 and {max} characters': '标签名称必须为 1 到 {max} 个字符',
+  'Label cannot exceed {max} characters': '标签名称不能超过 {max} 个字符',
+  'Kind must be captions or subtitles': '类型必须是 captions 或 subtitles',
+  'LRC cannot exceed {max} characters': 'LRC 不能超过 {max} 个字符',
+  'Offset must be a whole number of milliseconds': '偏移量必须是整数毫秒',
+  'Invalid timestamp "{stamp}" - seconds must be below 60': '时间标记“{stamp}”无效——秒数必须小于 60',
+  'Line has no timestamp': '此行没有时间标记',
+  'Line cannot exceed {max} characters': '每行不能超过 {max} 个字符',
+  'Word timestamps must not go backwards': '逐字时间标记不能倒退',
+  'LRC must contain at least one timed line': 'LRC 至少要有一行带时间的歌词',
+  'LRC cannot have more than {max} timed lines': 'LRC 带时间的歌词不能超过 {max} 行',
+  'Timestamp {time} is after the end of the song': '时间标记 {time} 超出了歌曲的结尾',
+  'Cue has no timing line ("00:00:01.000 --> 00:00:04.000")': '字幕片段缺少时间行（“00:00:01.000 --> 00:00:04.000”）',
+  'Invalid cue timing "{timing}"': '字幕时间“{timing}”无效',
+  'Minutes and seconds in cue timings must be below 60': '字幕时间中的分钟和秒数必须小于 60',
+  'Cue must end after it starts': '字幕片段的结束时间必须晚于开始时间',
+  'Cue has no text': '字幕片段没有文字',
+  'Cue text cannot exceed {max} characters': '字幕片段的文字不能超过 {max} 个字符',
+  'Captions cannot exceed {max} characters': '字幕不能超过 {max} 个字符',
+  'WebVTT files must start with "WEBVTT"': 'WebVTT 文件必须以 "WEBVTT" 开头',
+  'Captions must contain at least one cue': '字幕至少要有一个片段',
+  'Captions cannot have more than {max} cues': '字幕片段不能超过 {max} 个',
+  'Cue ending at {time} is after the end of the song': '在 {time} 结束的字幕片段超出了歌曲的结尾',
+
+  // Playlists
+  'Playlist name must be between 1 and {max} characters': '歌单名称必须为 1 到 {max} 个字符',
+  'Playlist name is required': '歌单名称为必填项',
+  'Playlist name cannot exceed {max} characters': '歌单名称不能超过 {max} 个字符',
+  'Visibility must be public or private': '可见性必须是 public 或 private',
+  'Position must be a non-negative integer': '位置必须是非负整数',
+  'songIds must be an array': 'songIds 必须是数组',
+  'Each song ID must be valid': '每个歌曲 ID 都必须有效',
+
+  // Moderation, invites and admin
+  'Status must be pending, rejected, hidden, or revision': '状态必须是 pending、rejected、hidden 或 revision',
+  'Notes cannot exceed {max} characters': '备注不能超过 {max} 个字符',
+  'Note cannot exceed {max} characters': '备注不能超过 {max} 个字符',
+  'Status must be active, used, expired, or revoked': '状态必须是 active、used、expired 或 revoked',
+  'Maximum uses must be between 1 and {max}': '最多使用次数必须在 1 到 {max} 之间',
+  'Expiry must be between 1 and {max} days': '有效期必须在 1 到 {max} 天之间',
+  'An invite must allow at least 1 use': '邀请至少要允许使用 1 次',
+  'An invite cannot allow more than {max} uses': '邀请最多只能使用 {max} 次',
+  'dryRun must be a boolean': 'dryRun 必须是布尔值',
+  'Grace period must be between 1 and {max} hours': '宽限期必须在 1 到 {max} 小时之间',
+  'Minimum flagged plays must be a positive integer': '最少异常播放次数必须是正整数',
+
+  // Listening history
+  'Events must be an array of 1 to {max} plays': 'events 必须是包含 1 到 {max} 次播放的数组',
+  'Each event needs a valid song ID': '每次播放都需要有效的歌曲 ID',
+  'Client event ID must be between 1 and {max} characters': '客户端事件 ID 必须为 1 到 {max} 个字符',
+  'Client event ID cannot exceed {max} characters': '客户端事件 ID 不能超过 {max} 个字符',
+  'Start time must be a valid date': '开始时间必须是有效的日期',
+  'Start time cannot be in the future': '开始时间不能是未来的时间',
+  'Start time cannot be earlier than the seconds listened allow': '开始时间不能早于收听时长所允许的时间',
+  'Seconds listened must be between 0 and {max}': '收听秒数必须在 0 到 {max} 之间',
+  'Seconds listened cannot be negative': '收听秒数不能为负数',
+  'Seconds listened cannot exceed a day': '收听秒数不能超过一天',
+  'Completed must be a boolean': 'completed 必须是布尔值',
+  'Retention must be between 0 and {max} days': '保留天数必须在 0 到 {max} 天之间'
+};
+
+const reasons = {
+  SIMILAR_ARTIST: '同样由{artist}演唱',
+  SIMILAR_GENRE: '同样是{genre}音乐',
+  SIMILAR_TAGS: '同样带有标签{tags}',
+  SIMILAR_LANGUAGE: '同样用{language}演唱',
+  SIMILAR_ERA: '同样来自{decade}年代',
+  TASTE_ARTIST_PLAY: '因为您听过{artist}的歌',
+  TASTE_ARTIST_FAVORITE: '因为您收藏了{artist}的歌',
+  TASTE_ARTIST_RATING: '因为您给{artist}的歌打了高分',
+  TASTE_GENRE: '因为您喜欢{genre}音乐',
+  TASTE_TAG: '因为您喜欢带有“{tag}”标签的歌',
+  POPULAR: '深受其他听众喜爱'
+};
+
+const languageNames = {
+  en: '英语',
+  zh: '中文'
+};
+
+module.exports = {
+  errors,
+  validation,
+  reasons,
+  languageNames
+};
@@ -1,5 +1,40 @@
 const jwt = require('jsonwebtoken');
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
+const { normalizeEmail } = require('validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { localizeError } = require('../utils/i18n');
+
+// Helper function to load the user and session behind a verified access token.
+// Returns { user, session } or { failure } with the error code of why the token cannot be used.
+// JWT errors (expired, malformed) are thrown for the caller to handle.
+const resolveAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
+
+  // Find user and exclude password
+  const user = await User.findById(decoded.userId).select('-password');
+
+  if (!user) {
+    return { failure: 'TOKEN_USER_NOT_FOUND' };
+  }
+
+  if (!user.isActive) {
+    return { failure: 'ACCOUNT_DEACTIVATED' };
+  }
+
+  if (user.changedPasswordAfter(decoded.iat)) {
+    return { failure: 'PASSWORD_CHANGED' };
+  }
+
+  // Every access token belongs to a server-side session that can be revoked
+  const session = decoded.sessionId ? await Session.findById(decoded.sessionId) : null;
+
+  if (!session || !session.isActive() || session.user.toString() !== user._id.toString()) {
+    return { failure: 'SESSION_ENDED' };
+  }
+
+  return { user, session };
+};
 
 // Middleware to verify JWT token
 const authenticate = async (req, res, next) => {
@@ -7,65 +42,38 @@ const authenticate = async (req, res, next) => {
     const authHeader = req.header('Authorization');
     
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        error: 'Access denied',
-        message: 'No valid token provided. Please include Bearer token in Authorization header.'
-      });
+      return res.status(401).json(localizeError(req, 'TOKEN_MISSING'));
     }
 
     const token = authHeader.replace('Bearer ', '');
     
     if (!token) {
-      return res.status(401).json({
-        error: 'Access denied',
-        message: 'Token is required'
-      });
+      return res.status(401).json(localizeError(req, 'TOKEN_REQUIRED'));
     }
 
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
-      
-      // Find user and exclude password
-      const user = await User.findById(decoded.userId).select('-password');
-      
-      if (!user) {
-        return res.status(401).json({
-          error: 'Invalid token',
-          message: 'User not found'
-        });
-      }
+      const { user, session, failure } = await resolveAccessToken(token);
 
-      if (!user.isActive) {
-        return res.status(401).json({
-          error: 'Account deactivated',
-          message: 'Your account has been deactivated. Please contact support.'
-        });
+      if (failure) {
+        return res.status(401).json(localizeError(req, failure));
       }
 
-      // Add user to request object
+      // Add user and session to request object
       req.user = user;
+      req.authSession = session;
       next();
     } catch (jwtError) {
       if (jwtError.name === 'TokenExpiredError') {
-        return res.status(401).json({
-          error: 'Token expired',
-          message: 'Your session has expired. Please login again.'
-        });
+        return res.status(401).json(localizeError(req, 'TOKEN_EXPIRED'));
       } else if (jwtError.name === 'JsonWebTokenError') {
-        return res.status(401).json({
-          error: 'Invalid token',
-          message: 'The provided token is invalid.'
-        });
+        return res.status(401).json(localizeError(req, 'TOKEN_INVALID'));
       } else {
         throw jwtError;
       }
     }
   } catch (error) {
     console.error('Authentication error:', error);
-    res.status(500).json({
-      error: 'Authentication failed',
-      message: 'An error occurred during authentication'
-    });
+    res.status(500).json(localizeError(req, 'AUTHENTICATION_FAILED'));
   }
 };
 
@@ -73,17 +81,14 @@ const authenticate = async (req, res, next) => {
 const authorize = (...roles) => {
   return (req, res, next) => {
     if (!req.user) {
-      return res.status(401).json({
-        error: 'Authentication required',
-        message: 'You must be logged in to access this resource'
-      });
+      return res.status(401).json(localizeError(req, 'AUTH_REQUIRED'));
     }
 
     if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
-        error: 'Insufficient permissions',
-        message: `Access denied. Required role: ${roles.join(' or ')}. Your role: ${req.user.role}`
-      });
+      return res.status(403).json(localizeError(req, 'INSUFFICIENT_PERMISSIONS', {
+        roles: roles.join(' / '),
+        role: req.user.role
+      }));
     }
 
     next();
@@ -109,13 +114,13 @@ const optionalAuth = async (req, res, next) => {
     }
 
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
-      const user = await User.findById(decoded.userId).select('-password');
-      
-      if (user && user.isActive) {
-        req.user = user;
-      } else {
+      const { user, session, failure } = await resolveAccessToken(token);
+
+      if (failure) {
         req.user = null;
+      } else {
+        req.user = user;
+        req.authSession = session;
       }
     } catch (jwtError) {
       // Invalid token, but continue without user
@@ -135,10 +140,7 @@ const requireOwnershipOrAdmin = (resourceUserIdPath = 'uploadedBy') => {
   return async (req, res, next) => {
     try {
       if (!req.user) {
-        return res.status(401).json({
-          error: 'Authentication required',
-          message: 'You must be logged in to access this resource'
-        });
+        return res.status(401).json(localizeError(req, 'AUTH_REQUIRED'));
       }
 
       // Admins can access anything
@@ -150,10 +152,7 @@ const requireOwnershipOrAdmin = (resourceUserIdPath = 'uploadedBy') => {
       const resourceId = req.params.id;
       
       if (!resourceId) {
-        return res.status(400).json({
-          error: 'Resource ID required',
-          message: 'Resource ID must be provided'
-        });
+        return res.status(400).json(localizeError(req, 'RESOURCE_ID_REQUIRED'));
       }
 
       // This will be implemented per route as needed
@@ -162,31 +161,66 @@ const requireOwnershipOrAdmin = (resourceUserIdPath = 'uploadedBy') => {
         return next();
       }
 
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You can only access your own resources'
-      });
+      return res.status(403).json(localizeError(req, 'NOT_RESOURCE_OWNER'));
     } catch (error) {
       console.error('Ownership check error:', error);
-      res.status(500).json({
-        error: 'Authorization failed',
-        message: 'An error occurred during authorization'
-      });
+      res.status(500).json(localizeError(req, 'AUTHORIZATION_FAILED'));
     }
   };
 };
 
-// Middleware to rate limit sensitive operations
-const sensitiveOperationLimit = (req, res, next) => {
-  // This would typically integrate with express-rate-limit
-  // For now, just pass through
-  next();
+// Middleware to block unverified users when UPLOAD_REQUIRES_VERIFIED_EMAIL is enabled
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.UPLOAD_REQUIRES_VERIFIED_EMAIL !== 'true') {
+    return next();
+  }
+
+  // Admins are never blocked by this policy
+  if (req.user && (req.user.role === 'admin' || req.user.isEmailVerified)) {
+    return next();
+  }
+
+  return res.status(403).json(localizeError(req, 'EMAIL_NOT_VERIFIED'));
 };
 
+// Who a sensitive operation is limited for. Keying by account rather than IP keeps people
+// sharing one connection (e.g. a care home) from using up each other's attempts.
+const RATE_LIMIT_KEYS = {
+  ip: (req) => `ip:${ipKeyGenerator(req.ip)}`,
+  // The email address in the request body, before signing in (falls back to the IP without one).
+  // Normalized like the routes' normalizeEmail() validators, so "a.b+1@gmail.com" and
+  // "ab@gmail.com" - the same account - share one limit.
+  email: (req) => {
+    const raw = req.body && typeof req.body.email === 'string' ? req.body.email.trim() : '';
+    const email = raw ? normalizeEmail(raw) || raw.toLowerCase() : '';
+    return email ? `email:${email}` : RATE_LIMIT_KEYS.ip(req);
+  },
+  // The signed-in user (use after authenticate)
+  user: (req) => (req.user ? `user:${req.user._id}` : RATE_LIMIT_KEYS.ip(req))
+};
+
+// Attempts allowed per key in each window, and per IP where an IP limit backs up a per-account one
+// (higher, since people sharing a connection share it)
+const SENSITIVE_RATE_LIMIT_MAX = parseInt(process.env.SENSITIVE_RATE_LIMIT_MAX || '5');
+const SHARED_IP_RATE_LIMIT_MAX = parseInt(process.env.SENSITIVE_IP_RATE_LIMIT_MAX || '20');
+
+// Middleware factory to rate limit a sensitive operation (password reset, verification emails).
+// Each route creates its own limiter, so attempts at one operation never block another.
+const sensitiveOperationLimit = (keyBy = 'ip', { max = SENSITIVE_RATE_LIMIT_MAX } = {}) => rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max, // limit each key to this many attempts per windowMs
+  keyGenerator: RATE_LIMIT_KEYS[keyBy],
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: (req) => localizeError(req, 'TOO_MANY_ATTEMPTS')
+});
+
 module.exports = {
   authenticate,
   authorize,
   optionalAuth,
   requireOwnershipOrAdmin,
-  sensitiveOperationLimit
+  requireVerifiedEmail,
+  sensitiveOperationLimit,
+  SHARED_IP_RATE_LIMIT_MAX
 };
\ No newline at end of file
@@ -1,17 +1,20 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
+const { extractAudioMetadata } = require('../utils/audioMetadata');
+const { FILE_EXTENSIONS, detectFileType, detectFileTypeFromFile } = require('../utils/fileType');
+const { getStorage, buildKey } = require('../services/storage');
+const { localizeError } = require('../utils/i18n');
 
-// Create uploads directory if it doesn't exist
+// Uploads land in a local temp dir first, so they can be checked before going to storage
+const UPLOAD_TEMP_DIR = process.env.UPLOAD_TEMP_DIR || path.join('uploads', 'temp');
+
+// Create temp upload directory if it doesn't exist
 const createUploadDirs = async () => {
-  const dirs = ['uploads', 'uploads/audio', 'uploads/images', 'uploads/temp'];
-  
-  for (const dir of dirs) {
-    try {
-      await fs.mkdir(dir, { recursive: true });
-    } catch (error) {
-      console.error(`Error creating directory ${dir}:`, error);
-    }
+  try {
+    await fs.mkdir(UPLOAD_TEMP_DIR, { recursive: true });
+  } catch (error) {
+    console.error(`Error creating directory ${UPLOAD_TEMP_DIR}:`, error);
   }
 };
 
@@ -21,15 +24,7 @@ createUploadDirs();
 // Storage configuration
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    let uploadPath = 'uploads/temp';
-    
-    if (file.fieldname === 'audio') {
-      uploadPath = 'uploads/audio';
-    } else if (file.fieldname === 'coverImage') {
-      uploadPath = 'uploads/images';
-    }
-    
-    cb(null, uploadPath);
+    cb(null, UPLOAD_TEMP_DIR);
   },
   filename: (req, file, cb) => {
     // Generate unique filename with timestamp and random string
@@ -43,6 +38,9 @@ const storage = multer.diskStorage({
   }
 });
 
+// An upload error the client can fix, with its error code from locales/en.js
+const uploadError = (code, params = {}) => Object.assign(new Error(code), { code, params });
+
 // File filter for audio files
 const audioFileFilter = (req, file, cb) => {
   const allowedMimes = [
@@ -66,7 +64,7 @@ const audioFileFilter = (req, file, cb) => {
   if (allowedMimes.includes(file.mimetype) || allowedExtensions.includes(fileExtension)) {
     cb(null, true);
   } else {
-    cb(new Error(`Invalid audio format. Allowed formats: ${allowedExtensions.join(', ')}`), false);
+    cb(uploadError('INVALID_FILE_FORMAT', { formats: allowedExtensions.join(', ') }), false);
   }
 };
 
@@ -86,7 +84,7 @@ const imageFileFilter = (req, file, cb) => {
   if (allowedMimes.includes(file.mimetype) || allowedExtensions.includes(fileExtension)) {
     cb(null, true);
   } else {
-    cb(new Error(`Invalid image format. Allowed formats: ${allowedExtensions.join(', ')}`), false);
+    cb(uploadError('INVALID_FILE_FORMAT', { formats: allowedExtensions.join(', ') }), false);
   }
 };
 
@@ -97,10 +95,39 @@ const combinedFileFilter = (req, file, cb) => {
   } else if (file.fieldname === 'coverImage') {
     imageFileFilter(req, file, cb);
   } else {
-    cb(new Error('Invalid field name'), false);
+    cb(uploadError('UNEXPECTED_FILE_FIELD', { fields: '"audio", "coverImage"' }), false);
   }
 };
 
+// Check uploaded files against their real content. The client-sent mimetype and the
+// extension are only a first filter; a file is kept only if its magic bytes match the
+// kind expected for its field, and its mimetype and extension are replaced with the detected ones.
+// Returns an upload error ({ code, params }), or null when every file is valid.
+const verifyFileContents = async (files, expectedKinds) => {
+  for (const file of files) {
+    const expectedKind = expectedKinds[file.fieldname];
+    const detected = await detectFileTypeFromFile(file.path);
+
+    if (!detected || detected.kind !== expectedKind) {
+      return {
+        code: expectedKind === 'audio' ? 'INVALID_AUDIO_CONTENT' : 'INVALID_IMAGE_CONTENT',
+        params: { fileName: file.originalname }
+      };
+    }
+
+    file.mimetype = detected.mime;
+    file.extension = FILE_EXTENSIONS[detected.mime];
+  }
+  return null;
+};
+
+// Helper function to list every file multer stored for a request
+const uploadedFilesOf = (req) => {
+  if (req.file) return [req.file];
+  if (!req.files) return [];
+  return Object.values(req.files).flat();
+};
+
 // Multer configuration for song uploads
 const songUpload = multer({
   storage: storage,
@@ -121,110 +148,311 @@ const profileImageUpload = multer({
   fileFilter: imageFileFilter
 });
 
-// Middleware to handle song upload (audio + optional cover image)
-const uploadSongFiles = (req, res, next) => {
-  const upload = songUpload.fields([
-    { name: 'audio', maxCount: 1 },
-    { name: 'coverImage', maxCount: 1 }
-  ]);
-
-  upload(req, res, (err) => {
-    if (err instanceof multer.MulterError) {
-      let message = 'File upload error';
-      
-      switch (err.code) {
-        case 'LIMIT_FILE_SIZE':
-          message = 'File too large. Audio files must be under 100MB, images under 5MB';
-          break;
-        case 'LIMIT_FILE_COUNT':
-          message = 'Too many files. Maximum 1 audio file and 1 cover image allowed';
-          break;
-        case 'LIMIT_FIELD_COUNT':
-          message = 'Too many fields in request';
-          break;
-        case 'LIMIT_UNEXPECTED_FILE':
-          message = 'Unexpected file field. Only "audio" and "coverImage" fields are allowed';
-          break;
-        default:
-          message = `Upload error: ${err.message}`;
+// What each song file field holds, and the error code when it is required but missing
+const SONG_FILE_FIELDS = {
+  audio: {
+    kind: 'audio',
+    missingCode: 'AUDIO_FILE_REQUIRED'
+  },
+  coverImage: {
+    kind: 'image',
+    missingCode: 'COVER_IMAGE_REQUIRED'
+  }
+};
+
+// Helper function to build the response body for a failed upload: the coded errors of the
+// file filters, or the reason given by multer or the file system
+const uploadErrorBody = (req, err) => (err.params
+  ? localizeError(req, err.code, err.params)
+  : localizeError(req, 'FILE_UPLOAD_FAILED', { reason: err.message }));
+
+// Build a middleware that accepts the given song file fields and requires one of them
+const createSongFilesUpload = (fieldNames, requiredField) => {
+  const upload = songUpload.fields(fieldNames.map(name => ({ name, maxCount: 1 })));
+  const expectedKinds = Object.fromEntries(fieldNames.map(name => [name, SONG_FILE_FIELDS[name].kind]));
+
+  return (req, res, next) => {
+    upload(req, res, async (err) => {
+      if (err instanceof multer.MulterError) {
+        const fields = fieldNames.map(name => `"${name}"`).join(', ');
+        
+        switch (err.code) {
+          case 'LIMIT_FILE_SIZE':
+            return res.status(400).json(localizeError(req, 'SONG_FILE_TOO_LARGE'));
+          case 'LIMIT_FILE_COUNT':
+            return res.status(400).json(localizeError(req, 'TOO_MANY_FILES', { fields }));
+          case 'LIMIT_FIELD_COUNT':
+            return res.status(400).json(localizeError(req, 'TOO_MANY_FIELDS'));
+          case 'LIMIT_UNEXPECTED_FILE':
+            return res.status(400).json(localizeError(req, 'UNEXPECTED_FILE_FIELD', { fields }));
+          default:
+            return res.status(400).json(uploadErrorBody(req, err));
+        }
+      } else if (err) {
+        return res.status(400).json(uploadErrorBody(req, err));
       }
-      
-      return res.status(400).json({
-        error: 'File upload failed',
-        message: message
-      });
-    } else if (err) {
-      return res.status(400).json({
-        error: 'File upload failed',
-        message: err.message
-      });
-    }
 
-    // Check if audio file was provided
-    if (!req.files || !req.files.audio || req.files.audio.length === 0) {
-      return res.status(400).json({
-        error: 'Audio file required',
-        message: 'Please provide an audio file'
-      });
-    }
+      const uploadedFiles = uploadedFilesOf(req);
 
-    // Add file URLs to request
-    if (req.files.audio) {
-      req.audioFile = {
-        ...req.files.audio[0],
-        url: `/uploads/audio/${req.files.audio[0].filename}`
-      };
-    }
+      // Check if the required file was provided
+      if (!req.files || !req.files[requiredField] || req.files[requiredField].length === 0) {
+        await Promise.all(uploadedFiles.map(file => deleteFile(file.path)));
+        return res.status(400).json(localizeError(req, SONG_FILE_FIELDS[requiredField].missingCode));
+      }
 
-    if (req.files.coverImage) {
-      req.coverImage = {
-        ...req.files.coverImage[0],
-        url: `/uploads/images/${req.files.coverImage[0].filename}`
-      };
-    }
+      try {
+        const contentError = await verifyFileContents(uploadedFiles, expectedKinds);
+        if (contentError) {
+          await Promise.all(uploadedFiles.map(file => deleteFile(file.path)));
+          return res.status(400).json(localizeError(req, contentError.code, contentError.params));
+        }
+      } catch (error) {
+        console.error('File content check error:', error);
+        await Promise.all(uploadedFiles.map(file => deleteFile(file.path)));
+        return res.status(500).json(localizeError(req, 'FILE_CHECK_FAILED'));
+      }
 
-    next();
-  });
+      // Add file details to request - they are moved into storage once the song is saved
+      if (req.files.audio) {
+        req.audioFile = req.files.audio[0];
+      }
+
+      if (req.files.coverImage) {
+        req.coverImage = req.files.coverImage[0];
+      }
+
+      next();
+    });
+  };
 };
 
+// Middleware to handle song upload (audio + optional cover image)
+const uploadSongFiles = createSongFilesUpload(['audio', 'coverImage'], 'audio');
+
+// Middleware to handle replacing a song's audio file
+const uploadAudioFile = createSongFilesUpload(['audio'], 'audio');
+
+// Middleware to handle replacing a song's cover image
+const uploadCoverImage = createSongFilesUpload(['coverImage'], 'coverImage');
+
 // Middleware to handle profile image upload
 const uploadProfileImage = (req, res, next) => {
   const upload = profileImageUpload.single('avatar');
 
-  upload(req, res, (err) => {
-    if (err instanceof multer.MulterError) {
-      let message = 'Image upload error';
-      
-      switch (err.code) {
-        case 'LIMIT_FILE_SIZE':
-          message = 'Image too large. Maximum size is 5MB';
-          break;
-        default:
-          message = `Upload error: ${err.message}`;
-      }
-      
-      return res.status(400).json({
-        error: 'Image upload failed',
-        message: message
-      });
+  upload(req, res, async (err) => {
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json(localizeError(req, 'IMAGE_TOO_LARGE'));
     } else if (err) {
-      return res.status(400).json({
-        error: 'Image upload failed',
-        message: err.message
-      });
+      return res.status(400).json(uploadErrorBody(req, err));
     }
 
     if (req.file) {
-      req.uploadedImage = {
-        ...req.file,
-        url: `/uploads/images/${req.file.filename}`
-      };
+      try {
+        const contentError = await verifyFileContents([req.file], { avatar: 'image' });
+        if (contentError) {
+          await deleteFile(req.file.path);
+          return res.status(400).json(localizeError(req, contentError.code, contentError.params));
+        }
+      } catch (error) {
+        console.error('File content check error:', error);
+        await deleteFile(req.file.path);
+        return res.status(500).json(localizeError(req, 'IMAGE_CHECK_FAILED'));
+      }
+
+      req.uploadedImage = req.file;
     }
 
     next();
   });
 };
 
+// Read an uploaded text file. Most are UTF-8, but older Chinese ones are often GB18030 (GBK).
+const decodeTextFile = (buffer) => {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (error) {
+    return new TextDecoder('gb18030').decode(buffer);
+  }
+};
+
+// Build a middleware that accepts an optional small text file (lyrics, captions) in the given
+// field. Its text is put in req.body[bodyField], so uploading a file and pasting the text work the
+// same way. The file is kept in memory and never stored as a file.
+const createTextFileUpload = ({ fieldName, bodyField, extensions, maxSizeKb }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: maxSizeKb * 1024,
+      files: 1
+    },
+    fileFilter: (req, file, cb) => {
+      if (extensions.includes(path.extname(file.originalname).toLowerCase())) {
+        cb(null, true);
+      } else {
+        cb(uploadError('INVALID_FILE_FORMAT', { formats: extensions.join(', ') }), false);
+      }
+    }
+  }).single(fieldName);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json(localizeError(req, 'TEXT_FILE_TOO_LARGE', { maxSizeKb }));
+      } else if (err instanceof multer.MulterError && err.code === 'LIMIT_UNEXPECTED_FILE') {
+        return res.status(400).json(localizeError(req, 'UNEXPECTED_FILE_FIELD', { fields: `"${fieldName}"` }));
+      } else if (err) {
+        return res.status(400).json(uploadErrorBody(req, err));
+      }
+
+      if (req.file) {
+        req.body[bodyField] = decodeTextFile(req.file.buffer);
+      }
+
+      next();
+    });
+  };
+};
+
+// Middleware to accept an LRC lyrics file in the "lrc" field (or pasted text in body.lrc)
+const uploadLyricsFile = createTextFileUpload({
+  fieldName: 'lrc',
+  bodyField: 'lrc',
+  extensions: ['.lrc', '.txt'],
+  maxSizeKb: 512
+});
+
+// Middleware to accept a WebVTT or SRT captions file in the "captions" field (or pasted text in body.content)
+const uploadCaptionsFile = createTextFileUpload({
+  fieldName: 'captions',
+  bodyField: 'content',
+  extensions: ['.vtt', '.srt', '.txt'],
+  maxSizeKb: 512
+});
+
+// Longest song accepted, in seconds (Song.duration's maximum)
+const MAX_AUDIO_DURATION = 7200;
+
+// Helper function to turn away audio longer than a song may be, before anything is stored.
+// Returns true when the response has been sent.
+const rejectOverlongAudio = async (req, res, technical) => {
+  if (!technical.duration || Math.round(technical.duration) <= MAX_AUDIO_DURATION) return false;
+
+  await Promise.all(uploadedFilesOf(req).map(file => deleteFile(file.path)));
+  res.status(400).json(localizeError(req, 'AUDIO_TOO_LONG', { maxMinutes: MAX_AUDIO_DURATION / 60 }));
+  return true;
+};
+
+// Middleware to read the uploaded audio file and fill in song details from it.
+// Sets req.audioMetadata (duration, bitrate, sample rate...), pre-fills missing text fields
+// from the file's tags, and uses an embedded picture as cover when none was uploaded.
+const populateFromAudioMetadata = async (req, res, next) => {
+  if (!req.audioFile) return next();
+
+  let metadata;
+  try {
+    metadata = await extractAudioMetadata(req.audioFile.path, req.audioFile.mimetype);
+  } catch (error) {
+    // Unreadable tags should not block an upload - the contributor's details are used as-is
+    console.error('Audio metadata extraction error:', error.message);
+    return next();
+  }
+
+  const { technical, tags, picture } = metadata;
+  if (await rejectOverlongAudio(req, res, technical)) return;
+  req.audioMetadata = technical;
+
+  // Fill in text fields the contributor left empty, trimmed to the song field limits
+  const fieldLimits = { title: 200, artist: 100, album: 100, genre: 50 };
+  Object.entries(fieldLimits).forEach(([field, maxLength]) => {
+    const current = req.body[field];
+    if ((current === undefined || String(current).trim() === '') && tags[field]) {
+      req.body[field] = tags[field].substring(0, maxLength);
+    }
+  });
+
+  if (!req.body.year && tags.year) {
+    req.body.year = String(tags.year);
+  }
+
+  // The measured duration is more reliable than a typed-in one
+  if (technical.duration) {
+    req.body.duration = String(Math.max(1, Math.round(technical.duration)));
+  }
+
+  // An embedded picture is checked like an uploaded cover: by its bytes, not the type its tag claims
+  const coverType = picture ? detectFileType(picture.data) : null;
+  if (!req.coverImage && coverType && coverType.kind === 'image' && picture.data.length <= 5 * 1024 * 1024) {
+    const coverExtension = FILE_EXTENSIONS[coverType.mime];
+    try {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      const filename = `embedded-cover-${uniqueSuffix}${coverExtension}`;
+      const filepath = path.join(UPLOAD_TEMP_DIR, filename);
+
+      await fs.writeFile(filepath, picture.data);
+
+      const coverFile = {
+        fieldname: 'coverImage',
+        originalname: `embedded-cover${coverExtension}`,
+        mimetype: coverType.mime,
+        extension: coverExtension,
+        filename,
+        path: filepath,
+        size: picture.data.length
+      };
+
+      // Register with req.files so cleanupFiles removes it if the upload fails
+      req.files.coverImage = [coverFile];
+      req.coverImage = coverFile;
+    } catch (error) {
+      console.error('Embedded cover extraction error:', error.message);
+    }
+  }
+
+  next();
+};
+
+// Middleware to read only the technical details (duration, bitrate...) of an uploaded audio
+// file into req.audioMetadata - used when replacing audio, where tags and pictures are ignored
+const readAudioDetails = async (req, res, next) => {
+  if (!req.audioFile) return next();
+
+  let technical;
+  try {
+    ({ technical } = await extractAudioMetadata(req.audioFile.path, req.audioFile.mimetype));
+  } catch (error) {
+    console.error('Audio metadata extraction error:', error.message);
+    return next();
+  }
+
+  if (await rejectOverlongAudio(req, res, technical)) return;
+  req.audioMetadata = technical;
+  next();
+};
+
+// Move a checked upload from the temp dir into storage under "<folder>/...", named with the
+// extension of its detected type.
+// Returns { key, url }; the file is remembered so cleanupFiles can remove it again.
+const persistUpload = async (file, folder) => {
+  const key = buildKey(folder, file.originalname, file.extension);
+  const fileStorage = getStorage();
+
+  await fileStorage.putFile(key, file.path, { contentType: file.mimetype });
+  file.storageKey = key;
+
+  return { key, url: fileStorage.getUrl(key) };
+};
+
+// Utility function to delete a file from storage
+const deleteStoredFile = async (key) => {
+  if (!key) return;
+  try {
+    await getStorage().remove(key);
+    console.log(`Deleted stored file: ${key}`);
+  } catch (error) {
+    console.error(`Error deleting stored file ${key}:`, error);
+  }
+};
+
 // Utility function to delete file
 const deleteFile = async (filepath) => {
   try {
@@ -238,17 +466,13 @@ const deleteFile = async (filepath) => {
 // Cleanup middleware for failed uploads
 const cleanupFiles = (req, res, next) => {
   const cleanup = async () => {
-    if (req.files) {
-      if (req.files.audio) {
-        await deleteFile(req.files.audio[0].path);
-      }
-      if (req.files.coverImage) {
-        await deleteFile(req.files.coverImage[0].path);
+    for (const file of uploadedFilesOf(req)) {
+      if (file.storageKey) {
+        await deleteStoredFile(file.storageKey);
+      } else {
+        await deleteFile(file.path);
       }
     }
-    if (req.file) {
-      await deleteFile(req.file.path);
-    }
   };
 
   // Store cleanup function for later use
@@ -258,7 +482,16 @@ const cleanupFiles = (req, res, next) => {
 
 module.exports = {
   uploadSongFiles,
+  uploadAudioFile,
+  uploadCoverImage,
+  populateFromAudioMetadata,
+  readAudioDetails,
   uploadProfileImage,
+  uploadLyricsFile,
+  uploadCaptionsFile,
   cleanupFiles,
-  deleteFile
-};
\ No newline at end of file
+  persistUpload,
+  deleteFile,
+  deleteStoredFile,
+  UPLOAD_TEMP_DIR
+};
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+const cueSchema = new mongoose.Schema({
+  start: Number, // Milliseconds from the start of the song
+  end: Number,
+  text: String
+}, { _id: false });
+
+// A change to a caption track waiting for moderation (see Song.submitRevision)
+const captionRevisionSchema = new mongoose.Schema({
+  removal: {
+    type: Boolean,
+    default: false
+  },
+  label: String,
+  cues: {
+    type: [cueSchema],
+    default: undefined
+  },
+  sourceFormat: {
+    type: String,
+    enum: ['vtt', 'srt']
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedAt: Date
+}, { _id: false });
+
+// A caption track of a song in one language, stored as cues so it can be served as WebVTT or SRT
+const captionSchema = new mongoose.Schema({
+  song: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Song',
+    required: [true, 'Song is required']
+  },
+  language: {
+    type: String, // BCP 47 tag, e.g. "en" or "zh-Hant"
+    required: [true, 'Language is required'],
+    trim: true
+  },
+  label: {
+    type: String, // Shown in the player's caption menu, e.g. "English"
+    trim: true,
+    maxlength: [50, 'Label cannot exceed 50 characters']
+  },
+  kind: {
+    type: String,
+    enum: ['captions', 'subtitles'], // Captions also describe sounds; subtitles only the words
+    default: 'captions'
+  },
+  cues: [cueSchema],
+  sourceFormat: {
+    type: String,
+    enum: ['vtt', 'srt']
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // False until the first version of a track added to a reviewed song is approved
+  published: {
+    type: Boolean,
+    default: true
+  },
+  // Only visible to the owner and admins, so it is not selected by default
+  pendingRevision: {
+    type: captionRevisionSchema,
+    default: null,
+    select: false
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+// One track per language and kind for each song
+captionSchema.index({ song: 1, language: 1, kind: 1 }, { unique: true });
+
+// Tracks that are served (tracks saved before review existed have no published flag)
+const PUBLISHED = { published: { $ne: false } };
+
+captionSchema.statics.PUBLISHED = PUBLISHED;
+
+// Static method to set Song.accessibility.transcriptionAvailable from whether the song has any published captions
+captionSchema.statics.syncTranscriptionFlag = async function(songId) {
+  const transcriptionAvailable = Boolean(await this.exists({ song: songId, ...PUBLISHED }));
+
+  const Song = mongoose.model('Song');
+  await Song.updateOne(
+    { _id: songId },
+    { $set: { 'accessibility.transcriptionAvailable': transcriptionAvailable } }
+  );
+
+  return transcriptionAvailable;
+};
+
+// Static method to queue a new version of a track, or its removal, for moderation.
+// A track the song does not have yet is created unpublished. Returns the caption.
+captionSchema.statics.submitRevision = async function({ song, language, kind }, revision, userId) {
+  return this.findOneAndUpdate(
+    { song, language, kind },
+    {
+      $set: { pendingRevision: { ...revision, submittedBy: userId, submittedAt: new Date() } },
+      $setOnInsert: { published: false, label: revision.label, uploadedBy: userId }
+    },
+    { upsert: true, new: true, runValidators: true }
+  ).select('+pendingRevision');
+};
+
+// Static method to make a song's pending caption changes live (when its revision is approved)
+captionSchema.statics.applyRevisions = async function(songId) {
+  const captions = await this.find({ song: songId, 'pendingRevision.submittedAt': { $ne: null } })
+    .select('+pendingRevision');
+
+  for (const caption of captions) {
+    const revision = caption.pendingRevision;
+    if (revision.removal) {
+      await caption.deleteOne();
+      continue;
+    }
+
+    caption.set({
+      label: revision.label,
+      cues: revision.cues,
+      sourceFormat: revision.sourceFormat,
+      uploadedBy: revision.submittedBy,
+      published: true,
+      pendingRevision: null
+    });
+    await caption.save();
+  }
+
+  return this.syncTranscriptionFlag(songId);
+};
+
+// Static method to throw away a song's pending caption changes (when its revision is rejected)
+captionSchema.statics.discardRevisions = async function(songId) {
+  await this.deleteMany({ song: songId, published: false });
+  await this.updateMany({ song: songId, 'pendingRevision.submittedAt': { $ne: null } }, { $set: { pendingRevision: null } });
+};
+
+module.exports = mongoose.model('Caption', captionSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// The ranking of a completed week or month, stored so it stays the same once published
+const chartSnapshotSchema = new mongoose.Schema({
+  period: {
+    type: String,
+    enum: ['weekly', 'monthly'],
+    required: [true, 'Chart period is required']
+  },
+  periodStart: {
+    type: Date,
+    required: [true, 'Period start is required']
+  },
+  periodEnd: {
+    type: Date, // Exclusive
+    required: [true, 'Period end is required']
+  },
+  // Filters the chart was built with; "all" when not filtered
+  language: {
+    type: String,
+    default: 'all'
+  },
+  genre: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: 'all'
+  },
+  entries: [{
+    _id: false,
+    rank: Number,
+    song: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Song'
+    },
+    score: Number,
+    plays: Number,
+    favorites: Number,
+    ratings: Number,
+    previousRank: Number, // Rank in the period before, null if the song was not in that chart
+    movement: {
+      type: String,
+      enum: ['up', 'down', 'same', 'new']
+    }
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+chartSnapshotSchema.index({ period: 1, periodStart: -1, language: 1, genre: 1 }, { unique: true });
+
+module.exports = mongoose.model('ChartSnapshot', chartSnapshotSchema);
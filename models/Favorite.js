@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const favoriteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  song: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Song',
+    required: [true, 'Song is required']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// A user can favorite a song only once
+favoriteSchema.index({ user: 1, song: 1 }, { unique: true });
+favoriteSchema.index({ user: 1, createdAt: -1 });
+favoriteSchema.index({ song: 1 });
+favoriteSchema.index({ createdAt: -1 });
+
+// Add a favorite and bump Song.stats.favoriteCount only when a new record was stored
+favoriteSchema.statics.addFavorite = async function(userId, songId) {
+  let created = false;
+
+  try {
+    const result = await this.updateOne(
+      { user: userId, song: songId },
+      { $setOnInsert: { user: userId, song: songId, createdAt: new Date() } },
+      { upsert: true }
+    );
+    created = result.upsertedCount === 1;
+  } catch (error) {
+    // Concurrent request inserted the same favorite first
+    if (error.code !== 11000) throw error;
+  }
+
+  if (created) {
+    const Song = mongoose.model('Song');
+    await Song.updateOne({ _id: songId }, { $inc: { 'stats.favoriteCount': 1 } });
+  }
+
+  return created;
+};
+
+// Remove a favorite and decrement Song.stats.favoriteCount only when a record was deleted
+favoriteSchema.statics.removeFavorite = async function(userId, songId) {
+  const result = await this.deleteOne({ user: userId, song: songId });
+  const removed = result.deletedCount === 1;
+
+  if (removed) {
+    const Song = mongoose.model('Song');
+    await Song.updateOne({ _id: songId }, { $inc: { 'stats.favoriteCount': -1 } });
+  }
+
+  return removed;
+};
+
+// Static method to get which of the given songs a user has favorited
+favoriteSchema.statics.favoritedSongIds = async function(userId, songIds) {
+  const favorites = await this.find({
+    user: userId,
+    song: { $in: songIds }
+  }).select('song').lean();
+
+  return new Set(favorites.map(favorite => favorite.song.toString()));
+};
+
+module.exports = mongoose.model('Favorite', favoriteSchema);
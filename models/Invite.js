@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Admin-issued invite that lets people register with an elevated role
+const inviteSchema = new mongoose.Schema({
+  // Only a hash of the code is stored; the code itself is shown once, when created
+  codeHash: {
+    type: String,
+    required: [true, 'Invite code is required'],
+    unique: true,
+    select: false
+  },
+  codeHint: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['contributor', 'admin'],
+    required: [true, 'Invite role is required']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters'],
+    default: ''
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  maxUses: {
+    type: Number,
+    min: [1, 'An invite must allow at least 1 use'],
+    max: [100, 'An invite cannot allow more than 100 uses'],
+    default: 1
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Invite creator is required']
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  redemptions: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+inviteSchema.index({ createdAt: -1 });
+
+const hashCode = (code) => crypto.createHash('sha256')
+  .update(String(code).trim().toUpperCase())
+  .digest('hex');
+
+// Virtual for the invite's current state
+inviteSchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.uses >= this.maxUses) return 'used';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'active';
+});
+
+// Static method to create an invite; returns the invite and its plain code
+inviteSchema.statics.createInvite = async function({ role, expiresAt, maxUses, note, createdBy }) {
+  // 12 characters without look-alikes (0/O, 1/I), easy to read out to someone
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const code = Array.from(crypto.randomBytes(12), byte => alphabet[byte % alphabet.length]).join('');
+
+  const invite = await this.create({
+    codeHash: hashCode(code),
+    codeHint: code.slice(-4),
+    role,
+    expiresAt,
+    maxUses,
+    note,
+    createdBy
+  });
+
+  return { invite, code };
+};
+
+// Static method to use up one redemption of a valid invite. Returns the invite, or null if invalid.
+inviteSchema.statics.claim = function(code) {
+  return this.findOneAndUpdate(
+    {
+      codeHash: hashCode(code),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+      $expr: { $lt: ['$uses', '$maxUses'] }
+    },
+    { $inc: { uses: 1 } },
+    { new: true }
+  );
+};
+
+// Give back a claimed use when registration did not complete
+inviteSchema.methods.release = function() {
+  return this.constructor.updateOne({ _id: this._id }, { $inc: { uses: -1 } });
+};
+
+// Record who registered with this invite
+inviteSchema.methods.recordRedemption = function(userId) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $push: { redemptions: { user: userId, redeemedAt: new Date() } } }
+  );
+};
+
+// Ensure virtual fields are included in JSON output, and the code hash never is
+inviteSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.codeHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Invite', inviteSchema);
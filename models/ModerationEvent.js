@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// One record per moderation status transition of a song, or per review step of an edit to it
+const moderationEventSchema = new mongoose.Schema({
+  song: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Song',
+    required: [true, 'Song is required']
+  },
+  action: {
+    type: String,
+    enum: [
+      'submit', 'approve', 'reject', 'hide', 'unhide', 'resubmit',
+      'submit_revision', 'approve_revision', 'reject_revision' // Edits to an approved song
+    ],
+    required: [true, 'Action is required']
+  },
+  fromStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'hidden', null],
+    default: null
+  },
+  toStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'hidden'],
+    required: [true, 'Target status is required']
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Actor is required']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+moderationEventSchema.index({ song: 1, createdAt: -1 });
+moderationEventSchema.index({ performedBy: 1, createdAt: -1 });
+
+// Static method to get the moderation history of a song, oldest first
+moderationEventSchema.statics.findHistory = function(songId) {
+  return this.find({ song: songId })
+    .populate('performedBy', 'name role')
+    .sort({ createdAt: 1 });
+};
+
+module.exports = mongoose.model('ModerationEvent', moderationEventSchema);
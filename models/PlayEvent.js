@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+// One listen of a song. Plays by signed-in users make up their listening history;
+// anonymous plays are kept so repeated and suspicious plays can be recognised.
+const playEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  song: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Song',
+    required: [true, 'Song is required']
+  },
+  startedAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  secondsListened: {
+    type: Number,
+    min: [0, 'Seconds listened cannot be negative'],
+    max: [24 * 60 * 60, 'Seconds listened cannot exceed a day'],
+    default: 0
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  // Id chosen by the mobile client, so a batch that is sent twice is only stored once
+  clientEventId: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Client event ID cannot exceed 100 characters']
+  },
+  // Who was listening: "user:<id>", "device:<id>" or "ip:<hash>"
+  listenerKey: {
+    type: String,
+    required: [true, 'Listener is required']
+  },
+  deviceId: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device ID cannot exceed 100 characters']
+  },
+  ipHash: String,
+  // Whether the play was added to the public play counters, and why not
+  counted: {
+    type: Boolean,
+    default: false
+  },
+  flag: {
+    type: String,
+    enum: ['too_short', 'duplicate', 'burst', null],
+    default: null
+  },
+  // Dedupe window the play started in (see services/playCounter.js). Only one counted play per
+  // listener, song and window can be stored, so plays reported at the same moment count once.
+  dedupeBucket: Number
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+playEventSchema.index({ user: 1, startedAt: -1 });
+playEventSchema.index({ song: 1, startedAt: -1 });
+playEventSchema.index({ listenerKey: 1, startedAt: -1 });
+playEventSchema.index({ listenerKey: 1, song: 1, startedAt: -1 });
+playEventSchema.index({ startedAt: -1, song: 1 });
+playEventSchema.index({ ipHash: 1, createdAt: -1 });
+playEventSchema.index(
+  { listenerKey: 1, song: 1, dedupeBucket: 1 },
+  { unique: true, partialFilterExpression: { counted: true, dedupeBucket: { $type: 'number' } } }
+);
+playEventSchema.index(
+  { user: 1, clientEventId: 1 },
+  { unique: true, partialFilterExpression: { clientEventId: { $type: 'string' } } }
+);
+
+// Largest number of events accepted in one batch
+playEventSchema.statics.MAX_BATCH_SIZE = 100;
+
+// Static method to get the songs a user played most recently, each song once.
+// Returns [{ song, lastPlayedAt, playCount }] for songs that are still published.
+playEventSchema.statics.findRecentSongs = async function(userId, limit = 20) {
+  const Song = mongoose.model('Song');
+
+  const recent = await this.aggregate([
+    { $match: { user: userId } },
+    { $sort: { startedAt: -1 } },
+    {
+      $group: {
+        _id: '$song',
+        lastPlayedAt: { $first: '$startedAt' },
+        playCount: { $sum: 1 }
+      }
+    },
+    { $sort: { lastPlayedAt: -1 } },
+    {
+      $lookup: {
+        from: Song.collection.name,
+        localField: '_id',
+        foreignField: '_id',
+        as: 'song'
+      }
+    },
+    { $unwind: '$song' },
+    { $match: { 'song.status': 'approved', 'song.isActive': true } },
+    { $limit: limit },
+    { $project: { _id: 0, song: 1, lastPlayedAt: 1, playCount: 1 } },
+    { $project: { 'song.pendingRevision': 0, 'song.searchIndex': 0 } }
+  ]);
+
+  await Song.populate(recent, { path: 'song.uploadedBy', select: 'name' });
+  return recent;
+};
+
+module.exports = mongoose.model('PlayEvent', playEventSchema);
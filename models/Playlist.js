@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const playlistSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Playlist name is required'],
+    trim: true,
+    maxlength: [100, 'Playlist name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Playlist owner is required']
+  },
+  visibility: {
+    type: String,
+    enum: ['public', 'private'],
+    default: 'private'
+  },
+
+  // Ordered list of songs - array position is the play order
+  songs: [{
+    song: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Song',
+      required: true
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+// Indexes for better performance
+playlistSchema.index({ owner: 1, createdAt: -1 });
+playlistSchema.index({ visibility: 1, isActive: 1, updatedAt: -1 });
+playlistSchema.index({ 'songs.song': 1 });
+
+// Maximum number of songs a single playlist can hold
+playlistSchema.statics.MAX_SONGS = 500;
+
+// Virtual for number of songs in the playlist
+playlistSchema.virtual('songCount').get(function() {
+  return this.songs ? this.songs.length : 0;
+});
+
+// Check whether a user can view this playlist
+playlistSchema.methods.canView = function(user) {
+  if (this.visibility === 'public') return true;
+  if (!user) return false;
+  return user.role === 'admin' || this.isOwnedBy(user);
+};
+
+// Check whether a user owns this playlist
+playlistSchema.methods.isOwnedBy = function(user) {
+  if (!user) return false;
+  const ownerId = this.owner._id ? this.owner._id : this.owner;
+  return ownerId.toString() === user._id.toString();
+};
+
+// Check whether the playlist already holds a song
+playlistSchema.methods.hasSong = function(songId) {
+  return this.songs.some(entry => {
+    const id = entry.song._id ? entry.song._id : entry.song;
+    return id.toString() === songId.toString();
+  });
+};
+
+// Static method to find a user's playlists that hold a given song
+playlistSchema.statics.findContainingSong = function(userId, songId) {
+  return this.find({
+    owner: userId,
+    isActive: true,
+    'songs.song': songId
+  }).select('name visibility');
+};
+
+// Ensure virtual fields are included in JSON output
+playlistSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Playlist', playlistSchema);
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+const ratingSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  song: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Song',
+    required: [true, 'Song is required']
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5']
+  },
+  review: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Review cannot exceed 500 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+// One rating per user per song
+ratingSchema.index({ user: 1, song: 1 }, { unique: true });
+ratingSchema.index({ song: 1, updatedAt: -1 });
+ratingSchema.index({ updatedAt: -1 });
+
+// Create or update the user's rating for a song, then recompute the song's average
+ratingSchema.statics.rateSong = async function(userId, songId, rating, review) {
+  if (rating < 1 || rating > 5) {
+    throw new Error('Rating must be between 1 and 5');
+  }
+
+  const update = { rating };
+  // Leave an existing review untouched when none is sent
+  if (review !== undefined) update.review = review;
+
+  let userRating;
+  try {
+    userRating = await this.findOneAndUpdate(
+      { user: userId, song: songId },
+      { $set: update, $setOnInsert: { user: userId, song: songId } },
+      { upsert: true, new: true, runValidators: true }
+    );
+  } catch (error) {
+    // Concurrent first rating by the same user - the record now exists, so update it
+    if (error.code !== 11000) throw error;
+    userRating = await this.findOneAndUpdate(
+      { user: userId, song: songId },
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+  }
+
+  const stats = await this.recalculateForSong(songId);
+  return { userRating, stats };
+};
+
+// Average and count of a song's stored ratings
+const summarizeRatings = async (Rating, songId) => {
+  const [result] = await Rating.aggregate([
+    { $match: { song: new mongoose.Types.ObjectId(songId) } },
+    {
+      $group: {
+        _id: null,
+        averageRating: { $avg: '$rating' },
+        ratingCount: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return {
+    averageRating: result ? Math.round(result.averageRating * 100) / 100 : 0,
+    ratingCount: result ? result.ratingCount : 0
+  };
+};
+
+// Passes of recalculateForSong before it gives up on the ratings settling
+const MAX_RECALCULATIONS = 5;
+
+// Recompute Song.stats.averageRating and ratingCount from the stored ratings.
+// Another rating may be saved between reading the ratings and writing the stats, and its own
+// recalculation may finish first - so after writing, the ratings are read again and the stats
+// rewritten until they match. The last one to write has then seen every rating.
+ratingSchema.statics.recalculateForSong = async function(songId) {
+  const Song = mongoose.model('Song');
+  let stats = await summarizeRatings(this, songId);
+
+  for (let pass = 1; pass <= MAX_RECALCULATIONS; pass++) {
+    await Song.updateOne(
+      { _id: songId },
+      {
+        $set: {
+          'stats.averageRating': stats.averageRating,
+          'stats.ratingCount': stats.ratingCount
+        }
+      }
+    );
+
+    const current = await summarizeRatings(this, songId);
+    if (current.averageRating === stats.averageRating && current.ratingCount === stats.ratingCount) break;
+    stats = current;
+  }
+
+  return stats;
+};
+
+// Static method to get the 1-5 star breakdown for a song
+ratingSchema.statics.getHistogram = async function(songId) {
+  const counts = await this.aggregate([
+    { $match: { song: new mongoose.Types.ObjectId(songId) } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  counts.forEach(({ _id, count }) => {
+    histogram[_id] = count;
+  });
+  return histogram;
+};
+
+// Static method to get the most recent written reviews for a song
+ratingSchema.statics.findRecentReviews = function(songId, limit = 10) {
+  return this.find({ song: songId, review: { $ne: '' } })
+    .populate('user', 'name')
+    .sort({ updatedAt: -1 })
+    .limit(limit)
+    .select('rating review user createdAt updatedAt');
+};
+
+module.exports = mongoose.model('Rating', ratingSchema);
@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A login on one device. Holds the hash of the current refresh token, which rotates on every refresh,
+// and of the last few rotated ones so a stolen token being replayed can be told from a wrong one.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  refreshTokenHash: {
+    type: String,
+    required: [true, 'Refresh token hash is required'],
+    select: false
+  },
+  previousTokenHashes: {
+    type: [{
+      _id: false,
+      hash: String,
+      rotatedAt: Date
+    }],
+    select: false
+  },
+  device: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Device name cannot exceed 100 characters'],
+      default: ''
+    },
+    userAgent: {
+      type: String,
+      maxlength: [500, 'User agent cannot exceed 500 characters'],
+      default: ''
+    }
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse_detected', 'password_changed']
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+// Let MongoDB remove sessions once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS || '30');
+
+// Rotated tokens remembered per session, to recognise replays
+const PREVIOUS_TOKENS_KEPT = 5;
+
+// How long a just-rotated token is treated as a concurrent refresh (e.g. an app that got several
+// 401s at once and refreshed for each) rather than a replay
+const REFRESH_GRACE_SECONDS = parseInt(process.env.REFRESH_GRACE_SECONDS || '30');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newExpiry = () => new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+// Refresh tokens look like "<sessionId>.<secret>" so the session can be found without the secret
+const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+// Check whether the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Revoke this session
+sessionSchema.methods.revoke = async function(reason = 'revoked') {
+  if (this.revokedAt) return this;
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return await this.save();
+};
+
+// Static method to start a session for a user; returns the session and its first refresh token
+sessionSchema.statics.createForUser = async function(userId, { deviceName, userAgent, ip } = {}) {
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  const session = new this({
+    user: userId,
+    device: {
+      name: (deviceName || '').substring(0, 100),
+      userAgent: (userAgent || '').substring(0, 500)
+    },
+    ip: ip || '',
+    expiresAt: newExpiry()
+  });
+  session.refreshTokenHash = hashToken(secret);
+  await session.save();
+
+  return { session, refreshToken: buildRefreshToken(session._id, secret) };
+};
+
+// Static method to exchange a refresh token for a new one.
+// Returns { status: 'ok', session, refreshToken } or { status: 'invalid' | 'superseded' | 'reused' }.
+// Presenting a token that was rotated a while ago revokes the whole session, since it may have
+// been stolen. One rotated moments ago is 'superseded': a concurrent refresh already got the new token.
+// A token that was never issued is just 'invalid', so guessing cannot end someone's session.
+sessionSchema.statics.rotate = async function(refreshToken, { ip } = {}) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { status: 'invalid' };
+
+  const presentedHash = hashToken(parsed.secret);
+  const secret = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+
+  // Atomic swap so two refreshes with the same token cannot both succeed
+  const session = await this.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(secret),
+        lastUsedAt: now,
+        expiresAt: newExpiry(),
+        ...(ip && { ip })
+      },
+      $push: {
+        previousTokenHashes: {
+          $each: [{ hash: presentedHash, rotatedAt: now }],
+          $slice: -PREVIOUS_TOKENS_KEPT
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { status: 'ok', session, refreshToken: buildRefreshToken(session._id, secret) };
+  }
+
+  const existing = await this.findById(parsed.sessionId).select('+previousTokenHashes');
+  if (!existing || !existing.isActive()) return { status: 'invalid' };
+
+  const previous = existing.previousTokenHashes.find(entry => entry.hash === presentedHash);
+  if (!previous) return { status: 'invalid' };
+
+  if (now - previous.rotatedAt <= REFRESH_GRACE_SECONDS * 1000) {
+    return { status: 'superseded' };
+  }
+
+  await existing.revoke('reuse_detected');
+  return { status: 'reused' };
+};
+
+// Static method to list a user's sessions that can still be used
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke all of a user's sessions, optionally keeping one
+sessionSchema.statics.revokeAllForUser = async function(userId, reason = 'revoked', exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  const result = await this.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Records one-time setup steps that have been completed, so they can never run again
+const setupLockSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Lock key is required'],
+    unique: true
+  },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  method: {
+    type: String,
+    enum: ['api', 'script'],
+    required: [true, 'Setup method is required']
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+// Key used for the first admin account bootstrap
+setupLockSchema.statics.ADMIN_BOOTSTRAP = 'admin-bootstrap';
+
+// Static method to check whether a setup step has already been completed
+setupLockSchema.statics.isLocked = async function(key) {
+  return Boolean(await this.exists({ key }));
+};
+
+// Static method to claim a setup step. Returns the lock, or null if it was already claimed.
+setupLockSchema.statics.acquire = async function(key, method) {
+  try {
+    return await this.create({ key, method });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('SetupLock', setupLockSchema);
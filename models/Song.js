@@ -1,4 +1,145 @@
 const mongoose = require('mongoose');
+const { buildSearchTerms, SEARCH_INDEX_VERSION } = require('../utils/searchText');
+const { buildSortKeys, LOCALE_FALLBACKS } = require('../utils/songTranslations');
+
+// One line of timed lyrics (times in milliseconds from the start of the song).
+// words is only filled for enhanced LRC with word-level timing.
+const timedLineSchema = new mongoose.Schema({
+  time: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  text: {
+    type: String,
+    default: ''
+  },
+  words: [{
+    _id: false,
+    time: Number,
+    text: String
+  }]
+}, { _id: false });
+
+// The song's title, artist and album in another language or script (see utils/songTranslations.js).
+// Fields left empty fall back to other translations or the original.
+const translationSchema = new mongoose.Schema({
+  locale: {
+    type: String, // BCP 47 tag, e.g. "en", "zh-Hant" or "yue-Latn-jyutping"
+    required: [true, 'Language is required'],
+    trim: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  artist: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Artist name cannot exceed 100 characters']
+  },
+  album: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Album name cannot exceed 100 characters']
+  }
+}, { _id: false });
+
+// A song may have one translation per language tag
+const uniqueLocales = (translations) =>
+  new Set(translations.map(translation => translation.locale.toLowerCase())).size === translations.length;
+
+// Edits to an approved song that wait for moderation while the approved version stays live
+const revisionSchema = new mongoose.Schema({
+  changes: {
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Title cannot exceed 200 characters']
+    },
+    artist: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Artist name cannot exceed 100 characters']
+    },
+    album: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Album name cannot exceed 100 characters']
+    },
+    lyrics: String,
+    timedLyrics: {
+      type: [timedLineSchema],
+      default: undefined
+    },
+    translations: {
+      type: [translationSchema],
+      default: undefined
+    },
+    genre: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Genre cannot exceed 50 characters']
+    },
+    tags: {
+      type: [{
+        type: String,
+        trim: true,
+        maxlength: [30, 'Tag cannot exceed 30 characters']
+      }],
+      default: undefined
+    },
+    language: {
+      type: String,
+      enum: ['en', 'zh', 'mixed', 'other']
+    },
+    year: {
+      type: Number,
+      min: [1900, 'Year must be after 1900'],
+      max: [new Date().getFullYear() + 1, 'Year cannot be in the future']
+    }
+  },
+  // Replacement files, already in storage (same fields as the song's audioFile and coverImage)
+  audioFile: {
+    key: String,
+    filename: String,
+    originalName: String,
+    mimeType: String,
+    size: Number,
+    duration: Number,
+    bitrate: Number,
+    sampleRate: Number,
+    channels: Number,
+    codec: String,
+    container: String,
+    lossless: Boolean
+  },
+  coverImage: {
+    key: String,
+    filename: String,
+    originalName: String,
+    mimeType: String,
+    size: Number,
+    url: String
+  },
+  // Caption tracks with changes waiting in the track itself (see Caption.submitRevision)
+  captions: {
+    type: [{ _id: false, language: String, kind: String, removal: Boolean }],
+    default: undefined
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedAt: Date,
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    default: ''
+  }
+}, { _id: false });
 
 const songSchema = new mongoose.Schema({
   title: {
@@ -19,6 +160,11 @@ const songSchema = new mongoose.Schema({
     maxlength: [100, 'Album name cannot exceed 100 characters'],
     default: ''
   },
+  // The title, artist and album in other languages and scripts; the fields above are the originals
+  translations: {
+    type: [translationSchema],
+    validate: [uniqueLocales, 'Each language can only have one translation']
+  },
   genre: {
     type: String,
     trim: true,
@@ -39,6 +185,16 @@ const songSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Lyrics timed to the music (from LRC), for sing-along. Can be long, so not selected by default
+  timedLyrics: {
+    type: [timedLineSchema],
+    default: undefined,
+    select: false
+  },
+  hasTimedLyrics: {
+    type: Boolean,
+    default: false
+  },
   language: {
     type: String,
     enum: ['en', 'zh', 'mixed', 'other'],
@@ -47,6 +203,7 @@ const songSchema = new mongoose.Schema({
   
   // File information
   audioFile: {
+    key: String, // Storage key, e.g. "audio/my-song-1700000000000-1.mp3"
     filename: {
       type: String,
       required: [true, 'Audio filename is required']
@@ -67,10 +224,19 @@ const songSchema = new mongoose.Schema({
     url: {
       type: String,
       required: [true, 'Audio URL is required']
-    }
+    },
+    // Technical details read from the file itself
+    duration: Number, // Exact duration in seconds
+    bitrate: Number, // Bits per second
+    sampleRate: Number, // Hz
+    channels: Number,
+    codec: String,
+    container: String,
+    lossless: Boolean
   },
   
   coverImage: {
+    key: String, // Storage key, e.g. "images/cover-1700000000000-1.jpg"
     filename: String,
     originalName: String,
     mimeType: String,
@@ -100,6 +266,12 @@ const songSchema = new mongoose.Schema({
     ref: 'User'
   },
   moderatedAt: Date,
+  // Only visible to the owner and admins, so it is not selected by default
+  pendingRevision: {
+    type: revisionSchema,
+    default: null,
+    select: false
+  },
   
   // Analytics and engagement
   stats: {
@@ -161,6 +333,7 @@ const songSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  deletedAt: Date, // When the song was deleted; its files are removed after the media retention period
   
   // Featured status for highlighting popular content
   isFeatured: {
@@ -168,13 +341,25 @@ const songSchema = new mongoose.Schema({
     default: false
   },
   featuredAt: Date,
+
+  // Terms the song can be found by (see utils/searchText.js) and the keys it sorts by in each
+  // app language ({ en: { title, artist }, zh: ... }), kept up to date when it is saved
+  searchIndex: {
+    type: {
+      _id: false,
+      terms: [String],
+      sortKeys: mongoose.Schema.Types.Mixed,
+      version: Number
+    },
+    select: false
+  },
   
 }, {
   timestamps: true // Adds createdAt and updatedAt
 });
 
 // Indexes for better performance
-songSchema.index({ title: 'text', artist: 'text', album: 'text' }); // Text search
+songSchema.index({ 'searchIndex.terms': 1 }); // Search (see services/search.js)
 songSchema.index({ status: 1, isActive: 1 });
 songSchema.index({ uploadedBy: 1 });
 songSchema.index({ 'stats.playCount': -1 });
@@ -183,6 +368,11 @@ songSchema.index({ createdAt: -1 });
 songSchema.index({ genre: 1 });
 songSchema.index({ language: 1 });
 songSchema.index({ isFeatured: 1, featuredAt: -1 });
+songSchema.index({ 'pendingRevision.submittedAt': 1 }, { sparse: true });
+Object.keys(LOCALE_FALLBACKS).forEach(locale => {
+  songSchema.index({ [`searchIndex.sortKeys.${locale}.title`]: 1 });
+  songSchema.index({ [`searchIndex.sortKeys.${locale}.artist`]: 1 });
+});
 
 // Virtual for formatted duration
 songSchema.virtual('formattedDuration').get(function() {
@@ -200,6 +390,37 @@ songSchema.virtual('formattedFileSize').get(function() {
   return `${(this.audioFile.size / Math.pow(1024, i)).toFixed(1)} ${sizes[i]}`;
 });
 
+// Check whether the song is visible to the public
+songSchema.methods.isPublished = function() {
+  return this.status === 'approved' && this.isActive;
+};
+
+// Check whether a user may access the song, including unpublished previews
+songSchema.methods.isAccessibleBy = function(user) {
+  if (this.isPublished()) return true;
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+
+  const uploaderId = this.uploadedBy._id ? this.uploadedBy._id : this.uploadedBy;
+  return this.isActive && uploaderId.toString() === user._id.toString();
+};
+
+// Method to get the storage key of the audio file (older songs only stored the filename)
+songSchema.methods.getAudioKey = function() {
+  return this.audioFile.key || `audio/${this.audioFile.filename}`;
+};
+
+// Method to get the storage key of the cover image, if there is one
+songSchema.methods.getCoverKey = function() {
+  if (!this.coverImage || !this.coverImage.filename) return null;
+  return this.coverImage.key || `images/${this.coverImage.filename}`;
+};
+
+// Method to get the URL the audio is streamed from
+songSchema.methods.getStreamUrl = function() {
+  return `/api/songs/${this._id}/stream`;
+};
+
 // Static method to find approved songs
 songSchema.statics.findApproved = function() {
   return this.find({ status: 'approved', isActive: true });
@@ -219,44 +440,204 @@ songSchema.statics.findRecent = function(limit = 10) {
     .limit(limit);
 };
 
-// Method to increment play count
-songSchema.methods.incrementPlayCount = async function() {
-  this.stats.playCount += 1;
-  this.stats.lastPlayed = new Date();
-  return await this.save();
+// Allowed moderation transitions: action -> statuses it can be applied from, and the resulting status
+const MODERATION_TRANSITIONS = {
+  approve: { from: ['pending', 'rejected'], to: 'approved' },
+  reject: { from: ['pending', 'approved'], to: 'rejected' },
+  hide: { from: ['approved'], to: 'hidden' },
+  unhide: { from: ['hidden'], to: 'approved' },
+  resubmit: { from: ['rejected'], to: 'pending' }
 };
 
-// Method to add rating
-songSchema.methods.addRating = async function(rating) {
-  if (rating < 1 || rating > 5) {
-    throw new Error('Rating must be between 1 and 5');
+songSchema.statics.MODERATION_TRANSITIONS = MODERATION_TRANSITIONS;
+
+// Check whether a moderation action can be applied in the song's current status
+songSchema.methods.canTransition = function(action) {
+  const transition = MODERATION_TRANSITIONS[action];
+  return Boolean(transition && transition.from.includes(this.status));
+};
+
+// Method to apply a moderation action and record it in the song's history
+songSchema.methods.transition = async function(action, userId, notes = '') {
+  if (!this.canTransition(action)) {
+    throw new Error(`Cannot ${action} a song with status "${this.status}"`);
   }
-  
-  const totalRating = this.stats.averageRating * this.stats.ratingCount;
-  this.stats.ratingCount += 1;
-  this.stats.averageRating = (totalRating + rating) / this.stats.ratingCount;
-  
-  return await this.save();
+
+  const fromStatus = this.status;
+  this.status = MODERATION_TRANSITIONS[action].to;
+  this.moderationNotes = notes;
+
+  // Resubmission is done by the contributor, not a moderator
+  if (action !== 'resubmit') {
+    this.moderatedBy = userId;
+    this.moderatedAt = new Date();
+  }
+
+  await this.save();
+  await this.recordModerationEvent(action, userId, notes, fromStatus);
+  return this;
 };
 
-// Method to approve song
-songSchema.methods.approve = async function(moderatorId, notes = '') {
-  this.status = 'approved';
-  this.moderatedBy = moderatorId;
+// Method to store a moderation history entry for this song
+songSchema.methods.recordModerationEvent = function(action, userId, notes = '', fromStatus = null) {
+  const ModerationEvent = mongoose.model('ModerationEvent');
+  return ModerationEvent.create({
+    song: this._id,
+    action,
+    fromStatus,
+    toStatus: this.status,
+    performedBy: userId,
+    notes
+  });
+};
+
+// Fields whose changes must be reviewed again once a song is approved (or hidden).
+// Genre, tags, language and year count too: they decide which charts, recommendations and
+// "similar songs" a song shows up in.
+const REVIEWED_FIELDS = ['title', 'artist', 'album', 'translations', 'lyrics', 'timedLyrics', 'genre', 'tags', 'language', 'year'];
+
+songSchema.statics.REVIEWED_FIELDS = REVIEWED_FIELDS;
+
+// Check whether an edit by this user has to go through moderation before it goes live.
+// Hidden songs count as approved: unhiding must not publish edits nobody reviewed.
+songSchema.methods.requiresReview = function(user) {
+  return ['approved', 'hidden'].includes(this.status) && user.role !== 'admin';
+};
+
+// Check whether the song has edits waiting for moderation (pendingRevision must be selected)
+songSchema.methods.hasPendingRevision = function() {
+  return Boolean(this.pendingRevision && this.pendingRevision.submittedAt);
+};
+
+// Method to queue edits for moderation, merging them with any edits already waiting.
+// Returns the storage keys of revision files that were replaced, for the caller to delete.
+songSchema.methods.submitRevision = async function({ changes = {}, audioFile, coverImage, captions = [] }, userId, notes = '') {
+  const previous = this.hasPendingRevision() ? this.pendingRevision.toObject() : {};
+  const replacedKeys = [];
+
+  if (audioFile && previous.audioFile && previous.audioFile.key) replacedKeys.push(previous.audioFile.key);
+  if (coverImage && previous.coverImage && previous.coverImage.key) replacedKeys.push(previous.coverImage.key);
+
+  // A later change to the same caption track replaces the earlier one
+  const sameTrack = (a, b) => a.language === b.language && a.kind === b.kind;
+  const previousCaptions = (previous.captions || []).filter(track => !captions.some(caption => sameTrack(caption, track)));
+
+  this.pendingRevision = {
+    changes: { ...previous.changes, ...changes },
+    audioFile: audioFile || previous.audioFile,
+    coverImage: coverImage || previous.coverImage,
+    captions: [...previousCaptions, ...captions],
+    submittedBy: userId,
+    submittedAt: new Date(),
+    notes
+  };
+
+  await this.save();
+  await this.recordModerationEvent('submit_revision', userId, notes, this.status);
+  return replacedKeys;
+};
+
+// Method to make the pending revision live.
+// Returns the storage keys of the files it replaced, for the caller to delete.
+songSchema.methods.applyRevision = async function(userId, notes = '') {
+  if (!this.hasPendingRevision()) {
+    throw new Error('Song has no pending revision');
+  }
+
+  const revision = this.pendingRevision.toObject();
+  const replacedKeys = [];
+
+  Object.entries(revision.changes || {}).forEach(([field, value]) => {
+    if (value !== undefined) this[field] = value;
+  });
+
+  if (revision.audioFile && revision.audioFile.key) {
+    replacedKeys.push(this.getAudioKey());
+    this.audioFile = { ...revision.audioFile, url: this.getStreamUrl() };
+    if (revision.audioFile.duration) {
+      this.duration = Math.max(1, Math.round(revision.audioFile.duration));
+    }
+  }
+
+  if (revision.coverImage && revision.coverImage.key) {
+    if (this.getCoverKey()) replacedKeys.push(this.getCoverKey());
+    this.coverImage = revision.coverImage;
+  }
+
+  if (revision.captions && revision.captions.length > 0) {
+    await mongoose.model('Caption').applyRevisions(this._id);
+  }
+
+  this.pendingRevision = null;
+  this.moderationNotes = notes;
+  this.moderatedBy = userId;
   this.moderatedAt = new Date();
+
+  await this.save();
+  await this.recordModerationEvent('approve_revision', userId, notes, this.status);
+  return replacedKeys;
+};
+
+// Method to throw away the pending revision.
+// Returns the storage keys of the revision's files, for the caller to delete.
+songSchema.methods.discardRevision = async function(userId, notes = '') {
+  if (!this.hasPendingRevision()) {
+    throw new Error('Song has no pending revision');
+  }
+
+  const revision = this.pendingRevision;
+  const discardedKeys = [revision.audioFile && revision.audioFile.key, revision.coverImage && revision.coverImage.key]
+    .filter(Boolean);
+
+  if (revision.captions && revision.captions.length > 0) {
+    await mongoose.model('Caption').discardRevisions(this._id);
+  }
+
+  this.pendingRevision = null;
   this.moderationNotes = notes;
-  return await this.save();
+  this.moderatedBy = userId;
+  this.moderatedAt = new Date();
+
+  await this.save();
+  await this.recordModerationEvent('reject_revision', userId, notes, this.status);
+  return discardedKeys;
+};
+
+// Method to approve song
+songSchema.methods.approve = function(moderatorId, notes = '') {
+  return this.transition('approve', moderatorId, notes);
 };
 
 // Method to reject song
-songSchema.methods.reject = async function(moderatorId, notes = '') {
-  this.status = 'rejected';
-  this.moderatedBy = moderatorId;
-  this.moderatedAt = new Date();
-  this.moderationNotes = notes;
-  return await this.save();
+songSchema.methods.reject = function(moderatorId, notes = '') {
+  return this.transition('reject', moderatorId, notes);
+};
+
+// Method to rebuild the terms the song can be searched by and its sort keys
+songSchema.methods.refreshSearchIndex = function() {
+  this.searchIndex = {
+    terms: buildSearchTerms(this),
+    sortKeys: buildSortKeys(this),
+    version: SEARCH_INDEX_VERSION
+  };
 };
 
+// Pre-save middleware to keep hasTimedLyrics in step with the timed lyrics
+songSchema.pre('save', function(next) {
+  if (this.isModified('timedLyrics')) {
+    this.hasTimedLyrics = Array.isArray(this.timedLyrics) && this.timedLyrics.length > 0;
+  }
+  next();
+});
+
+// Pre-save middleware to keep the search index in step with the searchable fields
+songSchema.pre('save', function(next) {
+  if (this.isNew || ['title', 'artist', 'album', 'translations', 'lyrics'].some(field => this.isModified(field))) {
+    this.refreshSearchIndex();
+  }
+  next();
+});
+
 // Pre-save middleware to update uploadedBy user stats
 songSchema.pre('save', async function(next) {
   if (this.isNew && this.uploadedBy) {
@@ -273,7 +654,14 @@ songSchema.pre('save', async function(next) {
   next();
 });
 
-// Ensure virtual fields are included in JSON output
-songSchema.set('toJSON', { virtuals: true });
+// Ensure virtual fields are included in JSON output, and the search index never is
+// (saving fills it in even when it was not selected)
+songSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.searchIndex;
+    return ret;
+  }
+});
 
 module.exports = mongoose.model('Song', songSchema);
\ No newline at end of file
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Activity of one song on one UTC day, rolled up from play events, favorites and ratings
+const songDailyStatSchema = new mongoose.Schema({
+  song: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Song',
+    required: [true, 'Song is required']
+  },
+  date: {
+    type: Date, // Midnight UTC of the day
+    required: [true, 'Date is required']
+  },
+  plays: {
+    type: Number,
+    default: 0
+  },
+  favorites: {
+    type: Number,
+    default: 0
+  },
+  ratings: {
+    type: Number,
+    default: 0
+  },
+  ratingSum: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+songDailyStatSchema.index({ song: 1, date: 1 }, { unique: true });
+songDailyStatSchema.index({ date: 1 });
+
+// Start of the UTC day a moment falls on
+songDailyStatSchema.statics.startOfDay = function(moment = new Date()) {
+  const day = new Date(moment);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Static method to replace the stats of one day with freshly counted values.
+// rows: [{ song, plays, favorites, ratings, ratingSum }]
+songDailyStatSchema.statics.replaceDay = async function(date, rows) {
+  const day = this.startOfDay(date);
+
+  if (rows.length > 0) {
+    await this.bulkWrite(rows.map(row => ({
+      updateOne: {
+        filter: { song: row.song, date: day },
+        update: {
+          $set: {
+            plays: row.plays || 0,
+            favorites: row.favorites || 0,
+            ratings: row.ratings || 0,
+            ratingSum: row.ratingSum || 0
+          }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+
+  // Songs that no longer have any activity that day
+  await this.deleteMany({ date: day, song: { $nin: rows.map(row => row.song) } });
+};
+
+module.exports = mongoose.model('SongDailyStat', songDailyStatSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -49,7 +50,11 @@ const userSchema = new mongoose.Schema({
   },
   profile: {
     avatar: {
-      type: String,
+      type: String, // Public URL of the avatar
+      default: null
+    },
+    avatarKey: {
+      type: String, // Storage key of the avatar image
       default: null
     },
     bio: {
@@ -81,14 +86,17 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  deletedAt: Date, // When the account was deleted (deactivation by an admin does not set this)
   isEmailVerified: {
     type: Boolean,
     default: false
   },
+  passwordChangedAt: Date,
   resetPasswordToken: String,
   resetPasswordExpire: Date,
   emailVerificationToken: String,
-  emailVerificationExpire: Date
+  emailVerificationExpire: Date,
+  emailVerificationSentAt: Date
 }, {
   timestamps: true // Adds createdAt and updatedAt
 });
@@ -100,6 +108,12 @@ userSchema.index({ 'stats.lastLogin': -1 });
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
+
+  // Record the change so tokens issued before it are rejected.
+  // Back-dated by a second because JWT issue times only have second precision.
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date(Date.now() - 1000);
+  }
   
   try {
     const salt = await bcrypt.genSalt(12);
@@ -119,6 +133,12 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Check whether the password was changed after a token was issued (iat in seconds)
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return tokenIssuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
 // Get user profile without sensitive data
 userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
@@ -130,6 +150,56 @@ userSchema.methods.getPublicProfile = function() {
   return userObject;
 };
 
+// Get the storage key of the avatar (older avatars only stored a /uploads/... URL)
+userSchema.methods.getAvatarKey = function() {
+  if (this.profile.avatarKey) return this.profile.avatarKey;
+  const avatar = this.profile.avatar;
+  return avatar && avatar.startsWith('/uploads/') ? avatar.replace('/uploads/', '') : null;
+};
+
+// Hash a one-time token (reset, verification) before it is stored or looked up
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a password reset token - only its hash is stored, the raw token is emailed
+userSchema.methods.createPasswordResetToken = function(expiresInMinutes = 30) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.resetPasswordToken = this.constructor.hashToken(resetToken);
+  this.resetPasswordExpire = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Static method to find the user a valid, unexpired reset token belongs to
+userSchema.statics.findByResetToken = function(resetToken) {
+  return this.findOne({
+    resetPasswordToken: this.hashToken(resetToken),
+    resetPasswordExpire: { $gt: new Date() },
+    isActive: true
+  });
+};
+
+// Generate an email verification token - only its hash is stored, the raw token is emailed
+userSchema.methods.createEmailVerificationToken = function(expiresInHours = 24) {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = this.constructor.hashToken(verificationToken);
+  this.emailVerificationExpire = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+  this.emailVerificationSentAt = new Date();
+
+  return verificationToken;
+};
+
+// Static method to find the user a valid, unexpired verification token belongs to
+userSchema.statics.findByVerificationToken = function(verificationToken) {
+  return this.findOne({
+    emailVerificationToken: this.hashToken(verificationToken),
+    emailVerificationExpire: { $gt: new Date() }
+  });
+};
+
 // Static method to find active users
 userSchema.statics.findActiveUsers = function() {
   return this.find({ isActive: true });
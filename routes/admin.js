@@ -0,0 +1,145 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const PlayEvent = require('../models/PlayEvent');
+const Song = require('../models/Song');
+const { authenticate, authorize } = require('../middleware/auth');
+const { collectMedia } = require('../services/mediaGc');
+const { localizeError, localizeDetails } = require('../utils/i18n');
+
+const router = express.Router();
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      ...localizeError(req, 'VALIDATION_FAILED'),
+      details: localizeDetails(req, errors.array())
+    });
+  }
+  next();
+};
+
+// All admin tools are for admins only
+router.use(authenticate, authorize('admin'));
+
+// @route   POST /api/admin/media/gc
+// @desc    Find (and optionally delete) media files that no record needs any more
+// @access  Private (Admin)
+router.post('/media/gc', [
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean'),
+  body('retentionDays')
+    .optional()
+    .isInt({ min: 0, max: 3650 })
+    .withMessage('Retention must be between 0 and 3650 days'),
+  body('graceHours')
+    .optional()
+    .isInt({ min: 1, max: 720 })
+    .withMessage('Grace period must be between 1 and 720 hours')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { dryRun = true, retentionDays, graceHours } = req.body;
+
+    const report = await collectMedia({
+      // Only an explicit false deletes anything
+      dryRun: !(dryRun === false || dryRun === 'false'),
+      ...(retentionDays !== undefined && { retentionDays: parseInt(retentionDays) }),
+      ...(graceHours !== undefined && { graceHours: parseInt(graceHours) })
+    });
+
+    res.json({
+      message: report.dryRun
+        ? 'Media collection dry run completed'
+        : `Media collection completed, ${report.deleted} file(s) deleted`,
+      data: { report }
+    });
+
+  } catch (error) {
+    if (error.code === 'GC_RUNNING') {
+      return res.status(409).json(localizeError(req, 'MEDIA_COLLECTION_IN_PROGRESS'));
+    }
+    console.error('Media collection error:', error);
+    res.status(500).json(localizeError(req, 'MEDIA_COLLECTION_FAILED'));
+  }
+});
+
+// @route   GET /api/admin/plays/anomalies
+// @desc    List songs with suspicious play patterns: many plays flagged as bursts,
+//          or most plays coming from a single listener
+// @access  Private (Admin)
+router.get('/plays/anomalies', [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage('Days must be between 1 and 90'),
+  query('minFlagged')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Minimum flagged plays must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { days = 7, minFlagged = 5, limit = 20 } = req.query;
+    const since = new Date(Date.now() - parseInt(days) * 24 * 60 * 60 * 1000);
+
+    const anomalies = await PlayEvent.aggregate([
+      { $match: { startedAt: { $gte: since } } },
+      // Plays per song and listener
+      {
+        $group: {
+          _id: { song: '$song', listener: '$listenerKey' },
+          plays: { $sum: 1 },
+          counted: { $sum: { $cond: ['$counted', 1, 0] } },
+          flagged: { $sum: { $cond: [{ $eq: ['$flag', 'burst'] }, 1, 0] } },
+          duplicates: { $sum: { $cond: [{ $eq: ['$flag', 'duplicate'] }, 1, 0] } }
+        }
+      },
+      { $sort: { plays: -1 } },
+      // Then per song, keeping the listener with the most plays
+      {
+        $group: {
+          _id: '$_id.song',
+          totalPlays: { $sum: '$plays' },
+          countedPlays: { $sum: '$counted' },
+          flaggedPlays: { $sum: '$flagged' },
+          duplicatePlays: { $sum: '$duplicates' },
+          listeners: { $sum: 1 },
+          suspiciousListeners: { $sum: { $cond: [{ $gt: ['$flagged', 0] }, 1, 0] } },
+          topListener: { $first: { listener: '$_id.listener', plays: '$plays' } }
+        }
+      },
+      { $addFields: { topListenerShare: { $divide: ['$topListener.plays', '$totalPlays'] } } },
+      {
+        $match: {
+          $or: [
+            { flaggedPlays: { $gte: parseInt(minFlagged) } },
+            { totalPlays: { $gte: 50 }, topListenerShare: { $gte: 0.5 } }
+          ]
+        }
+      },
+      { $sort: { flaggedPlays: -1, topListenerShare: -1 } },
+      { $limit: parseInt(limit) },
+      { $addFields: { song: '$_id' } },
+      { $project: { _id: 0 } }
+    ]);
+
+    await Song.populate(anomalies, { path: 'song', select: 'title artist stats.playCount' });
+
+    res.json({
+      message: 'Play anomalies retrieved successfully',
+      data: { since, anomalies }
+    });
+
+  } catch (error) {
+    console.error('Play anomalies retrieval error:', error);
+    res.status(500).json(localizeError(req, 'PLAY_ANOMALIES_RETRIEVAL_FAILED'));
+  }
+});
+
+module.exports = router;
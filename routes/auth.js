@@ -2,7 +2,11 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { authenticate } = require('../middleware/auth');
+const Session = require('../models/Session');
+const Invite = require('../models/Invite');
+const { authenticate, sensitiveOperationLimit, SHARED_IP_RATE_LIMIT_MAX } = require('../middleware/auth');
+const { sendTemplate, buildClientUrl } = require('../services/mailer');
+const { localizeError, localizeDetails, resolveLocale } = require('../utils/i18n');
 
 const router = express.Router();
 
@@ -21,8 +25,20 @@ const registerValidation = [
     .withMessage('Password must be at least 6 characters long'),
   body('role')
     .optional()
-    .isIn(['senior', 'contributor', 'admin'])
-    .withMessage('Role must be either "senior", "contributor", or "admin"')
+    .isIn(['senior'])
+    .withMessage('Public registration is for senior accounts only. Contributor and admin accounts need an invite code.'),
+  body('inviteCode')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Invite code must be between 1 and 50 characters'),
+  body('deviceName')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Device name cannot exceed 100 characters')
 ];
 
 const loginValidation = [
@@ -32,59 +48,165 @@ const loginValidation = [
     .withMessage('Please provide a valid email'),
   body('password')
     .notEmpty()
-    .withMessage('Password is required')
+    .withMessage('Password is required'),
+  body('deviceName')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Device name cannot exceed 100 characters')
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+];
+
+const verifyEmailValidation = [
+  body('token')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Verification token is required')
 ];
 
-// Helper function to generate JWT token
-const generateToken = (userId) => {
+// How long a password reset link stays valid
+const RESET_TOKEN_EXPIRE_MINUTES = parseInt(process.env.RESET_TOKEN_EXPIRE_MINUTES || '30');
+
+// How long an email verification link stays valid, and how often it may be resent
+const VERIFICATION_TOKEN_EXPIRE_HOURS = parseInt(process.env.VERIFICATION_TOKEN_EXPIRE_HOURS || '24');
+const VERIFICATION_RESEND_INTERVAL_SECONDS = parseInt(process.env.VERIFICATION_RESEND_INTERVAL_SECONDS || '60');
+
+// Helper function to create a verification token and email it to the user
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken(VERIFICATION_TOKEN_EXPIRE_HOURS);
+  await user.save();
+
+  await sendTemplate('emailVerification', user, {
+    verifyUrl: buildClientUrl('/verify-email', { token: verificationToken }),
+    expiresInHours: VERIFICATION_TOKEN_EXPIRE_HOURS
+  });
+};
+
+// Helper function to generate a short-lived JWT access token tied to a session
+const generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId },
+    { userId, sessionId },
     process.env.JWT_SECRET || 'fallback-secret-key',
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '15m' }
   );
 };
 
+// Helper function to start a session on the calling device and issue its tokens
+const issueSession = async (user, req) => {
+  const { session, refreshToken } = await Session.createForUser(user._id, {
+    deviceName: req.body.deviceName,
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+  });
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken
+  };
+};
+
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
-      error: 'Validation failed',
-      message: 'Please check your input data',
-      details: errors.array()
+      ...localizeError(req, 'VALIDATION_FAILED'),
+      details: localizeDetails(req, errors.array())
     });
   }
   next();
 };
 
+// Helper function to undo a registration with an invite that did not complete: removes the
+// account if it was saved and gives the invite use back. Errors are logged, not thrown,
+// so they do not hide the error that failed the registration.
+const releaseInvite = async (invite, user) => {
+  try {
+    if (!user.isNew) {
+      await User.deleteOne({ _id: user._id });
+    }
+    await invite.release();
+  } catch (error) {
+    console.error(`Invite release error (invite ${invite._id}):`, error);
+  }
+};
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
 router.post('/register', registerValidation, handleValidationErrors, async (req, res) => {
   try {
-    const { name, email, password, role = 'senior' } = req.body;
+    const { name, email, password, inviteCode } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
-      return res.status(400).json({
-        error: 'User already exists',
-        message: 'A user with this email already exists'
-      });
+      return res.status(400).json(localizeError(req, 'USER_ALREADY_EXISTS'));
+    }
+
+    // Elevated roles only come from a valid invite
+    let invite = null;
+    if (inviteCode) {
+      invite = await Invite.claim(inviteCode);
+      if (!invite) {
+        return res.status(400).json(localizeError(req, 'INVALID_INVITE_CODE'));
+      }
     }
 
-    // Create new user
+    // Create new user, speaking the language their browser asks for until they choose one
     const user = new User({
       name,
       email,
       password,
-      role
+      role: invite ? invite.role : 'senior',
+      preferences: { language: resolveLocale(req) }
     });
 
-    await user.save();
+    // The claimed invite use is given back unless the account is both created and recorded as
+    // a redemption; an account that was saved without its redemption is removed again
+    let redeemed = false;
+    try {
+      await user.save();
+      if (invite) {
+        await invite.recordRedemption(user._id);
+      }
+      redeemed = true;
+    } finally {
+      if (invite && !redeemed) {
+        await releaseInvite(invite, user);
+      }
+    }
+
+    // A failed verification email must not fail the registration - it can be resent
+    let emailVerificationSent = true;
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+      emailVerificationSent = false;
+    }
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Start a session and generate tokens
+    const { token, refreshToken } = await issueSession(user, req);
 
     // Return user data without password
     const userResponse = user.getPublicProfile();
@@ -92,15 +214,14 @@ router.post('/register', registerValidation, handleValidationErrors, async (req,
     res.status(201).json({
       message: 'User registered successfully',
       token,
-      user: userResponse
+      refreshToken,
+      user: userResponse,
+      emailVerificationSent
     });
 
   } catch (error) {
     console.error('Registration error:', error);
-    res.status(500).json({
-      error: 'Registration failed',
-      message: 'An error occurred during registration'
-    });
+    res.status(500).json(localizeError(req, 'REGISTRATION_FAILED'));
   }
 });
 
@@ -114,34 +235,25 @@ router.post('/login', loginValidation, handleValidationErrors, async (req, res)
     // Find user and include password for comparison
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
-      return res.status(401).json({
-        error: 'Invalid credentials',
-        message: 'Email or password is incorrect'
-      });
+      return res.status(401).json(localizeError(req, 'INVALID_CREDENTIALS'));
     }
 
     // Check if user is active
     if (!user.isActive) {
-      return res.status(401).json({
-        error: 'Account deactivated',
-        message: 'Your account has been deactivated. Please contact support.'
-      });
+      return res.status(401).json(localizeError(req, 'ACCOUNT_DEACTIVATED'));
     }
 
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
-      return res.status(401).json({
-        error: 'Invalid credentials',
-        message: 'Email or password is incorrect'
-      });
+      return res.status(401).json(localizeError(req, 'INVALID_CREDENTIALS'));
     }
 
     // Update last login
     await user.updateLastLogin();
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Start a session and generate tokens
+    const { token, refreshToken } = await issueSession(user, req);
 
     // Return user data without password
     const userResponse = user.getPublicProfile();
@@ -149,15 +261,160 @@ router.post('/login', loginValidation, handleValidationErrors, async (req, res)
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: userResponse
     });
 
   } catch (error) {
     console.error('Login error:', error);
-    res.status(500).json({
-      error: 'Login failed',
-      message: 'An error occurred during login'
+    res.status(500).json(localizeError(req, 'LOGIN_FAILED'));
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link. Limited per account, and per IP so trying many addresses from one place is too.
+// @access  Public
+router.post('/forgot-password', sensitiveOperationLimit('ip', { max: SHARED_IP_RATE_LIMIT_MAX }), sensitiveOperationLimit('email'), forgotPasswordValidation, handleValidationErrors, async (req, res) => {
+  // Same reply whether or not the email is registered, so accounts cannot be discovered
+  const genericResponse = {
+    message: 'If an account exists for this email, a password reset link has been sent'
+  };
+
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email, isActive: true });
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken(RESET_TOKEN_EXPIRE_MINUTES);
+    await user.save();
+
+    try {
+      await sendTemplate('passwordReset', user, {
+        resetUrl: buildClientUrl('/reset-password', { token: resetToken }),
+        expiresInMinutes: RESET_TOKEN_EXPIRE_MINUTES
+      });
+    } catch (mailError) {
+      // Still the generic reply: an error here would tell that the account exists
+      console.error('Password reset email error:', mailError);
+
+      // Don't leave a token behind that the user never received
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save();
+    }
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json(localizeError(req, 'PASSWORD_RESET_REQUEST_FAILED'));
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', sensitiveOperationLimit(), resetPasswordValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await User.findByResetToken(token);
+    if (!user) {
+      return res.status(400).json(localizeError(req, 'INVALID_RESET_TOKEN'));
+    }
+
+    // Tokens are single-use
+    user.password = password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save();
+
+    // Sign out every device that used the old password
+    await Session.revokeAllForUser(user._id, 'password_changed');
+
+    try {
+      await sendTemplate('passwordChanged', user);
+    } catch (mailError) {
+      console.error('Password changed email error:', mailError);
+    }
+
+    res.json({
+      message: 'Password has been reset successfully. Please login with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json(localizeError(req, 'PASSWORD_RESET_FAILED'));
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address using a verification token
+// @access  Public
+router.post('/verify-email', verifyEmailValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const user = await User.findByVerificationToken(req.body.token);
+    if (!user) {
+      return res.status(400).json(localizeError(req, 'INVALID_VERIFICATION_TOKEN'));
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save();
+
+    res.json({
+      message: 'Email verified successfully',
+      user: user.getPublicProfile()
+    });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json(localizeError(req, 'EMAIL_VERIFICATION_FAILED'));
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/resend-verification', authenticate, sensitiveOperationLimit('user'), async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.isEmailVerified) {
+      return res.status(400).json(localizeError(req, 'EMAIL_ALREADY_VERIFIED'));
+    }
+
+    // Throttle per account, on top of the per-IP limit
+    if (user.emailVerificationSentAt) {
+      const elapsedSeconds = (Date.now() - user.emailVerificationSentAt.getTime()) / 1000;
+      if (elapsedSeconds < VERIFICATION_RESEND_INTERVAL_SECONDS) {
+        const retryAfter = Math.ceil(VERIFICATION_RESEND_INTERVAL_SECONDS - elapsedSeconds);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          ...localizeError(req, 'VERIFICATION_EMAIL_TOO_SOON', { seconds: retryAfter }),
+          retryAfter
+        });
+      }
+    }
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+      return res.status(500).json(localizeError(req, 'VERIFICATION_EMAIL_NOT_SENT'));
+    }
+
+    res.json({
+      message: 'Verification email sent'
     });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json(localizeError(req, 'RESEND_VERIFICATION_FAILED'));
   }
 });
 
@@ -174,51 +431,140 @@ router.get('/me', authenticate, async (req, res) => {
     });
   } catch (error) {
     console.error('Profile retrieval error:', error);
-    res.status(500).json({
-      error: 'Profile retrieval failed',
-      message: 'An error occurred while retrieving profile'
-    });
+    res.status(500).json(localizeError(req, 'PROFILE_RETRIEVAL_FAILED'));
   }
 });
 
 // @route   POST /api/auth/refresh
-// @desc    Refresh JWT token
-// @access  Private
-router.post('/refresh', authenticate, async (req, res) => {
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public (requires a refresh token)
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], handleValidationErrors, async (req, res) => {
   try {
-    // Generate new token
-    const token = generateToken(req.user._id);
-    
+    const result = await Session.rotate(req.body.refreshToken, { ip: req.ip });
+
+    if (result.status === 'reused') {
+      return res.status(401).json(localizeError(req, 'REFRESH_TOKEN_REUSED'));
+    }
+
+    // Another refresh with the same token just succeeded; the client should use the token it got
+    if (result.status === 'superseded') {
+      return res.status(409).json(localizeError(req, 'REFRESH_TOKEN_SUPERSEDED'));
+    }
+
+    if (result.status !== 'ok') {
+      return res.status(401).json(localizeError(req, 'INVALID_REFRESH_TOKEN'));
+    }
+
+    const user = await User.findById(result.session.user);
+    if (!user || !user.isActive || user.changedPasswordAfter(result.session.createdAt.getTime() / 1000)) {
+      await result.session.revoke();
+      return res.status(401).json(localizeError(req, 'INVALID_REFRESH_TOKEN'));
+    }
+
     res.json({
       message: 'Token refreshed successfully',
-      token
+      token: generateToken(user._id, result.session._id),
+      refreshToken: result.refreshToken
     });
   } catch (error) {
     console.error('Token refresh error:', error);
-    res.status(500).json({
-      error: 'Token refresh failed',
-      message: 'An error occurred while refreshing token'
-    });
+    res.status(500).json(localizeError(req, 'TOKEN_REFRESH_FAILED'));
   }
 });
 
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user (ends the current session)
 // @access  Private
 router.post('/logout', authenticate, async (req, res) => {
   try {
-    // In a more sophisticated setup, you might maintain a blacklist of tokens
-    // For now, just return success - the client should remove the token
-    
+    await req.authSession.revoke('logout');
+
     res.json({
       message: 'Logout successful'
     });
   } catch (error) {
     console.error('Logout error:', error);
-    res.status(500).json({
-      error: 'Logout failed',
-      message: 'An error occurred during logout'
+    res.status(500).json(localizeError(req, 'LOGOUT_FAILED'));
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    res.json({
+      message: 'Sessions retrieved successfully',
+      data: {
+        sessions: sessions.map(session => ({
+          _id: session._id,
+          device: session.device,
+          ip: session.ip,
+          lastUsedAt: session.lastUsedAt,
+          createdAt: session.createdAt,
+          expiresAt: session.expiresAt,
+          current: session._id.equals(req.authSession._id)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Sessions retrieval error:', error);
+    res.status(500).json(localizeError(req, 'SESSIONS_RETRIEVAL_FAILED'));
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', authenticate, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!session || !session.isActive()) {
+      return res.status(404).json(localizeError(req, 'SESSION_NOT_FOUND'));
+    }
+
+    await session.revoke('revoked');
+
+    res.json({
+      message: 'Session revoked successfully'
     });
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json(localizeError(req, 'INVALID_SESSION_ID'));
+    }
+    res.status(500).json(localizeError(req, 'SESSION_REVOKE_FAILED'));
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all of the current user's sessions (?keepCurrent=true keeps this device signed in)
+// @access  Private
+router.delete('/sessions', authenticate, async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true';
+
+    const revokedCount = await Session.revokeAllForUser(
+      req.user._id,
+      'revoked',
+      keepCurrent ? req.authSession._id : null
+    );
+
+    res.json({
+      message: 'Sessions revoked successfully',
+      data: { revokedCount }
+    });
+  } catch (error) {
+    console.error('Sessions revoke error:', error);
+    res.status(500).json(localizeError(req, 'SESSIONS_REVOKE_FAILED'));
   }
 });
 
@@ -264,10 +610,7 @@ router.put('/preferences', authenticate, [
     });
   } catch (error) {
     console.error('Preferences update error:', error);
-    res.status(500).json({
-      error: 'Preferences update failed',
-      message: 'An error occurred while updating preferences'
-    });
+    res.status(500).json(localizeError(req, 'PREFERENCES_UPDATE_FAILED'));
   }
 });
 
@@ -301,10 +644,7 @@ router.get('/stats', authenticate, async (req, res) => {
     });
   } catch (error) {
     console.error('Stats retrieval error:', error);
-    res.status(500).json({
-      error: 'Stats retrieval failed',
-      message: 'An error occurred while retrieving statistics'
-    });
+    res.status(500).json(localizeError(req, 'STATS_RETRIEVAL_FAILED'));
   }
 });
 
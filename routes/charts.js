@@ -0,0 +1,134 @@
+const express = require('express');
+const { validationResult, query } = require('express-validator');
+const { optionalAuth } = require('../middleware/auth');
+const { getChart, getTrending, getPeriodBounds, getChartGenres, CHART_SIZE, CHART_LANGUAGES } = require('../services/charts');
+const { localizeError, localizeDetails, resolveLocale } = require('../utils/i18n');
+const { localizeSong } = require('../utils/songTranslations');
+
+const router = express.Router();
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      ...localizeError(req, 'VALIDATION_FAILED'),
+      details: localizeDetails(req, errors.array())
+    });
+  }
+  next();
+};
+
+// Helper function to show the songs of chart entries in the caller's language
+const localizeEntries = (entries, req) => {
+  const locale = resolveLocale(req);
+  return entries.map(entry => ({ ...entry, song: localizeSong(entry.song, locale) }));
+};
+
+// Validation rules for the chart filters
+const chartFilterValidation = [
+  query('language')
+    .optional()
+    .isIn(CHART_LANGUAGES)
+    .withMessage('Language must be one of: en, zh, mixed, other'),
+  query('genre')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Genre must be between 1 and 50 characters')
+    .bail()
+    .custom(async value => {
+      const genres = await getChartGenres();
+      if (!genres.includes(value.toLowerCase())) throw new Error('Unknown genre');
+    })
+    .withMessage('Genre must be the genre of a published song'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: CHART_SIZE })
+    .withMessage(`Limit must be between 1 and ${CHART_SIZE}`)
+];
+
+// @route   GET /api/charts/trending
+// @desc    Get songs trending right now (recent plays, favorites and ratings, newest counting most)
+// @access  Public
+router.get('/trending', optionalAuth, chartFilterValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { language, genre, limit = 20 } = req.query;
+
+    const songs = await getTrending({ language, genre, limit: parseInt(limit) });
+
+    res.json({
+      message: 'Trending songs retrieved successfully',
+      data: { songs: localizeEntries(songs, req) }
+    });
+
+  } catch (error) {
+    console.error('Trending songs retrieval error:', error);
+    res.status(500).json(localizeError(req, 'TRENDING_SONGS_RETRIEVAL_FAILED'));
+  }
+});
+
+// Weekly and monthly top charts share one handler. Completed periods are only read from the
+// charts published for them (see publishCompletedCharts); requests never build or store one.
+const periodChart = (chartPeriod) => [
+  optionalAuth,
+  query('period')
+    .optional()
+    .isIn(['current', 'last'])
+    .withMessage('Period must be either current or last'),
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid date'),
+  ...chartFilterValidation
+].concat(handleValidationErrors, async (req, res) => {
+  try {
+    const { period = 'last', date, language, genre, limit = 20 } = req.query;
+
+    // A date picks the chart containing it; otherwise this or the last completed period
+    let moment = date ? new Date(date) : new Date();
+    if (!date && period === 'last') {
+      moment = new Date(getPeriodBounds(chartPeriod, moment).start.getTime() - 1);
+    }
+
+    if (moment > new Date()) {
+      return res.status(400).json(localizeError(req, 'FUTURE_CHART_DATE'));
+    }
+
+    const chart = await getChart(chartPeriod, { date: moment, language, genre, limit: parseInt(limit) });
+    if (!chart) {
+      return res.status(404).json(localizeError(req, 'CHART_NOT_PUBLISHED'));
+    }
+
+    res.json({
+      message: `${chartPeriod === 'weekly' ? 'Weekly' : 'Monthly'} chart retrieved successfully`,
+      data: {
+        chart: {
+          ...chart,
+          entries: localizeEntries(chart.entries, req),
+          language: language || 'all',
+          genre: genre || 'all'
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error(`${chartPeriod === 'weekly' ? 'Weekly' : 'Monthly'} chart retrieval error:`, error);
+    res.status(500).json(localizeError(req, 'CHART_RETRIEVAL_FAILED'));
+  }
+});
+
+// @route   GET /api/charts/weekly
+// @desc    Get the top songs of a week (Monday to Sunday, UTC), with movement since the week before.
+//          Defaults to last week; ?period=current for this week so far, ?date= for the week containing a date.
+// @access  Public
+router.get('/weekly', periodChart('weekly'));
+
+// @route   GET /api/charts/monthly
+// @desc    Get the top songs of a month (UTC), with movement since the month before.
+//          Defaults to last month; ?period=current for this month so far, ?date= for the month containing a date.
+// @access  Public
+router.get('/monthly', periodChart('monthly'));
+
+module.exports = router;
@@ -0,0 +1,282 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const PlayEvent = require('../models/PlayEvent');
+const Song = require('../models/Song');
+const { authenticate } = require('../middleware/auth');
+const { recordPlay, countPlays, startTimeBounds, PLAY_RULES } = require('../services/playCounter');
+const { localizeError, localizeDetails, resolveLocale } = require('../utils/i18n');
+const { localizeSong } = require('../utils/songTranslations');
+
+const router = express.Router();
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      ...localizeError(req, 'VALIDATION_FAILED'),
+      details: localizeDetails(req, errors.array())
+    });
+  }
+  next();
+};
+
+// Validation rules for a single listen, used for batch items
+const playEventValidation = (prefix) => [
+  body(`${prefix}startedAt`)
+    .isISO8601()
+    .withMessage('Start time must be a valid date'),
+  body(`${prefix}secondsListened`)
+    .optional()
+    .isFloat({ min: 0, max: 24 * 60 * 60 })
+    .withMessage('Seconds listened must be between 0 and 86400'),
+  body(`${prefix}completed`)
+    .optional()
+    .isBoolean()
+    .withMessage('Completed must be a boolean'),
+  body(`${prefix}clientEventId`)
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Client event ID must be between 1 and 100 characters')
+];
+
+// All listening history is private to the signed-in user
+router.use(authenticate);
+
+// @route   GET /api/history/recent
+// @desc    Get my recently played songs, each song once, most recent first
+// @access  Private
+router.get('/recent', [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+
+    const recent = await PlayEvent.findRecentSongs(req.user._id, parseInt(limit));
+    const locale = resolveLocale(req);
+
+    res.json({
+      message: 'Recently played songs retrieved successfully',
+      data: {
+        songs: recent.map(entry => ({
+          ...localizeSong(entry.song, locale),
+          lastPlayedAt: entry.lastPlayedAt,
+          timesPlayed: entry.playCount
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Recently played retrieval error:', error);
+    res.status(500).json(localizeError(req, 'RECENTLY_PLAYED_RETRIEVAL_FAILED'));
+  }
+});
+
+// @route   GET /api/history
+// @desc    Get my full listening history, newest first (optionally between two dates)
+// @access  Private
+router.get('/', [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, from, to } = req.query;
+
+    const query = { user: req.user._id };
+    if (from || to) {
+      query.startedAt = {};
+      if (from) query.startedAt.$gte = new Date(from);
+      if (to) query.startedAt.$lte = new Date(to);
+    }
+
+    const skip = (page - 1) * limit;
+    const history = await PlayEvent.find(query)
+      .populate({
+        path: 'song',
+        select: 'title artist album translations duration coverImage audioFile.url status isActive'
+      })
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    // Songs that were removed since are kept in the history, but not playable
+    const locale = resolveLocale(req);
+    history.forEach(entry => {
+      if (entry.song) {
+        entry.song = localizeSong(entry.song, locale);
+        entry.song.isAvailable = entry.song.status === 'approved' && entry.song.isActive;
+      }
+    });
+
+    const total = await PlayEvent.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      message: 'Listening history retrieved successfully',
+      data: {
+        history,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalPlays: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Listening history retrieval error:', error);
+    res.status(500).json(localizeError(req, 'LISTENING_HISTORY_RETRIEVAL_FAILED'));
+  }
+});
+
+// @route   DELETE /api/history
+// @desc    Clear my listening history (or only one song's plays with ?songId=)
+// @access  Private
+router.delete('/', [
+  query('songId')
+    .optional()
+    .isMongoId()
+    .withMessage('Song ID is not valid')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const query = { user: req.user._id };
+    if (req.query.songId) query.song = req.query.songId;
+
+    const result = await PlayEvent.deleteMany(query);
+
+    res.json({
+      message: 'Listening history cleared successfully',
+      data: { deletedCount: result.deletedCount }
+    });
+
+  } catch (error) {
+    console.error('Listening history clear error:', error);
+    res.status(500).json(localizeError(req, 'LISTENING_HISTORY_CLEAR_FAILED'));
+  }
+});
+
+// @route   POST /api/history/batch
+// @desc    Record plays collected by the app, e.g. while it was offline (plays from the last 24 hours by default).
+//          Events that cannot be recorded are listed in rejected as { index, code, error, message }.
+// @access  Private
+router.post('/batch', [
+  body('events')
+    .isArray({ min: 1, max: PlayEvent.MAX_BATCH_SIZE })
+    .withMessage(`Events must be an array of 1 to ${PlayEvent.MAX_BATCH_SIZE} plays`),
+  body('events.*.songId')
+    .isMongoId()
+    .withMessage('Each event needs a valid song ID'),
+  ...playEventValidation('events.*.')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { events } = req.body;
+
+    const songIds = [...new Set(events.map(event => event.songId))];
+    const playableSongs = await Song.find({
+      _id: { $in: songIds },
+      status: 'approved',
+      isActive: true
+    }).select('_id duration');
+    const songsById = new Map(playableSongs.map(song => [song._id.toString(), song]));
+
+    const { earliest, latest } = startTimeBounds({ batch: true });
+    const accepted = [];
+    const rejected = [];
+
+    events.forEach((event, index) => {
+      const startedAt = new Date(event.startedAt);
+
+      if (!songsById.has(event.songId)) {
+        rejected.push({ index, ...localizeError(req, 'SONG_NOT_FOUND') });
+      } else if (startedAt > latest) {
+        rejected.push({ index, ...localizeError(req, 'PLAY_START_IN_FUTURE') });
+      } else if (startedAt < earliest) {
+        rejected.push({ index, ...localizeError(req, 'PLAY_START_TOO_OLD', { hours: PLAY_RULES.batchMaxAgeHours }) });
+      } else {
+        accepted.push({
+          song: songsById.get(event.songId),
+          play: {
+            startedAt,
+            secondsListened: event.secondsListened !== undefined ? Number(event.secondsListened) : 0,
+            completed: event.completed === true || event.completed === 'true',
+            clientEventId: event.clientEventId || undefined
+          }
+        });
+      }
+    });
+
+    // Oldest first, so each play is checked against the ones before it
+    accepted.sort((a, b) => a.play.startedAt - b.play.startedAt);
+
+    const listener = {
+      userId: req.user._id,
+      deviceId: req.get('X-Device-Id'),
+      ip: req.ip
+    };
+    const countedBySong = new Map();
+    let recorded = 0;
+    let duplicates = 0;
+
+    for (const { song, play } of accepted) {
+      const result = await recordPlay(song, listener, play);
+      if (!result) {
+        duplicates++;
+        continue;
+      }
+
+      recorded++;
+      if (result.counted) {
+        const songId = song._id.toString();
+        const entry = countedBySong.get(songId) || { count: 0, lastPlayed: play.startedAt };
+        entry.count += 1;
+        if (play.startedAt > entry.lastPlayed) entry.lastPlayed = play.startedAt;
+        countedBySong.set(songId, entry);
+      }
+    }
+
+    // Add the plays that count to the public counters, one update per song
+    let counted = 0;
+    for (const [songId, { count, lastPlayed }] of countedBySong) {
+      await countPlays(songId, req.user._id, count, lastPlayed);
+      counted += count;
+    }
+
+    res.status(201).json({
+      message: 'Plays recorded successfully',
+      data: {
+        recorded,
+        counted,
+        duplicates,
+        rejected
+      }
+    });
+
+  } catch (error) {
+    console.error('Play batch error:', error);
+    res.status(500).json(localizeError(req, 'PLAY_BATCH_FAILED'));
+  }
+});
+
+module.exports = router;
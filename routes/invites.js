@@ -0,0 +1,175 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Invite = require('../models/Invite');
+const { authenticate, authorize } = require('../middleware/auth');
+const { localizeError, localizeDetails } = require('../utils/i18n');
+
+const router = express.Router();
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      ...localizeError(req, 'VALIDATION_FAILED'),
+      details: localizeDetails(req, errors.array())
+    });
+  }
+  next();
+};
+
+// Validation rules for invite creation
+const inviteValidation = [
+  body('role')
+    .isIn(['contributor', 'admin'])
+    .withMessage('Role must be contributor or admin'),
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage('Expiry must be between 1 and 90 days'),
+  body('maxUses')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Maximum uses must be between 1 and 100'),
+  body('note')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note cannot exceed 200 characters')
+];
+
+// All invite management is for admins only
+router.use(authenticate, authorize('admin'));
+
+// @route   POST /api/invites
+// @desc    Create an invite code for a contributor or admin account
+// @access  Private (Admin)
+router.post('/', inviteValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { role, expiresInDays = 7, maxUses = 1, note = '' } = req.body;
+
+    const { invite, code } = await Invite.createInvite({
+      role,
+      expiresAt: new Date(Date.now() + parseInt(expiresInDays) * 24 * 60 * 60 * 1000),
+      maxUses: parseInt(maxUses),
+      note,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Invite created successfully. The code is only shown once.',
+      data: {
+        invite,
+        code
+      }
+    });
+
+  } catch (error) {
+    console.error('Invite creation error:', error);
+    res.status(500).json(localizeError(req, 'INVITE_CREATION_FAILED'));
+  }
+});
+
+// @route   GET /api/invites
+// @desc    List invites
+// @access  Private (Admin)
+router.get('/', [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(['active', 'used', 'expired', 'revoked'])
+    .withMessage('Status must be active, used, expired, or revoked')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const now = new Date();
+    const query = {};
+    if (status === 'revoked') {
+      query.revokedAt = { $ne: null };
+    } else if (status === 'used') {
+      query.revokedAt = null;
+      query.$expr = { $gte: ['$uses', '$maxUses'] };
+    } else if (status === 'expired') {
+      query.revokedAt = null;
+      query.expiresAt = { $lte: now };
+      query.$expr = { $lt: ['$uses', '$maxUses'] };
+    } else if (status === 'active') {
+      query.revokedAt = null;
+      query.expiresAt = { $gt: now };
+      query.$expr = { $lt: ['$uses', '$maxUses'] };
+    }
+
+    const skip = (page - 1) * limit;
+    const invites = await Invite.find(query)
+      .populate('createdBy', 'name')
+      .populate('redemptions.user', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Invite.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      message: 'Invites retrieved successfully',
+      data: {
+        invites,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalInvites: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Invites retrieval error:', error);
+    res.status(500).json(localizeError(req, 'INVITES_RETRIEVAL_FAILED'));
+  }
+});
+
+// @route   DELETE /api/invites/:id
+// @desc    Revoke an invite so it can no longer be used
+// @access  Private (Admin)
+router.delete('/:id', async (req, res) => {
+  try {
+    const invite = await Invite.findById(req.params.id);
+
+    if (!invite) {
+      return res.status(404).json(localizeError(req, 'INVITE_NOT_FOUND'));
+    }
+
+    if (invite.revokedAt) {
+      return res.status(400).json(localizeError(req, 'INVITE_ALREADY_REVOKED'));
+    }
+
+    invite.revokedAt = new Date();
+    invite.revokedBy = req.user._id;
+    await invite.save();
+
+    res.json({
+      message: 'Invite revoked successfully',
+      data: { invite }
+    });
+
+  } catch (error) {
+    console.error('Invite revoke error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json(localizeError(req, 'INVALID_INVITE_ID'));
+    }
+    res.status(500).json(localizeError(req, 'INVITE_REVOKE_FAILED'));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,235 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Song = require('../models/Song');
+const ModerationEvent = require('../models/ModerationEvent');
+const { authenticate, authorize } = require('../middleware/auth');
+const { deleteStoredFile } = require('../middleware/upload');
+const { localizeError, localizeDetails } = require('../utils/i18n');
+
+const router = express.Router();
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      ...localizeError(req, 'VALIDATION_FAILED'),
+      details: localizeDetails(req, errors.array())
+    });
+  }
+  next();
+};
+
+const notesValidation = (required = false) => [
+  (required ? body('notes') : body('notes').optional())
+    .isString()
+    .trim()
+    .isLength({ min: required ? 1 : 0, max: 1000 })
+    .withMessage(required
+      ? 'Notes are required and cannot exceed 1000 characters'
+      : 'Notes cannot exceed 1000 characters')
+];
+
+// Helper function to build a route handler that applies one moderation action
+const moderationAction = (action, pastTense) => async (req, res) => {
+  try {
+    const song = await Song.findOne({ _id: req.params.id, isActive: true });
+
+    if (!song) {
+      return res.status(404).json(localizeError(req, 'SONG_NOT_FOUND'));
+    }
+
+    if (!song.canTransition(action)) {
+      return res.status(400).json(localizeError(req, 'INVALID_STATUS_TRANSITION', { status: song.status }));
+    }
+
+    await song.transition(action, req.user._id, req.body.notes || '');
+    await song.populate('uploadedBy', 'name');
+
+    res.json({
+      message: `Song ${pastTense} successfully`,
+      data: { song }
+    });
+
+  } catch (error) {
+    console.error(`Song ${action} error:`, error);
+    if (error.name === 'CastError') {
+      return res.status(400).json(localizeError(req, 'INVALID_SONG_ID'));
+    }
+    res.status(500).json(localizeError(req, 'MODERATION_FAILED'));
+  }
+};
+
+// Helper function to build a route handler that approves or rejects a song's pending revision
+const revisionAction = (action, pastTense) => async (req, res) => {
+  try {
+    const song = await Song.findOne({ _id: req.params.id, isActive: true }).select('+pendingRevision');
+
+    if (!song) {
+      return res.status(404).json(localizeError(req, 'SONG_NOT_FOUND'));
+    }
+
+    if (!song.hasPendingRevision()) {
+      return res.status(400).json(localizeError(req, 'NO_PENDING_REVISION'));
+    }
+
+    // Approving replaces the live files, rejecting throws away the revision's files
+    const unusedKeys = action === 'approve'
+      ? await song.applyRevision(req.user._id, req.body.notes || '')
+      : await song.discardRevision(req.user._id, req.body.notes || '');
+    await Promise.all(unusedKeys.map(deleteStoredFile));
+
+    await song.populate('uploadedBy', 'name');
+
+    res.json({
+      message: `Song revision ${pastTense} successfully`,
+      data: { song }
+    });
+
+  } catch (error) {
+    console.error(`Song revision ${action} error:`, error);
+    if (error.name === 'CastError') {
+      return res.status(400).json(localizeError(req, 'INVALID_SONG_ID'));
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        ...localizeError(req, 'VALIDATION_FAILED'),
+        details: localizeDetails(req, Object.values(error.errors).map(err => err.message))
+      });
+    }
+    res.status(500).json(localizeError(req, 'REVISION_MODERATION_FAILED'));
+  }
+};
+
+// @route   GET /api/moderation/queue
+// @desc    Get songs awaiting moderation, oldest first (status=revision lists edits to approved songs)
+// @access  Private (Admin)
+router.get('/queue', authenticate, authorize('admin'), [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'rejected', 'hidden', 'revision'])
+    .withMessage('Status must be pending, rejected, hidden, or revision')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status = 'pending'
+    } = req.query;
+
+    const isRevisionQueue = status === 'revision';
+    const query = isRevisionQueue
+      ? { 'pendingRevision.submittedAt': { $ne: null }, isActive: true }
+      : { status, isActive: true };
+
+    const skip = (page - 1) * limit;
+    const songs = await Song.find(query)
+      .select('+pendingRevision')
+      .populate('uploadedBy', 'name email')
+      .sort(isRevisionQueue ? { 'pendingRevision.submittedAt': 1 } : { updatedAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await Song.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      message: 'Moderation queue retrieved successfully',
+      data: {
+        songs,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalSongs: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Moderation queue retrieval error:', error);
+    res.status(500).json(localizeError(req, 'MODERATION_QUEUE_RETRIEVAL_FAILED'));
+  }
+});
+
+// @route   POST /api/moderation/songs/:id/approve
+// @desc    Approve a pending or rejected song
+// @access  Private (Admin)
+router.post('/songs/:id/approve', authenticate, authorize('admin'),
+  notesValidation(), handleValidationErrors, moderationAction('approve', 'approved'));
+
+// @route   POST /api/moderation/songs/:id/reject
+// @desc    Reject a song with notes for the contributor
+// @access  Private (Admin)
+router.post('/songs/:id/reject', authenticate, authorize('admin'),
+  notesValidation(true), handleValidationErrors, moderationAction('reject', 'rejected'));
+
+// @route   POST /api/moderation/songs/:id/hide
+// @desc    Hide an approved song from the public catalogue
+// @access  Private (Admin)
+router.post('/songs/:id/hide', authenticate, authorize('admin'),
+  notesValidation(), handleValidationErrors, moderationAction('hide', 'hidden'));
+
+// @route   POST /api/moderation/songs/:id/unhide
+// @desc    Make a hidden song public again
+// @access  Private (Admin)
+router.post('/songs/:id/unhide', authenticate, authorize('admin'),
+  notesValidation(), handleValidationErrors, moderationAction('unhide', 'unhidden'));
+
+// @route   POST /api/moderation/songs/:id/revision/approve
+// @desc    Make the pending edits to an approved song live
+// @access  Private (Admin)
+router.post('/songs/:id/revision/approve', authenticate, authorize('admin'),
+  notesValidation(), handleValidationErrors, revisionAction('approve', 'approved'));
+
+// @route   POST /api/moderation/songs/:id/revision/reject
+// @desc    Discard the pending edits to an approved song, with notes for the contributor
+// @access  Private (Admin)
+router.post('/songs/:id/revision/reject', authenticate, authorize('admin'),
+  notesValidation(true), handleValidationErrors, revisionAction('reject', 'rejected'));
+
+// @route   GET /api/moderation/songs/:id/history
+// @desc    Get the moderation history of a song
+// @access  Private (Song owner or Admin)
+router.get('/songs/:id/history', authenticate, async (req, res) => {
+  try {
+    const song = await Song.findById(req.params.id).select('title status uploadedBy');
+
+    if (!song) {
+      return res.status(404).json(localizeError(req, 'SONG_NOT_FOUND'));
+    }
+
+    if (song.uploadedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json(localizeError(req, 'NOT_SONG_OWNER_HISTORY'));
+    }
+
+    const history = await ModerationEvent.findHistory(song._id);
+
+    res.json({
+      message: 'Moderation history retrieved successfully',
+      data: {
+        song: { _id: song._id, title: song.title, status: song.status },
+        history
+      }
+    });
+
+  } catch (error) {
+    console.error('Moderation history retrieval error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json(localizeError(req, 'INVALID_SONG_ID'));
+    }
+    res.status(500).json(localizeError(req, 'MODERATION_HISTORY_RETRIEVAL_FAILED'));
+  }
+});
+
+module.exports = router;
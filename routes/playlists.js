@@ -0,0 +1,449 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult, query } = require('express-validator');
+const Playlist = require('../models/Playlist');
+const Song = require('../models/Song');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const { localizeError, localizeDetails, resolveLocale } = require('../utils/i18n');
+const { localizeSong } = require('../utils/songTranslations');
+
+const router = express.Router();
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      ...localizeError(req, 'VALIDATION_FAILED'),
+      details: localizeDetails(req, errors.array())
+    });
+  }
+  next();
+};
+
+// Validation rules for playlist creation and updates
+const playlistValidation = (isUpdate = false) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Playlist name must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('visibility')
+    .optional()
+    .isIn(['public', 'private'])
+    .withMessage('Visibility must be public or private')
+];
+
+const paginationValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// Helper function to load an active playlist the current user owns
+const findOwnedPlaylist = async (req, res) => {
+  const playlist = await Playlist.findOne({ _id: req.params.id, isActive: true });
+
+  if (!playlist) {
+    res.status(404).json(localizeError(req, 'PLAYLIST_NOT_FOUND'));
+    return null;
+  }
+
+  if (!playlist.isOwnedBy(req.user) && req.user.role !== 'admin') {
+    res.status(403).json(localizeError(req, 'NOT_PLAYLIST_OWNER'));
+    return null;
+  }
+
+  return playlist;
+};
+
+// Helper function to reply to invalid ObjectId errors
+const handleCastError = (error, res) => {
+  if (error.name === 'CastError') {
+    res.status(400).json(localizeError(req, 'INVALID_ID'));
+    return true;
+  }
+  return false;
+};
+
+// Helper function to populate playlist songs in the caller's language, hiding songs that are no longer published
+const populateSongs = async (playlist, req) => {
+  await playlist.populate([
+    { path: 'owner', select: 'name' },
+    {
+      path: 'songs.song',
+      match: { status: 'approved', isActive: true },
+      select: 'title artist album translations duration coverImage audioFile.url language genre stats',
+      populate: { path: 'uploadedBy', select: 'name' }
+    }
+  ]);
+
+  const result = playlist.toJSON();
+  const locale = resolveLocale(req);
+  result.songs = result.songs
+    .filter(entry => entry.song)
+    .map(entry => ({ ...entry, song: localizeSong(entry.song, locale) }));
+  return result;
+};
+
+// @route   GET /api/playlists
+// @desc    Get current user's playlists
+// @access  Private
+router.get('/', authenticate, paginationValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const query = { owner: req.user._id, isActive: true };
+
+    const skip = (page - 1) * limit;
+    const playlists = await Playlist.find(query)
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Playlist.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      message: 'Playlists retrieved successfully',
+      data: {
+        playlists,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalPlaylists: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Playlists retrieval error:', error);
+    res.status(500).json(localizeError(req, 'PLAYLISTS_RETRIEVAL_FAILED'));
+  }
+});
+
+// @route   GET /api/playlists/public
+// @desc    Get public playlists
+// @access  Public
+router.get('/public', paginationValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const query = { visibility: 'public', isActive: true };
+
+    const skip = (page - 1) * limit;
+    const playlists = await Playlist.find(query)
+      .populate('owner', 'name')
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Playlist.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      message: 'Public playlists retrieved successfully',
+      data: {
+        playlists,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalPlaylists: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Public playlists retrieval error:', error);
+    res.status(500).json(localizeError(req, 'PUBLIC_PLAYLISTS_RETRIEVAL_FAILED'));
+  }
+});
+
+// @route   GET /api/playlists/:id
+// @desc    Get a single playlist with its songs in order
+// @access  Public (public playlists) / Private (own playlists)
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const playlist = await Playlist.findOne({ _id: req.params.id, isActive: true });
+
+    // Private playlists are reported as missing to anyone but the owner
+    if (!playlist || !playlist.canView(req.user)) {
+      return res.status(404).json(localizeError(req, 'PLAYLIST_NOT_FOUND'));
+    }
+
+    res.json({
+      message: 'Playlist retrieved successfully',
+      data: { playlist: await populateSongs(playlist, req) }
+    });
+
+  } catch (error) {
+    console.error('Playlist retrieval error:', error);
+    if (handleCastError(error, res)) return;
+    res.status(500).json(localizeError(req, 'PLAYLIST_RETRIEVAL_FAILED'));
+  }
+});
+
+// @route   POST /api/playlists
+// @desc    Create a new playlist
+// @access  Private
+router.post('/', authenticate, playlistValidation(), handleValidationErrors, async (req, res) => {
+  try {
+    const { name, description, visibility } = req.body;
+
+    const playlist = new Playlist({
+      name,
+      description: description || '',
+      visibility: visibility || 'private',
+      owner: req.user._id
+    });
+
+    await playlist.save();
+
+    res.status(201).json({
+      message: 'Playlist created successfully',
+      data: { playlist }
+    });
+
+  } catch (error) {
+    console.error('Playlist creation error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        ...localizeError(req, 'VALIDATION_FAILED'),
+        details: localizeDetails(req, Object.values(error.errors).map(err => err.message))
+      });
+    }
+
+    res.status(500).json(localizeError(req, 'PLAYLIST_CREATION_FAILED'));
+  }
+});
+
+// @route   PUT /api/playlists/:id
+// @desc    Update playlist details
+// @access  Private (Owner or Admin)
+router.put('/:id', authenticate, playlistValidation(true), handleValidationErrors, async (req, res) => {
+  try {
+    const playlist = await findOwnedPlaylist(req, res);
+    if (!playlist) return;
+
+    const { name, description, visibility } = req.body;
+
+    if (name !== undefined) playlist.name = name;
+    if (description !== undefined) playlist.description = description;
+    if (visibility !== undefined) playlist.visibility = visibility;
+
+    await playlist.save();
+
+    res.json({
+      message: 'Playlist updated successfully',
+      data: { playlist }
+    });
+
+  } catch (error) {
+    console.error('Playlist update error:', error);
+    if (handleCastError(error, res)) return;
+    res.status(500).json(localizeError(req, 'PLAYLIST_UPDATE_FAILED'));
+  }
+});
+
+// @route   DELETE /api/playlists/:id
+// @desc    Delete a playlist (mark as inactive)
+// @access  Private (Owner or Admin)
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    const playlist = await findOwnedPlaylist(req, res);
+    if (!playlist) return;
+
+    playlist.isActive = false;
+    await playlist.save();
+
+    // Keep Song.playlists in sync
+    await Song.updateMany(
+      { _id: { $in: playlist.songs.map(entry => entry.song) } },
+      { $pull: { playlists: playlist._id } }
+    );
+
+    res.json({
+      message: 'Playlist deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Playlist deletion error:', error);
+    if (handleCastError(error, res)) return;
+    res.status(500).json(localizeError(req, 'PLAYLIST_DELETION_FAILED'));
+  }
+});
+
+// @route   POST /api/playlists/:id/songs
+// @desc    Add a song to a playlist (at the end, or at a given position)
+// @access  Private (Owner or Admin)
+router.post('/:id/songs', authenticate, [
+  body('songId')
+    .isMongoId()
+    .withMessage('A valid song ID is required'),
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Position must be a non-negative integer')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const playlist = await findOwnedPlaylist(req, res);
+    if (!playlist) return;
+
+    const { songId, position } = req.body;
+
+    const song = await Song.findOne({
+      _id: songId,
+      status: 'approved',
+      isActive: true
+    }).select('_id');
+
+    if (!song) {
+      return res.status(404).json(localizeError(req, 'SONG_NOT_FOUND'));
+    }
+
+    // Atomic push so concurrent adds cannot create duplicates or exceed the limit
+    const push = { $each: [{ song: song._id, addedAt: new Date() }] };
+    if (position !== undefined) push.$position = parseInt(position);
+
+    const updated = await Playlist.findOneAndUpdate(
+      {
+        _id: playlist._id,
+        'songs.song': { $ne: song._id },
+        [`songs.${Playlist.MAX_SONGS - 1}`]: { $exists: false }
+      },
+      { $push: { songs: push } },
+      { new: true }
+    );
+
+    if (!updated) {
+      const current = await Playlist.findById(playlist._id);
+      if (current.hasSong(song._id)) {
+        return res.status(400).json(localizeError(req, 'SONG_ALREADY_IN_PLAYLIST'));
+      }
+      return res.status(400).json(localizeError(req, 'PLAYLIST_FULL', { max: Playlist.MAX_SONGS }));
+    }
+
+    // Keep Song.playlists in sync
+    await Song.updateOne({ _id: song._id }, { $addToSet: { playlists: updated._id } });
+
+    res.status(201).json({
+      message: 'Song added to playlist successfully',
+      data: { playlist: await populateSongs(updated, req) }
+    });
+
+  } catch (error) {
+    console.error('Playlist add song error:', error);
+    if (handleCastError(error, res)) return;
+    res.status(500).json(localizeError(req, 'PLAYLIST_ADD_SONG_FAILED'));
+  }
+});
+
+// @route   DELETE /api/playlists/:id/songs/:songId
+// @desc    Remove a song from a playlist
+// @access  Private (Owner or Admin)
+router.delete('/:id/songs/:songId', authenticate, async (req, res) => {
+  try {
+    const playlist = await findOwnedPlaylist(req, res);
+    if (!playlist) return;
+
+    if (!mongoose.isValidObjectId(req.params.songId) || !playlist.hasSong(req.params.songId)) {
+      return res.status(404).json(localizeError(req, 'SONG_NOT_IN_PLAYLIST'));
+    }
+
+    const updated = await Playlist.findByIdAndUpdate(
+      playlist._id,
+      { $pull: { songs: { song: req.params.songId } } },
+      { new: true }
+    );
+
+    // Keep Song.playlists in sync
+    await Song.updateOne({ _id: req.params.songId }, { $pull: { playlists: playlist._id } });
+
+    res.json({
+      message: 'Song removed from playlist successfully',
+      data: { playlist: await populateSongs(updated, req) }
+    });
+
+  } catch (error) {
+    console.error('Playlist remove song error:', error);
+    if (handleCastError(error, res)) return;
+    res.status(500).json(localizeError(req, 'PLAYLIST_REMOVE_SONG_FAILED'));
+  }
+});
+
+// @route   PUT /api/playlists/:id/songs/order
+// @desc    Reorder the songs in a playlist
+// @access  Private (Owner or Admin)
+router.put('/:id/songs/order', authenticate, [
+  body('songIds')
+    .isArray()
+    .withMessage('songIds must be an array'),
+  body('songIds.*')
+    .isMongoId()
+    .withMessage('Each song ID must be valid')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const playlist = await findOwnedPlaylist(req, res);
+    if (!playlist) return;
+
+    const { songIds } = req.body;
+
+    // The new order must contain exactly the songs already in the playlist
+    const entriesById = new Map(playlist.songs.map(entry => [entry.song.toString(), entry]));
+    const isPermutation = songIds.length === entriesById.size &&
+      new Set(songIds).size === songIds.length &&
+      songIds.every(id => entriesById.has(id));
+
+    if (!isPermutation) {
+      return res.status(400).json(localizeError(req, 'INVALID_PLAYLIST_ORDER'));
+    }
+
+    // Only apply the new order if no song was added or removed in the meantime
+    // ($all matches nothing when empty, and an empty playlist only needs the size check)
+    const unchanged = { _id: playlist._id, songs: { $size: songIds.length } };
+    if (songIds.length > 0) unchanged['songs.song'] = { $all: songIds };
+
+    const updated = await Playlist.findOneAndUpdate(
+      unchanged,
+      {
+        $set: {
+          songs: songIds.map(id => ({
+            song: entriesById.get(id).song,
+            addedAt: entriesById.get(id).addedAt
+          }))
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json(localizeError(req, 'PLAYLIST_CHANGED'));
+    }
+
+    res.json({
+      message: 'Playlist reordered successfully',
+      data: { playlist: await populateSongs(updated, req) }
+    });
+
+  } catch (error) {
+    console.error('Playlist reorder error:', error);
+    if (handleCastError(error, res)) return;
+    res.status(500).json(localizeError(req, 'PLAYLIST_REORDER_FAILED'));
+  }
+});
+
+module.exports = router;
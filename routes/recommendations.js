@@ -0,0 +1,49 @@
+const express = require('express');
+const { validationResult, query } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+const { recommendForUser, presentReasons } = require('../services/recommendations');
+const { localizeError, localizeDetails, resolveLocale } = require('../utils/i18n');
+const { localizeSongs } = require('../utils/songTranslations');
+
+const router = express.Router();
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      ...localizeError(req, 'VALIDATION_FAILED'),
+      details: localizeDetails(req, errors.array())
+    });
+  }
+  next();
+};
+
+// @route   GET /api/recommendations
+// @desc    Get songs picked for me from my favorites, ratings and listening, each with the reasons
+//          it was picked (e.g. "Because you listened to Teresa Teng"). Songs I played recently are left out.
+// @access  Private
+router.get('/', authenticate, [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+
+    const songs = await recommendForUser(req.user._id, parseInt(limit));
+    const locale = resolveLocale(req);
+
+    res.json({
+      message: 'Recommendations retrieved successfully',
+      data: { songs: localizeSongs(songs, locale).map(song => presentReasons(song, locale)) }
+    });
+
+  } catch (error) {
+    console.error('Recommendations retrieval error:', error);
+    res.status(500).json(localizeError(req, 'RECOMMENDATIONS_RETRIEVAL_FAILED'));
+  }
+});
+
+module.exports = router;
@@ -1,92 +1,149 @@
 const express = require('express');
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const SetupLock = require('../models/SetupLock');
+const { sensitiveOperationLimit } = require('../middleware/auth');
+const { localizeError, localizeDetails } = require('../utils/i18n');
 
 const router = express.Router();
 
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      ...localizeError(req, 'VALIDATION_FAILED'),
+      details: localizeDetails(req, errors.array())
+    });
+  }
+  next();
+};
+
+// Validation rules for the first admin account
+const createAdminValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('password')
+    .isLength({ min: 10 })
+    .withMessage('Admin password must be at least 10 characters long')
+];
+
+// Middleware to require the one-time setup token from SETUP_TOKEN
+const requireSetupToken = (req, res, next) => {
+  const expected = process.env.SETUP_TOKEN;
+
+  if (!expected) {
+    return res.status(503).json(localizeError(req, 'SETUP_DISABLED'));
+  }
+
+  const provided = req.header('X-Setup-Token') || '';
+
+  // Compare digests so the check takes the same time whatever was sent
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  if (!crypto.timingSafeEqual(digest(provided), digest(expected))) {
+    return res.status(401).json(localizeError(req, 'INVALID_SETUP_TOKEN'));
+  }
+
+  next();
+};
+
 // @route   POST /api/setup/create-admin
-// @desc    Create admin user (one-time setup)
-// @access  Public (but should be secured in production)
-router.post('/create-admin', async (req, res) => {
-  try {
-    // Admin user details
-    const adminData = {
-      name: 'Admin User',
-      email: 'admin@lovealways.com',
-      password: 'admin123',
-      role: 'admin',
-      isEmailVerified: true
-    };
-
-    // Check if admin already exists
-    const existingAdmin = await User.findOne({ email: adminData.email });
-    if (existingAdmin) {
-      return res.json({
-        message: 'Admin user already exists',
+// @desc    Create the first admin account (one-time, locks itself once used)
+// @access  Public (requires X-Setup-Token matching SETUP_TOKEN)
+router.post('/create-admin',
+  sensitiveOperationLimit(),
+  requireSetupToken,
+  createAdminValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    const setupCompleted = () => res.status(410).json(localizeError(req, 'SETUP_ALREADY_COMPLETED'));
+
+    let lock = null;
+
+    try {
+      if (await User.exists({ role: 'admin' })) {
+        // Make sure the endpoint stays closed even if the admin was created some other way
+        await SetupLock.acquire(SetupLock.ADMIN_BOOTSTRAP, 'api');
+        return setupCompleted();
+      }
+
+      // Claiming the lock first means two concurrent requests cannot both create an admin
+      lock = await SetupLock.acquire(SetupLock.ADMIN_BOOTSTRAP, 'api');
+      if (!lock) {
+        return setupCompleted();
+      }
+
+      const { name = 'Admin User', email, password } = req.body;
+
+      const adminUser = new User({
+        name,
+        email,
+        password,
+        role: 'admin',
+        isEmailVerified: true
+      });
+      await adminUser.save();
+
+      lock.completedBy = adminUser._id;
+      await lock.save();
+
+      res.status(201).json({
+        message: 'Admin user created successfully',
         admin: {
-          email: existingAdmin.email,
-          name: existingAdmin.name,
-          role: existingAdmin.role,
-          createdAt: existingAdmin.createdAt
+          name: adminUser.name,
+          email: adminUser.email,
+          role: adminUser.role
         }
       });
-    }
 
-    // Create admin user
-    const adminUser = new User(adminData);
-    await adminUser.save();
-
-    res.status(201).json({
-      message: 'Admin user created successfully!',
-      admin: {
-        email: adminData.email,
-        password: adminData.password, // Only show in response for setup
-        role: adminData.role,
-        name: adminData.name
-      },
-      instructions: 'You can now login with these credentials in your mobile app!'
-    });
+    } catch (error) {
+      console.error('Admin creation error:', error);
 
-  } catch (error) {
-    console.error('Admin creation error:', error);
-    
-    if (error.code === 11000) {
-      return res.status(400).json({
-        error: 'User already exists',
-        message: 'An admin user with this email already exists'
-      });
-    }
+      // Release the lock so setup can be retried with corrected details
+      if (lock) {
+        await SetupLock.deleteOne({ _id: lock._id });
+      }
 
-    res.status(500).json({
-      error: 'Admin creation failed',
-      message: 'An error occurred while creating admin user'
-    });
+      if (error.code === 11000) {
+        return res.status(400).json(localizeError(req, 'USER_ALREADY_EXISTS'));
+      }
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          ...localizeError(req, 'VALIDATION_FAILED'),
+          details: localizeDetails(req, Object.values(error.errors).map(err => err.message))
+        });
+      }
+
+      res.status(500).json(localizeError(req, 'ADMIN_CREATION_FAILED'));
+    }
   }
-});
+);
 
 // @route   GET /api/setup/admin-status
-// @desc    Check if admin user exists
+// @desc    Check whether the first admin still needs to be set up
 // @access  Public
 router.get('/admin-status', async (req, res) => {
   try {
-    const adminCount = await User.countDocuments({ role: 'admin' });
-    const adminUser = await User.findOne({ role: 'admin' }, 'name email createdAt');
+    const hasAdmin = Boolean(await User.exists({ role: 'admin' }));
+    const setupLocked = await SetupLock.isLocked(SetupLock.ADMIN_BOOTSTRAP);
 
     res.json({
-      hasAdmin: adminCount > 0,
-      adminCount,
-      admin: adminUser ? {
-        name: adminUser.name,
-        email: adminUser.email,
-        createdAt: adminUser.createdAt
-      } : null
+      hasAdmin,
+      setupAvailable: !hasAdmin && !setupLocked && Boolean(process.env.SETUP_TOKEN)
     });
   } catch (error) {
     console.error('Admin status check error:', error);
-    res.status(500).json({
-      error: 'Status check failed',
-      message: 'Unable to check admin status'
-    });
+    res.status(500).json(localizeError(req, 'SETUP_STATUS_FAILED'));
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,32 +1,74 @@
 const express = require('express');
-const { body, validationResult, query } = require('express-validator');
+const path = require('path');
+const { body, validationResult, query, param } = require('express-validator');
 const Song = require('../models/Song');
-const User = require('../models/User');
-const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
-const { uploadSongFiles, cleanupFiles } = require('../middleware/upload');
+const Playlist = require('../models/Playlist');
+const Favorite = require('../models/Favorite');
+const Rating = require('../models/Rating');
+const Caption = require('../models/Caption');
+require('../models/ModerationEvent'); // Registers the model used by Song moderation methods
+const { authenticate, authorize, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
+const {
+  uploadSongFiles,
+  uploadAudioFile,
+  uploadCoverImage,
+  populateFromAudioMetadata,
+  readAudioDetails,
+  uploadLyricsFile,
+  uploadCaptionsFile,
+  cleanupFiles,
+  persistUpload,
+  deleteStoredFile
+} = require('../middleware/upload');
+const { getStorage } = require('../services/storage');
+const { recordPlay, countPlays, getPlayCount, startTimeBounds } = require('../services/playCounter');
+const counterBuffer = require('../services/counterBuffer');
+const { findSimilarSongs, presentReasons } = require('../services/recommendations');
+const { searchSongs, suggestSongs } = require('../services/search');
+const { parseLrc, formatLrc, formatTimestamp, lrcToPlainText, MAX_LRC_LENGTH } = require('../utils/lrc');
+const { parseCaptions, formatVtt, formatSrt, captionsToTranscript, MAX_CAPTION_LENGTH } = require('../utils/captions');
+const { localizeError, localizeDetails, resolveLocale } = require('../utils/i18n');
+const { TRANSLATED_FIELDS, canonicalLanguageTag, localizeSong, localizeSongs } = require('../utils/songTranslations');
 
 const router = express.Router();
 
-// Helper function to handle validation errors
-const handleValidationErrors = (req, res, next) => {
+// Helper function to handle validation errors (removes files uploaded with the rejected request)
+const handleValidationErrors = async (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
+    if (req.cleanup) {
+      await req.cleanup();
+    }
     return res.status(400).json({
-      error: 'Validation failed',
-      message: 'Please check your input data',
-      details: errors.array()
+      ...localizeError(req, 'VALIDATION_FAILED'),
+      details: localizeDetails(req, errors.array())
     });
   }
   next();
 };
 
-// Validation rules for song creation
-const songValidation = [
-  body('title')
+// Helper function to flag songs the current user has favorited
+const withFavoriteFlags = async (songs, user) => {
+  if (!user || songs.length === 0) return songs;
+
+  const favoritedIds = await Favorite.favoritedSongIds(user._id, songs.map(song => song._id));
+
+  return songs.map(song => {
+    const songData = typeof song.toJSON === 'function' ? song.toJSON() : song;
+    return { ...songData, isFavorited: favoritedIds.has(songData._id.toString()) };
+  });
+};
+
+// Helper function to prepare songs for a response: names in the caller's language, and favorite flags
+const presentSongs = (songs, req) => withFavoriteFlags(localizeSongs(songs, resolveLocale(req)), req.user);
+
+// Validation rules for song fields (all optional when updating)
+const songFieldValidation = (isUpdate = false) => [
+  (isUpdate ? body('title').optional() : body('title'))
     .trim()
     .isLength({ min: 1, max: 200 })
     .withMessage('Title must be between 1 and 200 characters'),
-  body('artist')
+  (isUpdate ? body('artist').optional() : body('artist'))
     .trim()
     .isLength({ min: 1, max: 100 })
     .withMessage('Artist name must be between 1 and 100 characters'),
@@ -68,10 +110,121 @@ const songValidation = [
     .withMessage('Each tag must be between 1 and 30 characters')
 ];
 
+// Validation rules for song creation
+const songValidation = songFieldValidation();
+
+// Validation rules for notes sent to moderators along with an edit
+const editNotesValidation = body('notes')
+  .optional()
+  .isString()
+  .trim()
+  .isLength({ max: 1000 })
+  .withMessage('Notes cannot exceed 1000 characters');
+
+// Helper function to collect the song fields present in a request body, converted to their types
+const pickSongFields = (data) => {
+  const fields = {};
+  ['title', 'artist', 'album', 'genre', 'lyrics', 'language', 'tags'].forEach(field => {
+    if (data[field] !== undefined) fields[field] = data[field];
+  });
+  if (data.year !== undefined) fields.year = parseInt(data.year);
+  if (data.duration !== undefined) fields.duration = parseInt(data.duration);
+  return fields;
+};
+
+// Helper function to load an active song the current user may see (published, or their own
+// unpublished song), or send the error response
+const findAccessibleSong = async (req, res, fields) => {
+  const song = await Song.findOne({ _id: req.params.id, isActive: true })
+    .select(`${fields} status isActive uploadedBy`);
+
+  if (!song || !song.isAccessibleBy(req.user)) {
+    res.status(404).json(localizeError(req, 'SONG_NOT_FOUND'));
+    return null;
+  }
+
+  return song;
+};
+
+// Validation rule for a :language tag (caption tracks and translations), sanitized to its standard form
+const languageTagValidation = param('language')
+  .custom(value => canonicalLanguageTag(value) !== null)
+  .withMessage('Language must be a language tag such as en, zh or zh-Hant')
+  .customSanitizer(canonicalLanguageTag);
+
+// Validation rules for a translation of a song's title, artist and album
+const translationValidation = [
+  body('title')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Title cannot exceed 200 characters'),
+  body('artist')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Artist name cannot exceed 100 characters'),
+  body('album')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Album name cannot exceed 100 characters')
+];
+
+// Helper function to copy the translations an edit builds on: the ones waiting for review when the edit is
+// queued for review too, otherwise the live ones (a direct edit must not publish unreviewed translations)
+const currentTranslations = (song, req) => {
+  const pending = song.requiresReview(req.user) && song.hasPendingRevision()
+    ? song.pendingRevision.changes.translations
+    : undefined;
+  return (pending || song.translations || []).map(({ locale, title, artist, album }) => ({ locale, title, artist, album }));
+};
+
+// Helper function to save a song's new translations, or queue them for review. Returns whether they wait for review.
+const saveTranslations = async (song, translations, req) => {
+  const pendingReview = song.requiresReview(req.user);
+  if (pendingReview) {
+    // DELETE requests may come without a body
+    await song.submitRevision({ changes: { translations } }, req.user._id, (req.body && req.body.notes) || '');
+  } else {
+    song.translations = translations;
+    await song.save();
+  }
+  return pendingReview;
+};
+
+// Validation rule for the kind of a caption track
+const captionKindValidation = (location) => location('kind')
+  .optional()
+  .isIn(['captions', 'subtitles'])
+  .withMessage('Kind must be captions or subtitles');
+
+// Helper function to load a song the current user may edit, or send the error response
+const findEditableSong = async (req, res) => {
+  const song = await Song.findOne({ _id: req.params.id, isActive: true }).select('+pendingRevision');
+
+  if (!song) {
+    res.status(404).json(localizeError(req, 'SONG_NOT_FOUND'));
+    return null;
+  }
+
+  if (song.uploadedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    res.status(403).json(localizeError(req, 'NOT_SONG_OWNER'));
+    return null;
+  }
+
+  return song;
+};
+
 // @route   GET /api/songs
-// @desc    Get all approved songs with pagination and filtering
+// @desc    Get all approved songs with pagination and filtering.
+//          ?search= matches titles, artists, albums (and their translations) and lyrics, including Chinese, pinyin, partial words and typos.
+//          Names are shown, and sorted by, in the caller's language; the originals are in each song's `original`.
 // @access  Public
-router.get('/', [
+router.get('/', optionalAuth, [
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -94,6 +247,10 @@ router.get('/', [
     .optional()
     .isIn(['en', 'zh', 'mixed', 'other'])
     .withMessage('Language filter must be en, zh, mixed, or other'),
+  query('transcriptionAvailable')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Transcription available filter must be true or false'),
   query('sortBy')
     .optional()
     .isIn(['createdAt', 'playCount', 'favoriteCount', 'title', 'artist'])
@@ -102,7 +259,7 @@ router.get('/', [
     .optional()
     .isIn(['asc', 'desc'])
     .withMessage('Sort order must be asc or desc')
-], handleValidationErrors, optionalAuth, async (req, res) => {
+], handleValidationErrors, async (req, res) => {
   try {
     const {
       page = 1,
@@ -110,6 +267,7 @@ router.get('/', [
       search,
       genre,
       language,
+      transcriptionAvailable,
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
@@ -118,15 +276,15 @@ router.get('/', [
     const query = { status: 'approved', isActive: true };
 
     // Add filters
-    if (search) {
-      query.$text = { $search: search };
-    }
     if (genre) {
       query.genre = new RegExp(genre, 'i');
     }
     if (language) {
       query.language = language;
     }
+    if (transcriptionAvailable !== undefined) {
+      query['accessibility.transcriptionAvailable'] = transcriptionAvailable === 'true';
+    }
 
     // Build sort object
     const sort = {};
@@ -134,31 +292,50 @@ router.get('/', [
       sort['stats.playCount'] = sortOrder === 'desc' ? -1 : 1;
     } else if (sortBy === 'favoriteCount') {
       sort['stats.favoriteCount'] = sortOrder === 'desc' ? -1 : 1;
+    } else if (sortBy === 'title' || sortBy === 'artist') {
+      // By the name shown in the caller's language (pinyin order for Chinese)
+      sort[`searchIndex.sortKeys.${resolveLocale(req)}.${sortBy}`] = sortOrder === 'desc' ? -1 : 1;
     } else {
       sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
     }
 
-    // Execute query with pagination
-    const skip = (page - 1) * limit;
-    const songs = await Song.find(query)
-      .populate('uploadedBy', 'name')
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean();
+    let songs;
+    let total;
+    let totalIsLowerBound = false;
+    if (search) {
+      // Search results are ranked by how well they match, unless a sort was asked for.
+      // Very common words can match more songs than are scored, so the total may be a lower bound.
+      ({ songs, total, totalIsLowerBound } = await searchSongs(search, {
+        filter: query,
+        sort: req.query.sortBy ? sort : undefined,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      }));
+      await Song.populate(songs, { path: 'uploadedBy', select: 'name' });
+    } else {
+      // Execute query with pagination
+      const skip = (page - 1) * limit;
+      songs = await Song.find(query)
+        .populate('uploadedBy', 'name')
+        .sort(sort)
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean();
 
-    // Get total count for pagination
-    const total = await Song.countDocuments(query);
+      // Get total count for pagination
+      total = await Song.countDocuments(query);
+    }
     const totalPages = Math.ceil(total / limit);
 
     res.json({
       message: 'Songs retrieved successfully',
       data: {
-        songs,
+        songs: await presentSongs(songs, req),
         pagination: {
           currentPage: parseInt(page),
           totalPages,
           totalSongs: total,
+          totalIsLowerBound,
           hasNextPage: page < totalPages,
           hasPrevPage: page > 1
         }
@@ -167,10 +344,39 @@ router.get('/', [
 
   } catch (error) {
     console.error('Songs retrieval error:', error);
-    res.status(500).json({
-      error: 'Songs retrieval failed',
-      message: 'An error occurred while retrieving songs'
+    res.status(500).json(localizeError(req, 'SONGS_RETRIEVAL_FAILED'));
+  }
+});
+
+// @route   GET /api/songs/suggest
+// @desc    Get typeahead suggestions for a partly typed title or artist, popular songs first
+// @access  Public
+router.get('/suggest', optionalAuth, [
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search text must be between 1 and 100 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { q, limit = 8 } = req.query;
+
+    const suggestions = await suggestSongs(q, {
+      filter: { status: 'approved', isActive: true },
+      limit: parseInt(limit)
     });
+
+    res.json({
+      message: 'Suggestions retrieved successfully',
+      data: { suggestions: localizeSongs(suggestions, resolveLocale(req)) }
+    });
+
+  } catch (error) {
+    console.error('Song suggestions error:', error);
+    res.status(500).json(localizeError(req, 'SONG_SUGGESTIONS_FAILED'));
   }
 });
 
@@ -191,15 +397,12 @@ router.get('/featured', optionalAuth, async (req, res) => {
 
     res.json({
       message: 'Featured songs retrieved successfully',
-      data: { songs }
+      data: { songs: await presentSongs(songs, req) }
     });
 
   } catch (error) {
     console.error('Featured songs retrieval error:', error);
-    res.status(500).json({
-      error: 'Featured songs retrieval failed',
-      message: 'An error occurred while retrieving featured songs'
-    });
+    res.status(500).json(localizeError(req, 'FEATURED_SONGS_RETRIEVAL_FAILED'));
   }
 });
 
@@ -213,15 +416,12 @@ router.get('/popular', optionalAuth, async (req, res) => {
 
     res.json({
       message: 'Popular songs retrieved successfully',
-      data: { songs }
+      data: { songs: await presentSongs(songs, req) }
     });
 
   } catch (error) {
     console.error('Popular songs retrieval error:', error);
-    res.status(500).json({
-      error: 'Popular songs retrieval failed',
-      message: 'An error occurred while retrieving popular songs'
-    });
+    res.status(500).json(localizeError(req, 'POPULAR_SONGS_RETRIEVAL_FAILED'));
   }
 });
 
@@ -235,15 +435,83 @@ router.get('/recent', optionalAuth, async (req, res) => {
 
     res.json({
       message: 'Recent songs retrieved successfully',
-      data: { songs }
+      data: { songs: await presentSongs(songs, req) }
     });
 
   } catch (error) {
     console.error('Recent songs retrieval error:', error);
-    res.status(500).json({
-      error: 'Recent songs retrieval failed',
-      message: 'An error occurred while retrieving recent songs'
+    res.status(500).json(localizeError(req, 'RECENT_SONGS_RETRIEVAL_FAILED'));
+  }
+});
+
+// @route   GET /api/songs/favorites
+// @desc    Get current user's favorite songs
+// @access  Private
+router.get('/favorites', authenticate, [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Only count favorites whose song is still published
+    const [result] = await Favorite.aggregate([
+      { $match: { user: req.user._id } },
+      {
+        $lookup: {
+          from: Song.collection.name,
+          localField: 'song',
+          foreignField: '_id',
+          as: 'song'
+        }
+      },
+      { $unwind: '$song' },
+      { $match: { 'song.status': 'approved', 'song.isActive': true } },
+      { $project: { 'song.pendingRevision': 0, 'song.searchIndex': 0 } },
+      { $sort: { createdAt: -1 } },
+      {
+        $facet: {
+          favorites: [{ $skip: skip }, { $limit: parseInt(limit) }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const locale = resolveLocale(req);
+    const songs = result.favorites.map(favorite => ({
+      ...localizeSong(favorite.song, locale),
+      isFavorited: true,
+      favoritedAt: favorite.createdAt
+    }));
+    await Song.populate(songs, { path: 'uploadedBy', select: 'name' });
+
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      message: 'Favorite songs retrieved successfully',
+      data: {
+        songs,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalSongs: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
     });
+
+  } catch (error) {
+    console.error('Favorite songs retrieval error:', error);
+    res.status(500).json(localizeError(req, 'FAVORITE_SONGS_RETRIEVAL_FAILED'));
   }
 });
 
@@ -262,15 +530,12 @@ router.get('/user/:userId', optionalAuth, async (req, res) => {
 
     res.json({
       message: 'User songs retrieved successfully',
-      data: { songs }
+      data: { songs: await presentSongs(songs, req) }
     });
 
   } catch (error) {
     console.error('User songs retrieval error:', error);
-    res.status(500).json({
-      error: 'User songs retrieval failed',
-      message: 'An error occurred while retrieving user songs'
-    });
+    res.status(500).json(localizeError(req, 'USER_SONGS_RETRIEVAL_FAILED'));
   }
 });
 
@@ -286,29 +551,70 @@ router.get('/:id', optionalAuth, async (req, res) => {
     }).populate('uploadedBy', 'name');
 
     if (!song) {
-      return res.status(404).json({
-        error: 'Song not found',
-        message: 'The requested song could not be found'
-      });
+      return res.status(404).json(localizeError(req, 'SONG_NOT_FOUND'));
+    }
+
+    // Let signed-in users see which of their playlists already hold this song
+    let inPlaylists;
+    if (req.user) {
+      inPlaylists = await Playlist.findContainingSong(req.user._id, song._id);
     }
 
+    const [songData] = await presentSongs([song], req);
+
+    // Include plays that are still waiting in the counter buffer
+    songData.stats.playCount += counterBuffer.pendingFor(Song, song._id, 'stats.playCount');
+
     res.json({
       message: 'Song retrieved successfully',
-      data: { song }
+      data: { song: songData, ...(inPlaylists && { inPlaylists }) }
     });
 
   } catch (error) {
     console.error('Song retrieval error:', error);
     if (error.name === 'CastError') {
-      return res.status(400).json({
-        error: 'Invalid song ID',
-        message: 'The provided song ID is not valid'
-      });
+      return res.status(400).json(localizeError(req, 'INVALID_SONG_ID'));
+    }
+    res.status(500).json(localizeError(req, 'SONG_RETRIEVAL_FAILED'));
+  }
+});
+
+// @route   GET /api/songs/:id/similar
+// @desc    Get songs like this one (same artist, genre, tags, language or era), each with the reasons it matched
+// @access  Public
+router.get('/:id/similar', optionalAuth, [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { limit = 10 } = req.query;
+
+    const song = await Song.findOne({
+      _id: req.params.id,
+      status: 'approved',
+      isActive: true
+    }).select('artist genre tags language year').lean();
+
+    if (!song) {
+      return res.status(404).json(localizeError(req, 'SONG_NOT_FOUND'));
     }
-    res.status(500).json({
-      error: 'Song retrieval failed',
-      message: 'An error occurred while retrieving the song'
+
+    const songs = await findSimilarSongs(song, parseInt(limit));
+    const presented = await presentSongs(songs, req);
+
+    res.json({
+      message: 'Similar songs retrieved successfully',
+      data: { songs: presented.map(similar => presentReasons(similar, resolveLocale(req))) }
     });
+
+  } catch (error) {
+    console.error('Similar songs retrieval error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json(localizeError(req, 'INVALID_SONG_ID'));
+    }
+    res.status(500).json(localizeError(req, 'SIMILAR_SONGS_RETRIEVAL_FAILED'));
   }
 });
 
@@ -318,8 +624,10 @@ router.get('/:id', optionalAuth, async (req, res) => {
 router.post('/', 
   authenticate, 
   authorize('contributor', 'admin'),
+  requireVerifiedEmail,
   uploadSongFiles,
   cleanupFiles,
+  populateFromAudioMetadata,
   songValidation,
   handleValidationErrors,
   async (req, res) => {
@@ -347,24 +655,30 @@ router.post('/',
         lyrics: lyrics || '',
         language: language || 'en',
         tags: tags || [],
-        uploadedBy: req.user._id,
-        audioFile: {
-          filename: req.audioFile.filename,
-          originalName: req.audioFile.originalname,
-          mimeType: req.audioFile.mimetype,
-          size: req.audioFile.size,
-          url: req.audioFile.url
-        }
+        uploadedBy: req.user._id
+      };
+
+      // Move the checked files from the temp dir into storage
+      const audio = await persistUpload(req.audioFile, 'audio');
+      songData.audioFile = {
+        key: audio.key,
+        filename: path.basename(audio.key),
+        originalName: req.audioFile.originalname,
+        mimeType: req.audioFile.mimetype,
+        size: req.audioFile.size,
+        ...req.audioMetadata
       };
 
       // Add cover image if provided
       if (req.coverImage) {
+        const cover = await persistUpload(req.coverImage, 'images');
         songData.coverImage = {
-          filename: req.coverImage.filename,
+          key: cover.key,
+          filename: path.basename(cover.key),
           originalName: req.coverImage.originalname,
           mimeType: req.coverImage.mimetype,
           size: req.coverImage.size,
-          url: req.coverImage.url
+          url: cover.url
         };
       }
 
@@ -376,8 +690,15 @@ router.post('/',
       }
 
       const song = new Song(songData);
+      song.audioFile.url = song.getStreamUrl();
       await song.save();
 
+      // Start the song's moderation history
+      await song.recordModerationEvent(
+        song.status === 'approved' ? 'approve' : 'submit',
+        req.user._id
+      );
+
       // Populate uploader information
       await song.populate('uploadedBy', 'name');
 
@@ -396,143 +717,1105 @@ router.post('/',
 
       if (error.name === 'ValidationError') {
         return res.status(400).json({
-          error: 'Validation failed',
-          message: 'Please check your song data',
-          details: Object.values(error.errors).map(err => err.message)
+          ...localizeError(req, 'VALIDATION_FAILED'),
+          details: localizeDetails(req, Object.values(error.errors).map(err => err.message))
         });
       }
 
-      res.status(500).json({
-        error: 'Song upload failed',
-        message: 'An error occurred while uploading the song'
-      });
+      res.status(500).json(localizeError(req, 'SONG_UPLOAD_FAILED'));
     }
   }
 );
 
-// @route   PUT /api/songs/:id/play
-// @desc    Increment play count for a song
-// @access  Public
-router.put('/:id/play', optionalAuth, async (req, res) => {
+// @route   GET /api/songs/:id/stream
+// @desc    Stream a song's audio with HTTP Range support (?revision=true streams audio awaiting review)
+// @access  Public (published songs) / Private (owner or admin preview of unpublished songs and revisions)
+router.get('/:id/stream', optionalAuth, async (req, res) => {
   try {
-    const song = await Song.findOne({
-      _id: req.params.id,
-      status: 'approved',
-      isActive: true
-    });
+    const wantsRevision = req.query.revision === 'true';
+    const song = await Song.findById(req.params.id)
+      .select(`status isActive uploadedBy audioFile${wantsRevision ? ' +pendingRevision' : ''}`);
 
-    if (!song) {
-      return res.status(404).json({
-        error: 'Song not found',
-        message: 'The requested song could not be found'
-      });
+    const notFound = () => res.status(404).json(localizeError(req, 'SONG_NOT_FOUND'));
+
+    // Unpublished songs are reported as missing to anyone who cannot preview them
+    if (!song || !song.isAccessibleBy(req.user)) {
+      return notFound();
     }
 
-    await song.incrementPlayCount();
+    let audioFile = song.audioFile;
+    if (wantsRevision) {
+      const canReview = req.user &&
+        (req.user.role === 'admin' || song.uploadedBy.toString() === req.user._id.toString());
+      const revisedAudio = song.hasPendingRevision() && song.pendingRevision.audioFile;
 
-    // Update user stats if authenticated
-    if (req.user) {
-      await User.findByIdAndUpdate(
-        req.user._id,
-        { $inc: { 'stats.songsPlayed': 1 } }
-      );
+      if (!canReview || !revisedAudio || !revisedAudio.key) {
+        return notFound();
+      }
+      audioFile = revisedAudio;
     }
 
-    res.json({
-      message: 'Play count updated successfully',
-      data: {
-        playCount: song.stats.playCount
+    const fileStorage = getStorage();
+    const audioKey = wantsRevision ? audioFile.key : song.getAudioKey();
+    const fileStats = await fileStorage.stat(audioKey);
+
+    if (!fileStats) {
+      console.error('Audio file missing from storage:', audioKey);
+      return res.status(404).json(localizeError(req, 'AUDIO_NOT_FOUND'));
+    }
+
+    const fileSize = fileStats.size;
+
+    res.set('Accept-Ranges', 'bytes');
+
+    let start = 0;
+    let end = fileSize - 1;
+
+    if (req.headers.range) {
+      const ranges = req.range(fileSize, { combine: true });
+
+      if (ranges === -1 || fileSize === 0) {
+        res.set('Content-Range', `bytes */${fileSize}`);
+        return res.status(416).json(localizeError(req, 'RANGE_NOT_SATISFIABLE'));
       }
+
+      // Malformed or non-byte ranges are ignored and the full file is sent
+      if (ranges !== -2 && ranges.type === 'bytes') {
+        // Multiple ranges are not supported - serve the first one
+        start = ranges[0].start;
+        end = ranges[0].end;
+        res.status(206);
+        res.set('Content-Range', `bytes ${start}-${end}/${fileSize}`);
+      }
+    }
+
+    res.set({
+      'Content-Type': audioFile.mimeType,
+      'Content-Length': fileSize === 0 ? 0 : end - start + 1,
+      'Cache-Control': song.isPublished() && !wantsRevision ? 'public, max-age=3600' : 'private, no-store',
+      'Last-Modified': new Date(fileStats.lastModified).toUTCString()
     });
 
-  } catch (error) {
-    console.error('Play count update error:', error);
-    res.status(500).json({
-      error: 'Play count update failed',
-      message: 'An error occurred while updating play count'
+    if (req.method === 'HEAD' || fileSize === 0) {
+      return res.end();
+    }
+
+    const stream = await fileStorage.openReadStream(audioKey, { start, end });
+    stream.on('error', (streamError) => {
+      console.error('Audio stream error:', streamError);
+      res.destroy(streamError);
     });
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('Song stream error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json(localizeError(req, 'INVALID_SONG_ID'));
+    }
+    res.status(500).json(localizeError(req, 'SONG_STREAM_FAILED'));
   }
 });
 
-// @route   POST /api/songs/:id/rate
-// @desc    Rate a song
-// @access  Private
-router.post('/:id/rate', authenticate, [
-  body('rating')
-    .isInt({ min: 1, max: 5 })
-    .withMessage('Rating must be between 1 and 5')
+// @route   PUT /api/songs/:id/resubmit
+// @desc    Edit a rejected song and send it back to moderation
+// @access  Private (Owner)
+router.put('/:id/resubmit', authenticate, [
+  ...songFieldValidation(true),
+  editNotesValidation
 ], handleValidationErrors, async (req, res) => {
   try {
-    const { rating } = req.body;
-
-    const song = await Song.findOne({
-      _id: req.params.id,
-      status: 'approved',
-      isActive: true
-    });
+    const song = await Song.findOne({ _id: req.params.id, isActive: true });
 
     if (!song) {
-      return res.status(404).json({
-        error: 'Song not found',
-        message: 'The requested song could not be found'
-      });
+      return res.status(404).json(localizeError(req, 'SONG_NOT_FOUND'));
     }
 
-    await song.addRating(rating);
+    if (song.uploadedBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json(localizeError(req, 'NOT_SONG_OWNER_RESUBMIT'));
+    }
+
+    if (!song.canTransition('resubmit')) {
+      return res.status(400).json(localizeError(req, 'ONLY_REJECTED_RESUBMIT'));
+    }
+
+    song.set(pickSongFields(req.body));
+
+    await song.transition('resubmit', req.user._id, req.body.notes || '');
+    await song.populate('uploadedBy', 'name');
 
     res.json({
-      message: 'Song rated successfully',
-      data: {
-        averageRating: song.stats.averageRating,
-        ratingCount: song.stats.ratingCount
-      }
+      message: 'Song resubmitted for moderation',
+      data: { song }
     });
 
   } catch (error) {
-    console.error('Song rating error:', error);
-    res.status(500).json({
-      error: 'Song rating failed',
-      message: 'An error occurred while rating the song'
-    });
+    console.error('Song resubmit error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json(localizeError(req, 'INVALID_SONG_ID'));
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        ...localizeError(req, 'VALIDATION_FAILED'),
+        details: localizeDetails(req, Object.values(error.errors).map(err => err.message))
+      });
+    }
+    res.status(500).json(localizeError(req, 'SONG_RESUBMIT_FAILED'));
   }
 });
 
-// @route   DELETE /api/songs/:id
-// @desc    Delete a song (mark as inactive)
+// @route   PATCH /api/songs/:id
+// @desc    Edit a song's details. A contributor's changes to the title, artist, album or lyrics
+//          of an approved (or hidden) song wait for moderation while the approved version stays live.
+//          Translations of the title, artist and album are edited with PUT /api/songs/:id/translations/:language.
 // @access  Private (Owner or Admin)
-router.delete('/:id', authenticate, async (req, res) => {
+router.patch('/:id', authenticate, [
+  ...songFieldValidation(true),
+  editNotesValidation
+], handleValidationErrors, async (req, res) => {
   try {
-    const song = await Song.findById(req.params.id);
+    const song = await findEditableSong(req, res);
+    if (!song) return;
 
-    if (!song) {
-      return res.status(404).json({
-        error: 'Song not found',
-        message: 'The requested song could not be found'
-      });
+    const updates = pickSongFields(req.body);
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json(localizeError(req, 'NO_CHANGES_PROVIDED'));
     }
 
-    // Check if user owns the song or is admin
-    if (song.uploadedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You can only delete your own songs'
+    // Split off the changes that have to be reviewed before they go live (Song.REVIEWED_FIELDS)
+    const revisionChanges = {};
+    if (song.requiresReview(req.user)) {
+      Song.REVIEWED_FIELDS.forEach(field => {
+        if (updates[field] === undefined) return;
+
+        const alreadyRevised = song.hasPendingRevision() && song.pendingRevision.changes[field] !== undefined;
+        // Compared by value, so resending the same tags is not a change
+        if (JSON.stringify(updates[field]) !== JSON.stringify(song[field]) || alreadyRevised) {
+          revisionChanges[field] = updates[field];
+        }
+        delete updates[field];
       });
     }
 
-    // Mark as inactive instead of deleting
-    song.isActive = false;
-    await song.save();
+    song.set(updates);
+
+    const pendingReview = Object.keys(revisionChanges);
+    if (pendingReview.length > 0) {
+      await song.submitRevision({ changes: revisionChanges }, req.user._id, req.body.notes || '');
+    } else {
+      await song.save();
+    }
 
     res.json({
-      message: 'Song deleted successfully'
+      message: pendingReview.length > 0
+        ? `Song updated. Changes to ${pendingReview.join(', ')} are awaiting review`
+        : 'Song updated successfully',
+      data: { song, pendingReview }
     });
 
   } catch (error) {
-    console.error('Song deletion error:', error);
-    res.status(500).json({
-      error: 'Song deletion failed',
-      message: 'An error occurred while deleting the song'
-    });
+    console.error('Song update error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json(localizeError(req, 'INVALID_SONG_ID'));
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        ...localizeError(req, 'VALIDATION_FAILED'),
+        details: localizeDetails(req, Object.values(error.errors).map(err => err.message))
+      });
+    }
+    res.status(500).json(localizeError(req, 'SONG_UPDATE_FAILED'));
+  }
+});
+
+// @route   PUT /api/songs/:id/audio
+// @desc    Replace a song's audio file. The old file is deleted once the new one is live.
+// @access  Private (Owner or Admin)
+router.put('/:id/audio',
+  authenticate,
+  uploadAudioFile,
+  cleanupFiles,
+  readAudioDetails,
+  editNotesValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const song = await findEditableSong(req, res);
+      if (!song) return req.cleanup();
+
+      const audio = await persistUpload(req.audioFile, 'audio');
+      const audioFile = {
+        key: audio.key,
+        filename: path.basename(audio.key),
+        originalName: req.audioFile.originalname,
+        mimeType: req.audioFile.mimetype,
+        size: req.audioFile.size,
+        ...req.audioMetadata
+      };
+
+      const pendingReview = song.requiresReview(req.user);
+      let replacedKeys;
+
+      if (pendingReview) {
+        replacedKeys = await song.submitRevision({ audioFile }, req.user._id, req.body.notes || '');
+      } else {
+        replacedKeys = [song.getAudioKey()];
+        song.audioFile = { ...audioFile, url: song.getStreamUrl() };
+        if (audioFile.duration) {
+          song.duration = Math.max(1, Math.round(audioFile.duration));
+        }
+        await song.save();
+      }
+
+      await Promise.all(replacedKeys.map(deleteStoredFile));
+
+      res.json({
+        message: pendingReview
+          ? 'New audio submitted for review. The current audio stays live until it is approved'
+          : 'Audio replaced successfully',
+        data: { song, pendingReview: pendingReview ? ['audioFile'] : [] }
+      });
+
+    } catch (error) {
+      console.error('Audio replacement error:', error);
+
+      // Cleanup uploaded file on error
+      if (req.cleanup) {
+        await req.cleanup();
+      }
+
+      if (error.name === 'CastError') {
+        return res.status(400).json(localizeError(req, 'INVALID_SONG_ID'));
+      }
+      res.status(500).json(localizeError(req, 'AUDIO_REPLACEMENT_FAILED'));
+    }
+  }
+);
+
+// @route   PUT /api/songs/:id/cover
+// @desc    Replace a song's cover image. The old image is deleted once the new one is live.
+// @access  Private (Owner or Admin)
+router.put('/:id/cover',
+  authenticate,
+  uploadCoverImage,
+  cleanupFiles,
+  editNotesValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const song = await findEditableSong(req, res);
+      if (!song) return req.cleanup();
+
+      const cover = await persistUpload(req.coverImage, 'images');
+      const coverImage = {
+        key: cover.key,
+        filename: path.basename(cover.key),
+        originalName: req.coverImage.originalname,
+        mimeType: req.coverImage.mimetype,
+        size: req.coverImage.size,
+        url: cover.url
+      };
+
+      const pendingReview = song.requiresReview(req.user);
+      let replacedKeys;
+
+      if (pendingReview) {
+        replacedKeys = await song.submitRevision({ coverImage }, req.user._id, req.body.notes || '');
+      } else {
+        replacedKeys = [song.getCoverKey()].filter(Boolean);
+        song.coverImage = coverImage;
+        await song.save();
+      }
+
+      await Promise.all(replacedKeys.map(deleteStoredFile));
+
+      res.json({
+        message: pendingReview
+          ? 'New cover image submitted for review. The current cover stays live until it is approved'
+          : 'Cover image replaced successfully',
+        data: { song, pendingReview: pendingReview ? ['coverImage'] : [] }
+      });
+
+    } catch (error) {
+      console.error('Cover replacement error:', error);
+
+      // Cleanup uploaded file on error
+      if (req.cleanup) {
+        await req.cleanup();
+      }
+
+      if (error.name === 'CastError') {
+        return res.status(400).json(localizeError(req, 'INVALID_SONG_ID'));
+      }
+      res.status(500).json(localizeError(req, 'COVER_REPLACEMENT_FAILED'));
+    }
+  }
+);
+
+// @route   PUT /api/songs/:id/lyrics
+// @desc    Set a song's timed lyrics for sing-along, from an uploaded .lrc file (field "lrc") or
+//          pasted LRC text (body "lrc"). Enhanced LRC with word timing is supported. Songs without
+//          plain lyrics get them from the LRC. For approved songs, contributors' lyrics wait for moderation.
+// @access  Private (Owner or Admin)
+router.put('/:id/lyrics', authenticate, uploadLyricsFile, [
+  body('lrc')
+    .isString()
+    .withMessage('Please provide LRC lyrics as text or as an .lrc file')
+    .isLength({ min: 1, max: MAX_LRC_LENGTH })
+    .withMessage(`LRC lyrics must be between 1 and ${MAX_LRC_LENGTH} characters`),
+  editNotesValidation
+], handleValidationErrors, async (req, res) => {
+  try {
+    const song = await findEditableSong(req, res);
+    if (!song) return;
+
+    const { lines, hasWordTiming, errors } = parseLrc(req.body.lrc, { duration: song.duration });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        ...localizeError(req, 'INVALID_LRC'),
+        details: localizeDetails(req, errors)
+      });
+    }
+
+    const changes = { timedLyrics: lines };
+    // Plain lyrics written by the contributor are kept; songs without them get the LRC text
+    const plainText = lrcToPlainText(lines);
+    if (!song.lyrics && plainText.length <= 10000) {
+      changes.lyrics = plainText;
+    }
+
+    const pendingReview = song.requiresReview(req.user);
+    if (pendingReview) {
+      await song.submitRevision({ changes }, req.user._id, req.body.notes || '');
+    } else {
+      song.set(changes);
+      await song.save();
+    }
+
+    res.json({
+      message: pendingReview
+        ? 'Timed lyrics submitted for review. The current lyrics stay live until they are approved'
+        : 'Timed lyrics saved successfully',
+      data: {
+        song,
+        timedLines: lines.length,
+        hasWordTiming,
+        pendingReview: pendingReview ? Object.keys(changes) : []
+      }
+    });
+
+  } catch (error) {
+    console.error('Timed lyrics update error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json(localizeError(req, 'INVALID_SONG_ID'));
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        ...localizeError(req, 'VALIDATION_FAILED'),
+        details: localizeDetails(req, Object.values(error.errors).map(err => err.message))
+      });
+    }
+    res.status(500).json(localizeError(req, 'TIMED_LYRICS_UPDATE_FAILED'));
+  }
+});
+
+// @route   GET /api/songs/:id/lyrics
+// @desc    Get a song's lyrics. format=json (default) gives timed lines when there are any,
+//          format=lrc the timed lyrics as an LRC file, format=plain the lyrics as plain text.
+// @access  Public (published songs) / Private (owner or admin preview of unpublished songs)
+router.get('/:id/lyrics', optionalAuth, [
+  query('format')
+    .optional()
+    .isIn(['json', 'lrc', 'plain'])
+    .withMessage('Format must be json, lrc, or plain')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    const song = await findAccessibleSong(req, res, 'title artist album duration lyrics hasTimedLyrics +timedLyrics');
+    if (!song) return;
+
+    const timedLines = song.hasTimedLyrics ? song.timedLyrics : [];
+    const plainText = song.lyrics || lrcToPlainText(timedLines);
+
+    if (format === 'lrc') {
+      if (timedLines.length === 0) {
+        return res.status(404).json(localizeError(req, 'TIMED_LYRICS_NOT_FOUND'));
+      }
+      const lrc = formatLrc(timedLines, {
+        title: song.title,
+        artist: song.artist,
+        album: song.album,
+        length: song.duration ? formatTimestamp(song.duration * 1000).slice(0, 5) : undefined
+      });
+      return res.type('text/plain; charset=utf-8').send(lrc);
+    }
+
+    if (!plainText) {
+      return res.status(404).json(localizeError(req, 'LYRICS_NOT_FOUND'));
+    }
+
+    if (format === 'plain') {
+      return res.type('text/plain; charset=utf-8').send(plainText);
+    }
+
+    res.json({
+      message: 'Lyrics retrieved successfully',
+      data: {
+        lyrics: {
+          timed: timedLines.length > 0,
+          hasWordTiming: timedLines.some(line => line.words && line.words.length > 0),
+          // Times are in milliseconds; plain lyrics have no times
+          lines: timedLines.length > 0
+            ? timedLines
+            : plainText.split('\n').map(text => ({ time: null, text })),
+          text: plainText
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Lyrics retrieval error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json(localizeError(req, 'INVALID_SONG_ID'));
+    }
+    res.status(500).json(localizeError(req, 'LYRICS_RETRIEVAL_FAILED'));
+  }
+});
+
+// @route   PUT /api/songs/:id/translations/:language
+// @desc    Add or replace the song's title, artist and album in a language or script
+//          (e.g. en, zh-Hant or yue-Latn-jyutping). Fields left out fall back to other translations.
+//          A contributor's translations of an approved song wait for moderation.
+// @access  Private (Owner or Admin)
+router.put('/:id/translations/:language', authenticate, [
+  languageTagValidation,
+  ...translationValidation,
+  editNotesValidation
+], handleValidationErrors, async (req, res) => {
+  try {
+    const song = await findEditableSong(req, res);
+    if (!song) return;
+
+    const { language } = req.params;
+    const translation = { locale: language };
+    TRANSLATED_FIELDS.forEach(field => {
+      if (req.body[field]) translation[field] = req.body[field];
+    });
+
+    if (Object.keys(translation).length === 1) {
+      return res.status(400).json(localizeError(req, 'TRANSLATION_EMPTY'));
+    }
+
+    const translations = currentTranslations(song, req)
+      .filter(existing => existing.locale.toLowerCase() !== language.toLowerCase())
+      .concat(translation);
+
+    const pendingReview = await saveTranslations(song, translations, req);
+
+    res.json({
+      message: pendingReview
+        ? 'Translation submitted for review. The current translations stay live until it is approved'
+        : 'Translation saved successfully',
+      data: {
+        song,
+        translation,
+        pendingReview: pendingReview ? ['translations'] : []
+      }
+    });
+
+  } catch (error) {
+    console.error('Translation update error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json(localizeError(req, 'INVALID_SONG_ID'));
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        ...localizeError(req, 'VALIDATION_FAILED'),
+        details: localizeDetails(req, Object.values(error.errors).map(err => err.message))
+      });
+    }
+    res.status(500).json(localizeError(req, 'TRANSLATION_UPDATE_FAILED'));
+  }
+});
+
+// @route   DELETE /api/songs/:id/translations/:language
+// @desc    Remove the song's translation in a language. A contributor's removal on an approved song waits for moderation.
+// @access  Private (Owner or Admin)
+router.delete('/:id/translations/:language', authenticate, [
+  languageTagValidation,
+  editNotesValidation
+], handleValidationErrors, async (req, res) => {
+  try {
+    const song = await findEditableSong(req, res);
+    if (!song) return;
+
+    const { language } = req.params;
+    const existing = currentTranslations(song, req);
+    const translations = existing.filter(translation => translation.locale.toLowerCase() !== language.toLowerCase());
+
+    if (translations.length === existing.length) {
+      return res.status(404).json(localizeError(req, 'TRANSLATION_NOT_FOUND', { language }));
+    }
+
+    const pendingReview = await saveTranslations(song, translations, req);
+
+    res.json({
+      message: pendingReview
+        ? 'Translation removal submitted for review'
+        : 'Translation removed successfully',
+      data: { pendingReview: pendingReview ? ['translations'] : [] }
+    });
+
+  } catch (error) {
+    console.error('Translation removal error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json(localizeError(req, 'INVALID_SONG_ID'));
+    }
+    res.status(500).json(localizeError(req, 'TRANSLATION_REMOVAL_FAILED'));
+  }
+});
+
+// @route   GET /api/songs/:id/captions
+// @desc    List a song's caption tracks, with links to each in WebVTT and SRT
+// @access  Public (published songs) / Private (owner or admin preview of unpublished songs)
+router.get('/:id/captions', optionalAuth, async (req, res) => {
+  try {
+    const song = await findAccessibleSong(req, res, '_id');
+    if (!song) return;
+
+    const captions = await Caption.find({ song: song._id, ...Caption.PUBLISHED })
+      .select('language label kind sourceFormat cues updatedAt')
+      .sort({ language: 1, kind: 1 })
+      .lean();
+
+    res.json({
+      message: 'Captions retrieved successfully',
+      data: {
+        captions: captions.map(caption => {
+          const url = `/api/songs/${song._id}/captions/${caption.language}?kind=${caption.kind}`;
+          return {
+            language: caption.language,
+            label: caption.label,
+            kind: caption.kind,
+            sourceFormat: caption.sourceFormat,
+            cueCount: caption.cues.length,
+            updatedAt: caption.updatedAt,
+            urls: { vtt: `${url}&format=vtt`, srt: `${url}&format=srt` }
+          };
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('Captions retrieval error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json(localizeError(req, 'INVALID_SONG_ID'));
+    }
+    res.status(500).json(localizeError(req, 'CAPTIONS_RETRIEVAL_FAILED'));
+  }
+});
+
+// @route   GET /api/songs/:id/captions/:language
+// @desc    Get a caption track as WebVTT (default, for <track> elements), SRT, JSON cues or a plain transcript
+// @access  Public (published songs) / Private (owner or admin preview of unpublished songs)
+router.get('/:id/captions/:language', optionalAuth, [
+  languageTagValidation,
+  captionKindValidation(query),
+  query('format')
+    .optional()
+    .isIn(['vtt', 'srt', 'json', 'text'])
+    .withMessage('Format must be vtt, srt, json, or text')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { kind = 'captions', format = 'vtt' } = req.query;
+
+    const song = await findAccessibleSong(req, res, '_id');
+    if (!song) return;
+
+    const caption = await Caption.findOne({ song: song._id, language: req.params.language, kind, ...Caption.PUBLISHED }).lean();
+    if (!caption) {
+      return res.status(404).json(localizeError(req, kind === 'subtitles' ? 'SUBTITLES_NOT_FOUND' : 'CAPTIONS_NOT_FOUND', {
+        language: req.params.language
+      }));
+    }
+
+    if (format === 'vtt') {
+      return res.type('text/vtt; charset=utf-8').send(formatVtt(caption.cues));
+    }
+    if (format === 'srt') {
+      return res.type('application/x-subrip; charset=utf-8').send(formatSrt(caption.cues));
+    }
+    if (format === 'text') {
+      return res.type('text/plain; charset=utf-8').send(captionsToTranscript(caption.cues));
+    }
+
+    res.json({
+      message: 'Captions retrieved successfully',
+      data: {
+        caption: {
+          language: caption.language,
+          label: caption.label,
+          kind: caption.kind,
+          sourceFormat: caption.sourceFormat,
+          updatedAt: caption.updatedAt,
+          cues: caption.cues // Times are in milliseconds
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Caption retrieval error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json(localizeError(req, 'INVALID_SONG_ID'));
+    }
+    res.status(500).json(localizeError(req, 'CAPTION_RETRIEVAL_FAILED'));
+  }
+});
+
+// @route   PUT /api/songs/:id/captions/:language
+// @desc    Add or replace a caption track from an uploaded .vtt/.srt file (field "captions") or
+//          pasted text (body "content"). The format is detected unless "format" is given.
+//          Marks the song as having a transcription. On approved songs, changes by contributors
+//          wait for review and the current track (if any) stays live until they are approved.
+// @access  Private (Owner or Admin)
+router.put('/:id/captions/:language', authenticate, uploadCaptionsFile, [
+  languageTagValidation,
+  captionKindValidation(body),
+  body('content')
+    .isString()
+    .withMessage('Please provide captions as text or as a .vtt or .srt file')
+    .isLength({ min: 1, max: MAX_CAPTION_LENGTH })
+    .withMessage(`Captions must be between 1 and ${MAX_CAPTION_LENGTH} characters`),
+  body('format')
+    .optional()
+    .isIn(['vtt', 'srt'])
+    .withMessage('Format must be vtt or srt'),
+  body('label')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Label must be between 1 and 50 characters'),
+  editNotesValidation
+], handleValidationErrors, async (req, res) => {
+  try {
+    const song = await findEditableSong(req, res);
+    if (!song) return;
+
+    const { content, format, kind = 'captions' } = req.body;
+    const { language } = req.params;
+
+    const parsed = parseCaptions(content, { format, duration: song.duration });
+    if (parsed.errors.length > 0) {
+      return res.status(400).json({
+        ...localizeError(req, 'INVALID_CAPTIONS', { format: parsed.format === 'vtt' ? 'WebVTT' : 'SRT' }),
+        details: localizeDetails(req, parsed.errors)
+      });
+    }
+
+    // Name the track after its language unless a label was given, e.g. "Chinese (Traditional)"
+    let label = req.body.label;
+    if (!label) {
+      try {
+        label = new Intl.DisplayNames(['en'], { type: 'language' }).of(language);
+      } catch (error) {
+        label = language;
+      }
+    }
+
+    if (song.requiresReview(req.user)) {
+      await Caption.submitRevision(
+        { song: song._id, language, kind },
+        { label, cues: parsed.cues, sourceFormat: parsed.format },
+        req.user._id
+      );
+      await song.submitRevision({ captions: [{ language, kind, removal: false }] }, req.user._id, req.body.notes || '');
+
+      return res.json({
+        message: 'Captions submitted for review. The current captions stay live until they are approved',
+        data: {
+          caption: { language, label, kind, sourceFormat: parsed.format, cueCount: parsed.cues.length },
+          transcriptionAvailable: song.accessibility.transcriptionAvailable,
+          pendingReview: ['captions']
+        }
+      });
+    }
+
+    const existing = await Caption.exists({ song: song._id, language, kind, ...Caption.PUBLISHED });
+    const caption = await Caption.findOneAndUpdate(
+      { song: song._id, language, kind },
+      {
+        $set: {
+          label,
+          cues: parsed.cues,
+          sourceFormat: parsed.format,
+          uploadedBy: req.user._id,
+          published: true
+        }
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    const transcriptionAvailable = await Caption.syncTranscriptionFlag(song._id);
+
+    res.status(existing ? 200 : 201).json({
+      message: existing ? 'Captions replaced successfully' : 'Captions added successfully',
+      data: {
+        caption: {
+          language: caption.language,
+          label: caption.label,
+          kind: caption.kind,
+          sourceFormat: caption.sourceFormat,
+          cueCount: caption.cues.length,
+          updatedAt: caption.updatedAt
+        },
+        transcriptionAvailable,
+        pendingReview: []
+      }
+    });
+
+  } catch (error) {
+    console.error('Caption upload error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json(localizeError(req, 'INVALID_SONG_ID'));
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        ...localizeError(req, 'VALIDATION_FAILED'),
+        details: localizeDetails(req, Object.values(error.errors).map(err => err.message))
+      });
+    }
+    res.status(500).json(localizeError(req, 'CAPTION_UPLOAD_FAILED'));
+  }
+});
+
+// @route   DELETE /api/songs/:id/captions/:language
+// @desc    Remove a caption track (?kind=subtitles for subtitles). On approved songs, removals by
+//          contributors wait for review like other edits.
+// @access  Private (Owner or Admin)
+router.delete('/:id/captions/:language', authenticate, [
+  languageTagValidation,
+  captionKindValidation(query),
+  editNotesValidation
+], handleValidationErrors, async (req, res) => {
+  try {
+    const song = await findEditableSong(req, res);
+    if (!song) return;
+
+    const { kind = 'captions' } = req.query;
+    const { language } = req.params;
+
+    if (song.requiresReview(req.user)) {
+      if (!await Caption.exists({ song: song._id, language, kind })) {
+        return res.status(404).json(localizeError(req, kind === 'subtitles' ? 'SUBTITLES_NOT_FOUND' : 'CAPTIONS_NOT_FOUND', {
+          language
+        }));
+      }
+
+      await Caption.submitRevision({ song: song._id, language, kind }, { removal: true }, req.user._id);
+      await song.submitRevision({ captions: [{ language, kind, removal: true }] }, req.user._id, (req.body && req.body.notes) || '');
+
+      return res.json({
+        message: 'Caption removal submitted for review. The captions stay live until it is approved',
+        data: {
+          transcriptionAvailable: song.accessibility.transcriptionAvailable,
+          pendingReview: ['captions']
+        }
+      });
+    }
+
+    const result = await Caption.deleteOne({ song: song._id, language, kind });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json(localizeError(req, kind === 'subtitles' ? 'SUBTITLES_NOT_FOUND' : 'CAPTIONS_NOT_FOUND', {
+        language: req.params.language
+      }));
+    }
+
+    const transcriptionAvailable = await Caption.syncTranscriptionFlag(song._id);
+
+    res.json({
+      message: 'Captions removed successfully',
+      data: { transcriptionAvailable, pendingReview: [] }
+    });
+
+  } catch (error) {
+    console.error('Caption removal error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json(localizeError(req, 'INVALID_SONG_ID'));
+    }
+    res.status(500).json(localizeError(req, 'CAPTION_REMOVAL_FAILED'));
+  }
+});
+
+// @route   PUT /api/songs/:id/play
+// @desc    Report a play of a song. It is added to the listening history of a signed-in user, and
+//          counted only after enough listening and not again for the same listener within a while.
+//          Send it when playback stops, with secondsListened, and an X-Device-Id header if available.
+//          startedAt, if sent, cannot be earlier than secondsListened before now.
+// @access  Public
+router.put('/:id/play', optionalAuth, [
+  body('startedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Start time must be a valid date')
+    .custom((value, { req }) => new Date(value) <= startTimeBounds({ secondsListened: req.body.secondsListened }).latest)
+    .withMessage('Start time cannot be in the future')
+    .custom((value, { req }) => new Date(value) >= startTimeBounds({ secondsListened: req.body.secondsListened }).earliest)
+    .withMessage('Start time cannot be earlier than the seconds listened allow'),
+  body('secondsListened')
+    .optional()
+    .isFloat({ min: 0, max: 24 * 60 * 60 })
+    .withMessage('Seconds listened must be between 0 and 86400'),
+  body('completed')
+    .optional()
+    .isBoolean()
+    .withMessage('Completed must be a boolean')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const song = await Song.findOne({
+      _id: req.params.id,
+      status: 'approved',
+      isActive: true
+    });
+
+    if (!song) {
+      return res.status(404).json(localizeError(req, 'SONG_NOT_FOUND'));
+    }
+
+    const { startedAt, secondsListened = 0, completed } = req.body;
+    const play = await recordPlay(song, {
+      userId: req.user && req.user._id,
+      deviceId: req.get('X-Device-Id'),
+      ip: req.ip
+    }, {
+      // Plays are reported when they end, so by default the play started secondsListened ago
+      startedAt: startedAt ? new Date(startedAt) : new Date(Date.now() - Number(secondsListened) * 1000),
+      secondsListened: Number(secondsListened),
+      completed: completed === true || completed === 'true'
+    });
+
+    if (play.counted) {
+      await countPlays(song._id, req.user && req.user._id);
+    }
+
+    res.json({
+      message: play.counted ? 'Play count updated successfully' : 'Play recorded but not counted',
+      data: {
+        counted: play.counted,
+        reason: play.reason,
+        playCount: await getPlayCount(song._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Play count update error:', error);
+    res.status(500).json(localizeError(req, 'PLAY_COUNT_UPDATE_FAILED'));
+  }
+});
+
+// @route   POST /api/songs/:id/rate
+// @desc    Rate a song (rating again replaces the previous rating)
+// @access  Private
+router.post('/:id/rate', authenticate, [
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5'),
+  body('review')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Review cannot exceed 500 characters')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { rating, review } = req.body;
+
+    const song = await Song.findOne({
+      _id: req.params.id,
+      status: 'approved',
+      isActive: true
+    }).select('_id');
+
+    if (!song) {
+      return res.status(404).json(localizeError(req, 'SONG_NOT_FOUND'));
+    }
+
+    const { userRating, stats } = await Rating.rateSong(
+      req.user._id,
+      song._id,
+      parseInt(rating),
+      review
+    );
+
+    res.json({
+      message: 'Song rated successfully',
+      data: {
+        averageRating: stats.averageRating,
+        ratingCount: stats.ratingCount,
+        userRating: {
+          rating: userRating.rating,
+          review: userRating.review,
+          updatedAt: userRating.updatedAt
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Song rating error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json(localizeError(req, 'INVALID_SONG_ID'));
+    }
+    res.status(500).json(localizeError(req, 'SONG_RATING_FAILED'));
+  }
+});
+
+// @route   GET /api/songs/:id/ratings
+// @desc    Get rating breakdown and recent reviews for a song
+// @access  Public
+router.get('/:id/ratings', [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+], handleValidationErrors, optionalAuth, async (req, res) => {
+  try {
+    const { limit = 10 } = req.query;
+
+    const song = await Song.findOne({
+      _id: req.params.id,
+      status: 'approved',
+      isActive: true
+    }).select('stats.averageRating stats.ratingCount');
+
+    if (!song) {
+      return res.status(404).json(localizeError(req, 'SONG_NOT_FOUND'));
+    }
+
+    const histogram = await Rating.getHistogram(song._id);
+    const reviews = await Rating.findRecentReviews(song._id, parseInt(limit));
+
+    let userRating;
+    if (req.user) {
+      userRating = await Rating.findOne({ user: req.user._id, song: song._id })
+        .select('rating review updatedAt');
+    }
+
+    res.json({
+      message: 'Song ratings retrieved successfully',
+      data: {
+        averageRating: song.stats.averageRating,
+        ratingCount: song.stats.ratingCount,
+        histogram,
+        reviews,
+        ...(req.user && { userRating: userRating || null })
+      }
+    });
+
+  } catch (error) {
+    console.error('Song ratings retrieval error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json(localizeError(req, 'INVALID_SONG_ID'));
+    }
+    res.status(500).json(localizeError(req, 'SONG_RATINGS_RETRIEVAL_FAILED'));
+  }
+});
+
+// @route   POST /api/songs/:id/favorite
+// @desc    Add a song to favorites
+// @access  Private
+router.post('/:id/favorite', authenticate, async (req, res) => {
+  try {
+    const song = await Song.findOne({
+      _id: req.params.id,
+      status: 'approved',
+      isActive: true
+    }).select('_id');
+
+    if (!song) {
+      return res.status(404).json(localizeError(req, 'SONG_NOT_FOUND'));
+    }
+
+    const created = await Favorite.addFavorite(req.user._id, song._id);
+    const updated = await Song.findById(song._id).select('stats.favoriteCount');
+
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Song added to favorites' : 'Song is already in favorites',
+      data: {
+        isFavorited: true,
+        favoriteCount: updated.stats.favoriteCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Favorite song error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json(localizeError(req, 'INVALID_SONG_ID'));
+    }
+    res.status(500).json(localizeError(req, 'FAVORITE_SONG_FAILED'));
+  }
+});
+
+// @route   DELETE /api/songs/:id/favorite
+// @desc    Remove a song from favorites
+// @access  Private
+router.delete('/:id/favorite', authenticate, async (req, res) => {
+  try {
+    // Unfavoriting is allowed even if the song was unpublished in the meantime
+    const song = await Song.findById(req.params.id).select('_id');
+
+    if (!song) {
+      return res.status(404).json(localizeError(req, 'SONG_NOT_FOUND'));
+    }
+
+    const removed = await Favorite.removeFavorite(req.user._id, song._id);
+    const updated = await Song.findById(song._id).select('stats.favoriteCount');
+
+    res.json({
+      message: removed ? 'Song removed from favorites' : 'Song was not in favorites',
+      data: {
+        isFavorited: false,
+        favoriteCount: updated.stats.favoriteCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Unfavorite song error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json(localizeError(req, 'INVALID_SONG_ID'));
+    }
+    res.status(500).json(localizeError(req, 'UNFAVORITE_SONG_FAILED'));
+  }
+});
+
+// @route   DELETE /api/songs/:id
+// @desc    Delete a song (mark as inactive)
+// @access  Private (Owner or Admin)
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    const song = await Song.findById(req.params.id);
+
+    if (!song) {
+      return res.status(404).json(localizeError(req, 'SONG_NOT_FOUND'));
+    }
+
+    // Check if user owns the song or is admin
+    if (song.uploadedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json(localizeError(req, 'NOT_SONG_OWNER_DELETE'));
+    }
+
+    // Mark as inactive instead of deleting - the media collector removes the files after the retention period
+    song.isActive = false;
+    song.deletedAt = new Date();
+    await song.save();
+
+    res.json({
+      message: 'Song deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Song deletion error:', error);
+    res.status(500).json(localizeError(req, 'SONG_DELETION_FAILED'));
   }
 });
 
@@ -2,8 +2,10 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const User = require('../models/User');
 const Song = require('../models/Song');
-const { authenticate, authorize, requireOwnershipOrAdmin } = require('../middleware/auth');
-const { uploadProfileImage, cleanupFiles } = require('../middleware/upload');
+const { authenticate, authorize, optionalAuth, requireOwnershipOrAdmin } = require('../middleware/auth');
+const { uploadProfileImage, cleanupFiles, persistUpload, deleteStoredFile } = require('../middleware/upload');
+const { localizeError, localizeDetails, resolveLocale } = require('../utils/i18n');
+const { localizeSongs } = require('../utils/songTranslations');
 
 const router = express.Router();
 
@@ -12,9 +14,8 @@ const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
-      error: 'Validation failed',
-      message: 'Please check your input data',
-      details: errors.array()
+      ...localizeError(req, 'VALIDATION_FAILED'),
+      details: localizeDetails(req, errors.array())
     });
   }
   next();
@@ -101,10 +102,7 @@ router.get('/', authenticate, authorize('admin'), [
 
   } catch (error) {
     console.error('Users retrieval error:', error);
-    res.status(500).json({
-      error: 'Users retrieval failed',
-      message: 'An error occurred while retrieving users'
-    });
+    res.status(500).json(localizeError(req, 'USERS_RETRIEVAL_FAILED'));
   }
 });
 
@@ -119,10 +117,7 @@ router.get('/:id', async (req, res) => {
     }).select('name profile role stats createdAt');
 
     if (!user) {
-      return res.status(404).json({
-        error: 'User not found',
-        message: 'The requested user could not be found'
-      });
+      return res.status(404).json(localizeError(req, 'USER_NOT_FOUND'));
     }
 
     // Get user's uploaded songs count
@@ -143,15 +138,9 @@ router.get('/:id', async (req, res) => {
   } catch (error) {
     console.error('User profile retrieval error:', error);
     if (error.name === 'CastError') {
-      return res.status(400).json({
-        error: 'Invalid user ID',
-        message: 'The provided user ID is not valid'
-      });
+      return res.status(400).json(localizeError(req, 'INVALID_USER_ID'));
     }
-    res.status(500).json({
-      error: 'User profile retrieval failed',
-      message: 'An error occurred while retrieving user profile'
-    });
+    res.status(500).json(localizeError(req, 'USER_PROFILE_RETRIEVAL_FAILED'));
   }
 });
 
@@ -166,20 +155,14 @@ router.put('/:id',
     try {
       // Check if user can edit this profile
       if (req.params.id !== req.user._id.toString() && req.user.role !== 'admin') {
-        return res.status(403).json({
-          error: 'Access denied',
-          message: 'You can only edit your own profile'
-        });
+        return res.status(403).json(localizeError(req, 'NOT_PROFILE_OWNER'));
       }
 
       const { name, bio, birthYear } = req.body;
 
       const user = await User.findById(req.params.id);
       if (!user) {
-        return res.status(404).json({
-          error: 'User not found',
-          message: 'The requested user could not be found'
-        });
+        return res.status(404).json(localizeError(req, 'USER_NOT_FOUND'));
       }
 
       // Update fields
@@ -198,10 +181,7 @@ router.put('/:id',
 
     } catch (error) {
       console.error('Profile update error:', error);
-      res.status(500).json({
-        error: 'Profile update failed',
-        message: 'An error occurred while updating profile'
-      });
+      res.status(500).json(localizeError(req, 'PROFILE_UPDATE_FAILED'));
     }
   }
 );
@@ -217,39 +197,36 @@ router.post('/:id/avatar',
     try {
       // Check if user can edit this profile
       if (req.params.id !== req.user._id.toString() && req.user.role !== 'admin') {
-        return res.status(403).json({
-          error: 'Access denied',
-          message: 'You can only edit your own profile'
-        });
+        return res.status(403).json(localizeError(req, 'NOT_PROFILE_OWNER'));
       }
 
       if (!req.uploadedImage) {
-        return res.status(400).json({
-          error: 'No image provided',
-          message: 'Please provide an image file'
-        });
+        return res.status(400).json(localizeError(req, 'NO_IMAGE_PROVIDED'));
       }
 
       const user = await User.findById(req.params.id);
       if (!user) {
         if (req.cleanup) await req.cleanup();
-        return res.status(404).json({
-          error: 'User not found',
-          message: 'The requested user could not be found'
-        });
+        return res.status(404).json(localizeError(req, 'USER_NOT_FOUND'));
       }
 
-      // Update avatar URL
-      user.profile.avatar = req.uploadedImage.url;
+      // Move the image into storage and update the avatar
+      const previousAvatarKey = user.getAvatarKey();
+      const avatar = await persistUpload(req.uploadedImage, 'images');
+      user.profile.avatarKey = avatar.key;
+      user.profile.avatar = avatar.url;
       await user.save();
 
+      // The old avatar is no longer referenced anywhere
+      await deleteStoredFile(previousAvatarKey);
+
       const userResponse = user.getPublicProfile();
 
       res.json({
         message: 'Avatar uploaded successfully',
         data: { 
           user: userResponse,
-          avatarUrl: req.uploadedImage.url
+          avatarUrl: avatar.url
         }
       });
 
@@ -261,10 +238,7 @@ router.post('/:id/avatar',
         await req.cleanup();
       }
 
-      res.status(500).json({
-        error: 'Avatar upload failed',
-        message: 'An error occurred while uploading avatar'
-      });
+      res.status(500).json(localizeError(req, 'AVATAR_UPLOAD_FAILED'));
     }
   }
 );
@@ -272,7 +246,7 @@ router.post('/:id/avatar',
 // @route   GET /api/users/:id/songs
 // @desc    Get songs uploaded by a user
 // @access  Public
-router.get('/:id/songs', [
+router.get('/:id/songs', optionalAuth, [
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -316,7 +290,7 @@ router.get('/:id/songs', [
     res.json({
       message: 'User songs retrieved successfully',
       data: {
-        songs,
+        songs: localizeSongs(songs, resolveLocale(req)),
         pagination: {
           currentPage: parseInt(page),
           totalPages,
@@ -329,10 +303,7 @@ router.get('/:id/songs', [
 
   } catch (error) {
     console.error('User songs retrieval error:', error);
-    res.status(500).json({
-      error: 'User songs retrieval failed',
-      message: 'An error occurred while retrieving user songs'
-    });
+    res.status(500).json(localizeError(req, 'USER_SONGS_RETRIEVAL_FAILED'));
   }
 });
 
@@ -343,18 +314,12 @@ router.get('/:id/stats', authenticate, async (req, res) => {
   try {
     // Check if user can view these stats
     if (req.params.id !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You can only view your own statistics'
-      });
+      return res.status(403).json(localizeError(req, 'NOT_STATISTICS_OWNER'));
     }
 
     const user = await User.findById(req.params.id);
     if (!user) {
-      return res.status(404).json({
-        error: 'User not found',
-        message: 'The requested user could not be found'
-      });
+      return res.status(404).json(localizeError(req, 'USER_NOT_FOUND'));
     }
 
     // Get detailed statistics
@@ -432,10 +397,7 @@ router.get('/:id/stats', authenticate, async (req, res) => {
 
   } catch (error) {
     console.error('User statistics retrieval error:', error);
-    res.status(500).json({
-      error: 'User statistics retrieval failed',
-      message: 'An error occurred while retrieving user statistics'
-    });
+    res.status(500).json(localizeError(req, 'USER_STATISTICS_RETRIEVAL_FAILED'));
   }
 });
 
@@ -452,21 +414,19 @@ router.put('/:id/status', authenticate, authorize('admin'), [
 
     const user = await User.findById(req.params.id);
     if (!user) {
-      return res.status(404).json({
-        error: 'User not found',
-        message: 'The requested user could not be found'
-      });
+      return res.status(404).json(localizeError(req, 'USER_NOT_FOUND'));
     }
 
     // Prevent admin from deactivating themselves
     if (req.params.id === req.user._id.toString() && !isActive) {
-      return res.status(400).json({
-        error: 'Cannot deactivate yourself',
-        message: 'You cannot deactivate your own account'
-      });
+      return res.status(400).json(localizeError(req, 'CANNOT_DEACTIVATE_SELF'));
     }
 
     user.isActive = isActive;
+    if (isActive) {
+      // A reactivated account is no longer due for media cleanup
+      user.deletedAt = undefined;
+    }
     await user.save();
 
     const userResponse = user.getPublicProfile();
@@ -478,10 +438,7 @@ router.put('/:id/status', authenticate, authorize('admin'), [
 
   } catch (error) {
     console.error('User status update error:', error);
-    res.status(500).json({
-      error: 'User status update failed',
-      message: 'An error occurred while updating user status'
-    });
+    res.status(500).json(localizeError(req, 'USER_STATUS_UPDATE_FAILED'));
   }
 });
 
@@ -498,18 +455,12 @@ router.put('/:id/role', authenticate, authorize('admin'), [
 
     const user = await User.findById(req.params.id);
     if (!user) {
-      return res.status(404).json({
-        error: 'User not found',
-        message: 'The requested user could not be found'
-      });
+      return res.status(404).json(localizeError(req, 'USER_NOT_FOUND'));
     }
 
     // Prevent admin from changing their own role (safety measure)
     if (req.params.id === req.user._id.toString()) {
-      return res.status(400).json({
-        error: 'Cannot change own role',
-        message: 'You cannot change your own role'
-      });
+      return res.status(400).json(localizeError(req, 'CANNOT_CHANGE_OWN_ROLE'));
     }
 
     user.role = role;
@@ -524,10 +475,7 @@ router.put('/:id/role', authenticate, authorize('admin'), [
 
   } catch (error) {
     console.error('User role update error:', error);
-    res.status(500).json({
-      error: 'User role update failed',
-      message: 'An error occurred while updating user role'
-    });
+    res.status(500).json(localizeError(req, 'USER_ROLE_UPDATE_FAILED'));
   }
 });
 
@@ -538,36 +486,29 @@ router.delete('/:id', authenticate, async (req, res) => {
   try {
     // Check if user can delete this account
     if (req.params.id !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You can only delete your own account'
-      });
+      return res.status(403).json(localizeError(req, 'NOT_ACCOUNT_OWNER'));
     }
 
     const user = await User.findById(req.params.id);
     if (!user) {
-      return res.status(404).json({
-        error: 'User not found',
-        message: 'The requested user could not be found'
-      });
+      return res.status(404).json(localizeError(req, 'USER_NOT_FOUND'));
     }
 
     // Prevent admin from deleting themselves
     if (req.params.id === req.user._id.toString() && req.user.role === 'admin') {
-      return res.status(400).json({
-        error: 'Cannot delete admin account',
-        message: 'Admin accounts cannot be deleted'
-      });
+      return res.status(400).json(localizeError(req, 'CANNOT_DELETE_ADMIN'));
     }
 
     // Mark user as inactive instead of deleting
+    const deletedAt = new Date();
     user.isActive = false;
+    user.deletedAt = deletedAt;
     await user.save();
 
     // Also mark user's songs as inactive
     await Song.updateMany(
-      { uploadedBy: user._id },
-      { isActive: false }
+      { uploadedBy: user._id, isActive: true },
+      { isActive: false, deletedAt }
     );
 
     res.json({
@@ -576,10 +517,7 @@ router.delete('/:id', authenticate, async (req, res) => {
 
   } catch (error) {
     console.error('Account deletion error:', error);
-    res.status(500).json({
-      error: 'Account deletion failed',
-      message: 'An error occurred while deleting account'
-    });
+    res.status(500).json(localizeError(req, 'ACCOUNT_DELETION_FAILED'));
   }
 });
 
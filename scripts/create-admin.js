@@ -1,17 +1,24 @@
 const mongoose = require('mongoose');
 const User = require('../models/User');
+const SetupLock = require('../models/SetupLock');
 require('dotenv').config();
 
-// Admin user details
+// Admin user details come from the environment - there is no default password
 const ADMIN_USER = {
-  name: 'Admin User',
-  email: 'admin@lovealways.com',
-  password: 'admin123',
+  name: process.env.ADMIN_NAME || 'Admin User',
+  email: process.env.ADMIN_EMAIL,
+  password: process.env.ADMIN_PASSWORD,
   role: 'admin',
   isEmailVerified: true
 };
 
 async function createAdmin() {
+  if (!ADMIN_USER.email || !ADMIN_USER.password) {
+    console.error('❌ ADMIN_EMAIL and ADMIN_PASSWORD must be set');
+    console.log('💡 Example: ADMIN_EMAIL=you@example.com ADMIN_PASSWORD=... npm run create-admin');
+    process.exit(1);
+  }
+
   try {
     // Connect to MongoDB
     const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/love-always';
@@ -19,16 +26,12 @@ async function createAdmin() {
     await mongoose.connect(mongoURI);
     console.log('✅ Connected to MongoDB');
 
-    // Check if admin already exists
-    const existingAdmin = await User.findOne({ email: ADMIN_USER.email });
+    // Check if an admin already exists
+    const existingAdmin = await User.findOne({ role: 'admin' });
     if (existingAdmin) {
-      console.log('⚠️  Admin user already exists with email:', ADMIN_USER.email);
-      console.log('📋 Admin details:');
-      console.log('   Email:', existingAdmin.email);
-      console.log('   Name:', existingAdmin.name);
-      console.log('   Role:', existingAdmin.role);
-      console.log('   Created:', existingAdmin.createdAt);
-      process.exit(0);
+      console.log('⚠️  An admin user already exists. Use the admin tools to add more admins.');
+      await SetupLock.acquire(SetupLock.ADMIN_BOOTSTRAP, 'script');
+      return;
     }
 
     // Create admin user
@@ -36,26 +39,32 @@ async function createAdmin() {
     const adminUser = new User(ADMIN_USER);
     await adminUser.save();
 
+    // Close the one-time setup endpoint for good
+    const lock = await SetupLock.acquire(SetupLock.ADMIN_BOOTSTRAP, 'script');
+    if (lock) {
+      lock.completedBy = adminUser._id;
+      await lock.save();
+    }
+
     console.log('🎉 Admin user created successfully!');
     console.log('📋 Admin Login Details:');
-    console.log('   Email:', ADMIN_USER.email);
-    console.log('   Password:', ADMIN_USER.password);
-    console.log('   Role:', ADMIN_USER.role);
+    console.log('   Email:', adminUser.email);
+    console.log('   Role:', adminUser.role);
     console.log('');
-    console.log('💡 You can now login with these credentials in your mobile app!');
+    console.log('💡 You can now login with the password from ADMIN_PASSWORD in your mobile app!');
 
   } catch (error) {
     console.error('❌ Error creating admin user:', error.message);
     if (error.code === 11000) {
       console.log('⚠️  A user with this email already exists');
     }
+    process.exitCode = 1;
   } finally {
     // Close database connection
     await mongoose.connection.close();
     console.log('🔌 Database connection closed');
-    process.exit(0);
   }
 }
 
 // Run the script
-createAdmin();
\ No newline at end of file
+createAdmin();
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { collectMedia, DEFAULT_RETENTION_DAYS, DEFAULT_GRACE_HOURS } = require('../services/mediaGc');
+require('dotenv').config();
+
+// Remove media files nothing needs any more. Runs as a dry run unless --delete is passed.
+//   npm run gc-media                                  report only
+//   npm run gc-media -- --delete                      delete for real
+//   npm run gc-media -- --retention-days=60 --grace-hours=6
+const readOption = (name, fallback) => {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  return arg ? parseInt(arg.split('=')[1]) : fallback;
+};
+
+const formatBytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+async function gcMedia() {
+  const options = {
+    dryRun: !process.argv.includes('--delete'),
+    retentionDays: readOption('retention-days', DEFAULT_RETENTION_DAYS),
+    graceHours: readOption('grace-hours', DEFAULT_GRACE_HOURS)
+  };
+
+  if (Number.isNaN(options.retentionDays) || Number.isNaN(options.graceHours)) {
+    console.error('❌ --retention-days and --grace-hours must be numbers');
+    process.exit(1);
+  }
+
+  try {
+    // Connect to MongoDB
+    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/love-always';
+    console.log('🔗 Connecting to MongoDB...');
+    await mongoose.connect(mongoURI);
+    console.log('✅ Connected to MongoDB');
+
+    console.log(options.dryRun
+      ? '🔍 Dry run - nothing will be deleted (pass --delete to remove files)'
+      : '🗑️  Deleting unreferenced media');
+
+    const report = await collectMedia(options);
+
+    const printItems = (title, items) => {
+      console.log(`${title}: ${items.length}`);
+      items.forEach(item => {
+        const owner = item.record ? ` (${item.record.type} ${item.record.id})` : '';
+        console.log(`   ${item.key || item.path} - ${formatBytes(item.size)}${owner}`);
+      });
+    };
+
+    console.log(`📦 Scanned ${report.scanned} file(s) in ${report.storageDriver} storage`);
+    printItems('👻 Orphaned files', report.orphaned);
+    printItems(`⌛ Files of records deleted over ${report.retentionDays} days ago`, report.expired);
+    printItems('🧹 Stale temp files', report.staleTemp);
+
+    if (report.dryRun) {
+      console.log(`💡 ${formatBytes(report.reclaimedBytes)} would be reclaimed`);
+    } else {
+      console.log(`🎉 Deleted ${report.deleted} file(s), reclaimed ${formatBytes(report.reclaimedBytes)}`);
+    }
+
+    if (report.errors.length > 0) {
+      console.log(`⚠️  ${report.errors.length} file(s) could not be deleted:`);
+      report.errors.forEach(error => console.log(`   ${error.file}: ${error.message}`));
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('❌ Error collecting media:', error.message);
+    process.exitCode = 1;
+  } finally {
+    // Close database connection
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+// Run the script
+gcMedia();
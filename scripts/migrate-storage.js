@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Song = require('../models/Song');
+const User = require('../models/User');
+const { getStorage } = require('../services/storage');
+require('dotenv').config();
+
+// Give songs and avatars uploaded before storage keys existed a key, and copy their files from the
+// local uploads dir into the configured storage (e.g. STORAGE_DRIVER=s3) if they are not there yet.
+// Set MIGRATE_SOURCE_DIR if the old files are somewhere other than ./uploads.
+const sourceDir = path.resolve(process.env.MIGRATE_SOURCE_DIR || 'uploads');
+
+async function copyToStorage(storage, key, contentType) {
+  if (await storage.stat(key)) return 'present';
+
+  const sourcePath = path.join(sourceDir, key);
+  if (!fs.existsSync(sourcePath)) return 'missing';
+
+  await storage.putBuffer(key, await fs.promises.readFile(sourcePath), { contentType });
+  return 'copied';
+}
+
+async function migrateStorage() {
+  const storage = getStorage();
+  const counts = { keyed: 0, copied: 0, missing: 0 };
+
+  const migrate = async (key, contentType) => {
+    const outcome = await copyToStorage(storage, key, contentType);
+    if (outcome === 'copied') counts.copied++;
+    if (outcome === 'missing') {
+      counts.missing++;
+      console.log(`⚠️  File not found locally or in storage: ${key}`);
+    }
+  };
+
+  try {
+    // Connect to MongoDB
+    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/love-always';
+    console.log('🔗 Connecting to MongoDB...');
+    await mongoose.connect(mongoURI);
+    console.log('✅ Connected to MongoDB');
+    console.log(`🗄️  Storage driver: ${storage.name}`);
+
+    for await (const song of Song.find().cursor()) {
+      const updates = {};
+
+      await migrate(song.getAudioKey(), song.audioFile.mimeType);
+      if (!song.audioFile.key) updates['audioFile.key'] = song.getAudioKey();
+
+      const coverKey = song.getCoverKey();
+      if (coverKey) {
+        await migrate(coverKey, song.coverImage.mimeType);
+        updates['coverImage.url'] = storage.getUrl(coverKey);
+        if (!song.coverImage.key) updates['coverImage.key'] = coverKey;
+      }
+
+      if (Object.keys(updates).length > 0) {
+        await Song.updateOne({ _id: song._id }, { $set: updates });
+        counts.keyed++;
+      }
+    }
+
+    // Older avatars only have a URL like /uploads/images/<filename>
+    for await (const user of User.find({ 'profile.avatar': { $ne: null } }).cursor()) {
+      const avatarKey = user.getAvatarKey();
+      if (!avatarKey) continue;
+
+      await migrate(avatarKey);
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { 'profile.avatarKey': avatarKey, 'profile.avatar': storage.getUrl(avatarKey) } }
+      );
+      if (!user.profile.avatarKey) counts.keyed++;
+    }
+
+    console.log(`🎉 Added storage keys to ${counts.keyed} record(s), copied ${counts.copied} file(s)`);
+    if (counts.missing > 0) {
+      console.log(`⚠️  ${counts.missing} file(s) could not be found`);
+    }
+
+  } catch (error) {
+    console.error('❌ Error migrating storage:', error.message);
+    process.exitCode = 1;
+  } finally {
+    // Close database connection
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+// Run the script
+migrateStorage();
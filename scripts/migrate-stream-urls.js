@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const Song = require('../models/Song');
+require('dotenv').config();
+
+// Point audioFile.url of songs uploaded before the stream endpoint existed at /api/songs/:id/stream
+async function migrateStreamUrls() {
+  try {
+    // Connect to MongoDB
+    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/love-always';
+    console.log('🔗 Connecting to MongoDB...');
+    await mongoose.connect(mongoURI);
+    console.log('✅ Connected to MongoDB');
+
+    const songs = await Song.find({ 'audioFile.url': /^\/uploads\// }).select('_id');
+    console.log(`🎵 Found ${songs.length} song(s) with public audio URLs`);
+
+    if (songs.length > 0) {
+      const result = await Song.bulkWrite(songs.map(song => ({
+        updateOne: {
+          filter: { _id: song._id },
+          update: { $set: { 'audioFile.url': song.getStreamUrl() } }
+        }
+      })));
+      console.log(`🎉 Updated ${result.modifiedCount} song(s)`);
+    }
+
+  } catch (error) {
+    console.error('❌ Error migrating stream URLs:', error.message);
+    process.exitCode = 1;
+  } finally {
+    // Close database connection
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+// Run the script
+migrateStreamUrls();
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const Song = require('../models/Song');
+const { SEARCH_INDEX_VERSION } = require('../utils/searchText');
+require('dotenv').config();
+
+// Build the search index and sort keys of songs saved before search existed, or indexed by an older version.
+//   npm run reindex-search              songs that are missing or out of date
+//   npm run reindex-search -- --all     every song
+async function reindexSearch() {
+  const reindexAll = process.argv.includes('--all');
+
+  try {
+    // Connect to MongoDB
+    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/love-always';
+    console.log('🔗 Connecting to MongoDB...');
+    await mongoose.connect(mongoURI);
+    console.log('✅ Connected to MongoDB');
+
+    const query = reindexAll ? {} : { 'searchIndex.version': { $ne: SEARCH_INDEX_VERSION } };
+    const total = await Song.countDocuments(query);
+    console.log(`🔍 ${total} song(s) to index`);
+
+    let indexed = 0;
+    const cursor = Song.find(query).select('title artist album translations lyrics').cursor();
+    for await (const song of cursor) {
+      song.refreshSearchIndex();
+      await Song.updateOne({ _id: song._id }, { $set: { searchIndex: song.searchIndex } });
+      indexed++;
+      if (indexed % 100 === 0) console.log(`   ${indexed}/${total}`);
+    }
+
+    console.log(`🎉 Indexed ${indexed} song(s)`);
+
+  } catch (error) {
+    console.error('❌ Error indexing songs:', error.message);
+    process.exitCode = 1;
+  } finally {
+    // Close database connection
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+// Run the script
+reindexSearch();
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { rollupRecentDays } = require('../services/songStats');
+const { publishCompletedCharts } = require('../services/charts');
+require('dotenv').config();
+
+// Rebuild the daily song stats behind trending and charts, e.g. after importing old plays,
+// then publish the charts of completed weeks and months that are missing.
+//   npm run rollup-stats                          today and the last few days
+//   npm run rollup-stats -- --days=90             the last 90 days
+//   npm run rollup-stats -- --from=2024-01-01     also publish any missing charts since then
+async function rollupStats() {
+  const daysArg = process.argv.find(value => value.startsWith('--days='));
+  const days = daysArg ? parseInt(daysArg.split('=')[1]) : undefined;
+
+  if (days !== undefined && (Number.isNaN(days) || days < 1)) {
+    console.error('❌ --days must be a positive number');
+    process.exit(1);
+  }
+
+  const fromArg = process.argv.find(value => value.startsWith('--from='));
+  const from = fromArg ? new Date(fromArg.split('=')[1]) : undefined;
+
+  if (from !== undefined && (Number.isNaN(from.getTime()) || from > new Date())) {
+    console.error('❌ --from must be a past date, e.g. 2024-01-01');
+    process.exit(1);
+  }
+
+  try {
+    // Connect to MongoDB
+    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/love-always';
+    console.log('🔗 Connecting to MongoDB...');
+    await mongoose.connect(mongoURI);
+    console.log('✅ Connected to MongoDB');
+
+    console.log('📊 Rolling up daily song stats...');
+    const songs = await rollupRecentDays(days);
+    console.log(`🎉 Stored ${songs} daily song stat(s)`);
+
+    console.log('📈 Publishing completed charts...');
+    const published = await publishCompletedCharts(new Date(), { from });
+    console.log(`🎉 Published ${published} chart(s)`);
+
+  } catch (error) {
+    console.error('❌ Error rolling up stats:', error.message);
+    process.exitCode = 1;
+  } finally {
+    // Close database connection
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+// Run the script
+rollupStats();
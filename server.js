@@ -1,4 +1,5 @@
 const express = require('express');
+const path = require('path');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -14,17 +15,37 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const songRoutes = require('./routes/songs');
 const setupRoutes = require('./routes/setup');
+const playlistRoutes = require('./routes/playlists');
+const moderationRoutes = require('./routes/moderation');
+const inviteRoutes = require('./routes/invites');
+const adminRoutes = require('./routes/admin');
+const historyRoutes = require('./routes/history');
+const chartRoutes = require('./routes/charts');
+const recommendationRoutes = require('./routes/recommendations');
+const { getStorage } = require('./services/storage');
+const { getTransport } = require('./services/mailer');
+const counterBuffer = require('./services/counterBuffer');
+const songStats = require('./services/songStats');
+const charts = require('./services/charts');
+const { localizeError } = require('./utils/i18n');
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/love-always')
 .then(() => console.log('✅ Connected to MongoDB'))
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
+// Behind a proxy (e.g. Railway), TRUST_PROXY makes req.ip the client's address, which
+// rate limiting and play counting rely on. Set it to the number of proxy hops, e.g. 1.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.',
+  message: (req) => localizeError(req, 'TOO_MANY_REQUESTS'),
 });
 
 // Middleware
@@ -45,8 +66,15 @@ app.use(cors({
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Serve uploaded files
-app.use('/uploads', express.static('uploads'));
+// Serve uploaded images from local storage - audio is only available through /api/songs/:id/stream.
+// With the S3 driver, image URLs point at the bucket instead.
+const storage = getStorage();
+if (storage.name === 'local') {
+  app.use('/uploads/images', express.static(path.join(storage.root, 'images')));
+}
+
+// Check the mail settings now rather than when the first email is sent
+getTransport();
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -63,6 +91,13 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/songs', songRoutes);
 app.use('/api/setup', setupRoutes);
+app.use('/api/playlists', playlistRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/invites', inviteRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/history', historyRoutes);
+app.use('/api/charts', chartRoutes);
+app.use('/api/recommendations', recommendationRoutes);
 
 // Basic route
 app.get('/', (req, res) => {
@@ -74,7 +109,14 @@ app.get('/', (req, res) => {
       health: '/health',
       auth: '/api/auth',
       users: '/api/users',
-      songs: '/api/songs'
+      songs: '/api/songs',
+      playlists: '/api/playlists',
+      moderation: '/api/moderation',
+      invites: '/api/invites',
+      admin: '/api/admin',
+      history: '/api/history',
+      charts: '/api/charts',
+      recommendations: '/api/recommendations'
     }
   });
 });
@@ -82,26 +124,82 @@ app.get('/', (req, res) => {
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Error:', err);
+
+  // Bodies the JSON parser could not read are the client's mistake
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json(localizeError(req, 'INVALID_JSON'));
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json(localizeError(req, 'PAYLOAD_TOO_LARGE'));
+  }
+
   res.status(err.status || 500).json({
-    error: process.env.NODE_ENV === 'production' 
-      ? 'Something went wrong!' 
-      : err.message,
-    ...(process.env.NODE_ENV !== 'production' && { stack: err.stack })
+    ...localizeError(req, 'INTERNAL_ERROR'),
+    ...(process.env.NODE_ENV !== 'production' && { message: err.message, stack: err.stack })
   });
 });
 
 // 404 handler - catch all routes that don't match above
 app.use((req, res) => {
-  res.status(404).json({
-    error: 'Route not found',
-    message: `The route ${req.originalUrl} does not exist on this server.`
-  });
+  res.status(404).json(localizeError(req, 'ROUTE_NOT_FOUND', { path: req.originalUrl }));
 });
 
 const PORT = process.env.PORT || 3000;
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Love Always Backend running on port ${PORT}`);
   console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🌐 Health check: http://localhost:${PORT}/health`);
-});
\ No newline at end of file
+});
+
+// Write buffered play counts at an interval (only when COUNTER_BUFFER_ENABLED=true)
+counterBuffer.start();
+
+// Roll up daily song stats for trending and charts, and publish the charts of completed periods
+songStats.start();
+charts.start();
+
+// How long requests still running at shutdown (e.g. audio streams) may take before they are cut off
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '10000');
+
+// Write buffered counters, reporting any that could not be written so they can be applied by hand
+const flushCounters = async () => {
+  try {
+    const { written, unwritten } = await counterBuffer.stop();
+    if (written > 0) console.log(`💾 Flushed counters for ${written} record(s)`);
+    if (unwritten.length > 0) {
+      console.error(`❌ Counter updates for ${unwritten.length} record(s) could not be written:`, JSON.stringify(unwritten));
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Counter flush on shutdown failed:', error);
+    process.exitCode = 1;
+  }
+};
+
+// Graceful shutdown: stop taking requests, write buffered counters straight away (not after
+// long requests such as streams finish), give running requests a moment, then disconnect
+let shuttingDown = false;
+const shutdown = async (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`🛑 ${signal} received, shutting down...`);
+
+  const closed = new Promise(resolve => server.close(resolve));
+  server.closeIdleConnections();
+  songStats.stop();
+  charts.stop();
+
+  // Increments from requests still running are written directly from here on
+  await flushCounters();
+
+  const forceClose = setTimeout(() => server.closeAllConnections(), SHUTDOWN_TIMEOUT_MS);
+  await closed;
+  clearTimeout(forceClose);
+
+  await mongoose.connection.close();
+  process.exit();
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
\ No newline at end of file
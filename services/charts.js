@@ -0,0 +1,298 @@
+const Song = require('../models/Song');
+const SongDailyStat = require('../models/SongDailyStat');
+const ChartSnapshot = require('../models/ChartSnapshot');
+const { DAY_MS, rollupPeriod } = require('./songStats');
+
+// How much each kind of activity counts towards a song's chart score
+const SCORE_WEIGHTS = { plays: 1, favorites: 3, ratings: 2 };
+
+// Songs stored in a chart snapshot
+const CHART_SIZE = 50;
+
+const CHART_PERIODS = ['weekly', 'monthly'];
+
+// Song languages charts can be filtered by
+const CHART_LANGUAGES = ['en', 'zh', 'mixed', 'other'];
+
+// How often completed periods are checked for charts still to publish
+const SNAPSHOT_INTERVAL_MINUTES = parseInt(process.env.CHART_SNAPSHOT_INTERVAL_MINUTES || '60');
+
+// Known genres are looked up at most this often
+const GENRE_CACHE_MS = 10 * 60 * 1000;
+
+const TRENDING_WINDOW_DAYS = parseInt(process.env.TRENDING_WINDOW_DAYS || '14');
+// Activity loses half its weight for trending after this many days
+const TRENDING_HALF_LIFE_DAYS = parseFloat(process.env.TRENDING_HALF_LIFE_DAYS || '3');
+
+// Song fields included in chart entries
+const SONG_FIELDS = 'title artist album translations genre language year duration coverImage audioFile.url stats uploadedBy';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Start and (exclusive) end of the week (Monday to Sunday, UTC) or month containing a moment
+const getPeriodBounds = (period, moment = new Date()) => {
+  const day = SongDailyStat.startOfDay(moment);
+
+  if (period === 'weekly') {
+    const daysSinceMonday = (day.getUTCDay() + 6) % 7;
+    const start = new Date(day.getTime() - daysSinceMonday * DAY_MS);
+    return { start, end: new Date(start.getTime() + 7 * DAY_MS) };
+  }
+
+  const start = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+  return { start, end: new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 1)) };
+};
+
+// Rank published songs by their daily stats between start and end.
+// With decay, each day's activity is weighted down by its age (used for trending).
+const rankSongs = async ({ start, end, language, genre, limit, decay = false }) => {
+  const now = Date.now();
+  const activityScore = {
+    $add: [
+      { $multiply: ['$plays', SCORE_WEIGHTS.plays] },
+      { $multiply: ['$favorites', SCORE_WEIGHTS.favorites] },
+      { $multiply: ['$ratings', SCORE_WEIGHTS.ratings] }
+    ]
+  };
+  const decayFactor = {
+    $pow: [0.5, { $divide: [{ $subtract: [new Date(now), '$date'] }, TRENDING_HALF_LIFE_DAYS * DAY_MS] }]
+  };
+
+  const songMatch = { 'song.status': 'approved', 'song.isActive': true };
+  if (language) songMatch['song.language'] = language;
+  if (genre) songMatch['song.genre'] = new RegExp(`^${escapeRegExp(genre.trim())}$`, 'i');
+
+  const ranked = await SongDailyStat.aggregate([
+    { $match: { date: { $gte: start, $lt: end } } },
+    {
+      $group: {
+        _id: '$song',
+        plays: { $sum: '$plays' },
+        favorites: { $sum: '$favorites' },
+        ratings: { $sum: '$ratings' },
+        score: { $sum: decay ? { $multiply: [activityScore, decayFactor] } : activityScore }
+      }
+    },
+    { $match: { score: { $gt: 0 } } },
+    {
+      $lookup: {
+        from: Song.collection.name,
+        localField: '_id',
+        foreignField: '_id',
+        as: 'song'
+      }
+    },
+    { $unwind: '$song' },
+    { $match: songMatch },
+    { $sort: { score: -1, plays: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, song: '$song._id', score: 1, plays: 1, favorites: 1, ratings: 1 } }
+  ]);
+
+  return ranked.map((entry, index) => ({
+    rank: index + 1,
+    ...entry,
+    score: Math.round(entry.score * 100) / 100
+  }));
+};
+
+// Fill in each entry's song details, dropping songs that were removed since
+const populateEntries = async (entries) => {
+  await Song.populate(entries, {
+    path: 'song',
+    select: SONG_FIELDS,
+    match: { isActive: true },
+    populate: { path: 'uploadedBy', select: 'name' }
+  });
+  return entries.filter(entry => entry.song);
+};
+
+// Compare ranks against the chart of the period before
+const withMovement = (entries, previousEntries) => {
+  const previousRanks = new Map(previousEntries.map(entry => [entry.song.toString(), entry.rank]));
+
+  return entries.map(entry => {
+    const previousRank = previousRanks.get(entry.song.toString()) || null;
+    let movement = 'new';
+    if (previousRank) {
+      movement = previousRank > entry.rank ? 'up' : previousRank < entry.rank ? 'down' : 'same';
+    }
+    return { ...entry, previousRank, movement };
+  });
+};
+
+// Genres of published songs, lowercased - the genres charts can be filtered by
+let genreCache = null;
+const getChartGenres = async () => {
+  if (!genreCache || genreCache.expiresAt < Date.now()) {
+    const genres = await Song.distinct('genre', { status: 'approved', isActive: true });
+    genreCache = {
+      genres: [...new Set(genres.map(genre => genre.trim().toLowerCase()).filter(Boolean))],
+      expiresAt: Date.now() + GENRE_CACHE_MS
+    };
+  }
+  return genreCache.genres;
+};
+
+const snapshotFilters = ({ language, genre }) => ({
+  language: language || 'all',
+  genre: genre ? genre.trim().toLowerCase() : 'all'
+});
+
+// Find the published chart of a completed period, or null
+const findSnapshot = (period, bounds, filters) =>
+  ChartSnapshot.findOne({ period, periodStart: bounds.start, ...snapshotFilters(filters) }).lean();
+
+// Rank a completed period and store it as its published chart (the stats must be rolled up)
+const buildSnapshot = async (period, bounds, { language, genre }) => {
+  const entries = await rankSongs({ ...bounds, language, genre, limit: CHART_SIZE });
+
+  // The period before only needs ranks, so an unsaved ranking will do if it has no snapshot
+  const previousBounds = getPeriodBounds(period, new Date(bounds.start.getTime() - 1));
+  const previousSnapshot = await findSnapshot(period, previousBounds, { language, genre });
+  const previousEntries = previousSnapshot
+    ? previousSnapshot.entries
+    : await rankSongs({ ...previousBounds, language, genre, limit: CHART_SIZE });
+
+  try {
+    await ChartSnapshot.create({
+      period,
+      periodStart: bounds.start,
+      periodEnd: bounds.end,
+      ...snapshotFilters({ language, genre }),
+      entries: withMovement(entries, previousEntries)
+    });
+    return true;
+  } catch (error) {
+    // Another server stored the same snapshot first
+    if (error.code !== 11000) throw error;
+    return false;
+  }
+};
+
+// Publish one completed period's charts that are not stored yet. Returns the number stored.
+const publishPeriod = async (period, bounds, filterSets) => {
+  const existing = await ChartSnapshot.find({ period, periodStart: bounds.start }).select('language genre').lean();
+  const stored = new Set(existing.map(snapshot => `${snapshot.language}|${snapshot.genre}`));
+  const missing = filterSets.filter(filters => {
+    const { language, genre } = snapshotFilters(filters);
+    return !stored.has(`${language}|${genre}`);
+  });
+  if (missing.length === 0) return 0;
+
+  // Make sure late plays are in the rollups before the chart is fixed
+  await rollupPeriod(bounds.start, bounds.end);
+
+  let published = 0;
+  for (const filters of missing) {
+    if (await buildSnapshot(period, bounds, filters)) published++;
+  }
+  return published;
+};
+
+// Start of the oldest period that may still be missing charts: the newest period with a stored
+// chart (a genre may have appeared since), or without one, the period of the oldest daily stats
+const firstUnpublishedPeriodStart = async (period) => {
+  const latest = await ChartSnapshot.findOne({ period, language: 'all', genre: 'all' })
+    .sort({ periodStart: -1 })
+    .select('periodStart')
+    .lean();
+  if (latest) return latest.periodStart;
+
+  const oldest = await SongDailyStat.findOne().sort({ date: 1 }).select('date').lean();
+  return oldest ? getPeriodBounds(period, oldest.date).start : null;
+};
+
+// Publish the charts of completed weeks and months that are not stored yet, for every filter
+// people can ask for (each language and known genre, and each pair of them). Periods missed while
+// the server was down are published too, oldest first so each compares with the one before;
+// from goes back further, e.g. to backfill after importing old plays.
+// Run on a schedule, never from a request. Returns the number of snapshots stored.
+const publishCompletedCharts = async (moment = new Date(), { from } = {}) => {
+  const languages = [undefined, ...CHART_LANGUAGES];
+  const genres = [undefined, ...await getChartGenres()];
+  const filterSets = languages.flatMap(language => genres.map(genre => ({ language, genre })));
+  let published = 0;
+
+  for (const period of CHART_PERIODS) {
+    const currentStart = getPeriodBounds(period, moment).start;
+    const lastCompleted = getPeriodBounds(period, new Date(currentStart.getTime() - 1));
+    const first = from ? getPeriodBounds(period, from).start : await firstUnpublishedPeriodStart(period);
+
+    let bounds = first && first < lastCompleted.start ? getPeriodBounds(period, first) : lastCompleted;
+    while (bounds.end <= currentStart) {
+      published += await publishPeriod(period, bounds, filterSets);
+      bounds = getPeriodBounds(period, bounds.end);
+    }
+  }
+
+  return published;
+};
+
+// Get the weekly or monthly chart for the period containing date.
+// Completed periods come from published snapshots (null when there is none); the running period
+// is ranked live and compared with the last completed one.
+const getChart = async (period, { date = new Date(), language, genre, limit = 20 } = {}) => {
+  const bounds = getPeriodBounds(period, date);
+  const isComplete = bounds.end <= new Date();
+
+  let entries;
+  if (isComplete) {
+    const snapshot = await findSnapshot(period, bounds, { language, genre });
+    if (!snapshot) return null;
+    entries = snapshot.entries.slice(0, limit);
+  } else {
+    const live = await rankSongs({ ...bounds, language, genre, limit });
+    const previousBounds = getPeriodBounds(period, new Date(bounds.start.getTime() - 1));
+    const previous = await findSnapshot(period, previousBounds, { language, genre });
+    entries = withMovement(live, previous ? previous.entries : []);
+  }
+
+  return {
+    period,
+    periodStart: bounds.start,
+    periodEnd: bounds.end,
+    isComplete,
+    entries: await populateEntries(entries)
+  };
+};
+
+// Get songs that are trending now: recent activity, with older days counting less
+const getTrending = async ({ language, genre, limit = 20 } = {}) => {
+  const end = new Date(SongDailyStat.startOfDay().getTime() + DAY_MS);
+  const start = new Date(end.getTime() - TRENDING_WINDOW_DAYS * DAY_MS);
+
+  const entries = await rankSongs({ start, end, language, genre, limit, decay: true });
+  return populateEntries(entries);
+};
+
+let timer = null;
+
+// Publish completed charts now and at the configured interval
+const start = () => {
+  if (timer) return;
+  const run = () => publishCompletedCharts().catch(error => console.error('Chart publishing error:', error));
+  run();
+  timer = setInterval(run, SNAPSHOT_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  SCORE_WEIGHTS,
+  CHART_SIZE,
+  CHART_LANGUAGES,
+  getPeriodBounds,
+  getChartGenres,
+  getChart,
+  getTrending,
+  publishCompletedCharts,
+  start,
+  stop
+};
@@ -0,0 +1,162 @@
+// Write-behind buffer for hot counters (play counts and the like).
+// With COUNTER_BUFFER_ENABLED=true, increments are collected in memory and written with one
+// bulkWrite per model every COUNTER_FLUSH_INTERVAL_MS. Otherwise every increment is written
+// straight away. Either way the database only ever sees atomic $inc / $max updates.
+
+const FLUSH_INTERVAL_MS = parseInt(process.env.COUNTER_FLUSH_INTERVAL_MS || '5000');
+
+// "<modelName>:<id>" -> { Model, id, inc: { path: amount }, max: { path: value } }
+let buffer = new Map();
+let flushing = null;
+// Bumped whenever a flush starts, so readers can tell a flush happened while they were reading
+let flushEpoch = 0;
+let timer = null;
+// Set by stop(): from then on increments are written straight away, so none are left behind
+let stopped = false;
+
+const isEnabled = () => process.env.COUNTER_BUFFER_ENABLED === 'true';
+
+const bufferKey = (Model, id) => `${Model.modelName}:${id}`;
+
+// Add updates to an entry of the given buffer
+const mergeInto = (target, { Model, id, inc = {}, max = {} }) => {
+  const key = bufferKey(Model, id);
+  const entry = target.get(key) || { Model, id, inc: {}, max: {} };
+
+  Object.entries(inc).forEach(([path, amount]) => {
+    entry.inc[path] = (entry.inc[path] || 0) + amount;
+  });
+  Object.entries(max).forEach(([path, value]) => {
+    if (entry.max[path] === undefined || value > entry.max[path]) entry.max[path] = value;
+  });
+
+  target.set(key, entry);
+};
+
+const buildUpdate = ({ inc, max }) => ({
+  ...(Object.keys(inc).length > 0 && { $inc: inc }),
+  ...(Object.keys(max).length > 0 && { $max: max })
+});
+
+// Increment counters of a document, e.g. increment(Song, id, { 'stats.playCount': 1 }, { 'stats.lastPlayed': now })
+const increment = async (Model, id, inc, max = {}) => {
+  if (!isEnabled() || stopped) {
+    await Model.updateOne({ _id: id }, buildUpdate({ inc, max }));
+    return;
+  }
+  mergeInto(buffer, { Model, id, inc, max });
+};
+
+// Amount of a counter still waiting in the buffer
+const pendingFor = (Model, id, path) => {
+  const entry = buffer.get(bufferKey(Model, id));
+  return entry && entry.inc[path] ? entry.inc[path] : 0;
+};
+
+const runFlush = async () => {
+  const batch = buffer;
+  buffer = new Map();
+
+  // One bulkWrite per model
+  const byModel = new Map();
+  batch.forEach(entry => {
+    const entries = byModel.get(entry.Model) || [];
+    entries.push(entry);
+    byModel.set(entry.Model, entries);
+  });
+
+  let written = 0;
+  for (const [Model, entries] of byModel) {
+    try {
+      await Model.bulkWrite(entries.map(entry => ({
+        updateOne: { filter: { _id: entry.id }, update: buildUpdate(entry) }
+      })), { ordered: false });
+      written += entries.length;
+    } catch (error) {
+      // Put back what was not written so it is retried on the next flush
+      const failedIndexes = error.writeErrors
+        ? new Set(error.writeErrors.map(writeError => writeError.index))
+        : null;
+      entries.forEach((entry, index) => {
+        if (!failedIndexes || failedIndexes.has(index)) mergeInto(buffer, entry);
+      });
+      console.error(`Counter flush error (${Model.modelName}):`, error.message);
+    }
+  }
+
+  return written;
+};
+
+// Write everything buffered so far. Resolves with the number of documents updated.
+const flush = async () => {
+  // Let a running flush finish first, so updates are never written out of order
+  while (flushing) {
+    await flushing.catch(() => {});
+  }
+  if (buffer.size === 0) return 0;
+
+  flushEpoch++;
+  flushing = runFlush();
+  try {
+    return await flushing;
+  } finally {
+    flushing = null;
+  }
+};
+
+// Read a counter's exact current value: what is stored plus what is still buffered.
+// Retries if a flush ran during the read, since the stored value may or may not include it.
+const readCount = async (Model, id, path) => {
+  for (;;) {
+    while (flushing) {
+      await flushing.catch(() => {});
+    }
+
+    const epoch = flushEpoch;
+    const doc = await Model.findById(id).select(path).lean();
+    const stored = doc ? path.split('.').reduce((value, part) => (value ? value[part] : undefined), doc) || 0 : 0;
+
+    if (!flushing && flushEpoch === epoch) {
+      return stored + pendingFor(Model, id, path);
+    }
+  }
+};
+
+// Start flushing at the configured interval (does nothing unless the buffer is enabled)
+const start = () => {
+  if (!isEnabled() || timer) return;
+  timer = setInterval(() => {
+    flush().catch(error => console.error('Counter flush error:', error));
+  }, FLUSH_INTERVAL_MS);
+  timer.unref();
+};
+
+// Stop buffering and write whatever is left - call as soon as shutdown starts.
+// Failed writes are retried a few times. Resolves with { written, unwritten }, where unwritten
+// lists the updates that could still not be written ([{ model, id, inc, max }]) for the caller to report.
+const stop = async ({ attempts = 3, retryDelayMs = 1000 } = {}) => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  stopped = true;
+
+  let written = 0;
+  for (let attempt = 1; attempt <= attempts && buffer.size > 0; attempt++) {
+    if (attempt > 1) await new Promise(resolve => setTimeout(resolve, retryDelayMs));
+    written += await flush();
+  }
+
+  const unwritten = [...buffer.values()].map(({ Model, id, inc, max }) => ({ model: Model.modelName, id: String(id), inc, max }));
+  return { written, unwritten };
+};
+
+module.exports = {
+  isEnabled,
+  increment,
+  pendingFor,
+  readCount,
+  flush,
+  start,
+  stop
+};
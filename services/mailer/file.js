@@ -0,0 +1,35 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// File/console driver - for local development and testing without a mail service.
+// Every message is written as JSON to MAIL_FILE_DIR and summarised on the console.
+const createFileDriver = () => {
+  const outputDir = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'love-always-mail');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const filePath = path.join(outputDir, `${messageId}.json`);
+
+      await fs.mkdir(outputDir, { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify({
+        messageId,
+        date: new Date().toISOString(),
+        ...message
+      }, null, 2));
+
+      console.log(`📧 Mail to ${message.to}: "${message.subject}" saved to ${filePath}`);
+      // Message bodies carry one-time tokens, so keep them out of production logs
+      if (process.env.NODE_ENV !== 'production') {
+        console.log(message.text);
+      }
+
+      return { messageId };
+    }
+  };
+};
+
+module.exports = createFileDriver;
@@ -0,0 +1,62 @@
+const createSmtpDriver = require('./smtp');
+const createFileDriver = require('./file');
+const { renderTemplate } = require('./templates');
+
+const drivers = {
+  smtp: createSmtpDriver,
+  file: createFileDriver
+};
+
+let transport = null;
+
+// Pick the mail driver from MAIL_DRIVER, defaulting to SMTP only when a server is configured.
+// In production the file driver must be asked for: falling back to it would keep reset links
+// on the server's disk instead of sending them.
+const getTransport = () => {
+  if (!transport) {
+    const driverName = process.env.MAIL_DRIVER || (process.env.SMTP_HOST ? 'smtp' : 'file');
+    if (driverName === 'file' && !process.env.MAIL_DRIVER && process.env.NODE_ENV === 'production') {
+      throw new Error('No mail service configured. Set SMTP_HOST, or MAIL_DRIVER=file to keep mail on disk');
+    }
+
+    const createDriver = drivers[driverName];
+
+    if (!createDriver) {
+      throw new Error(`Unknown mail driver "${driverName}". Use one of: ${Object.keys(drivers).join(', ')}`);
+    }
+
+    transport = createDriver();
+  }
+  return transport;
+};
+
+// Send a raw message ({ to, subject, text })
+const sendMail = (message) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Love Always <no-reply@lovealways.app>',
+    ...message
+  });
+};
+
+// Send a localized template to a user, in the language from their preferences
+const sendTemplate = (templateName, user, params = {}) => {
+  const language = (user.preferences && user.preferences.language) || 'en';
+  const { subject, text } = renderTemplate(templateName, language, { name: user.name, ...params });
+
+  return sendMail({ to: user.email, subject, text });
+};
+
+// Build a link into the client app, e.g. for password reset emails
+const buildClientUrl = (pathname, query = {}) => {
+  const baseUrl = process.env.CLIENT_URL || 'http://localhost:8081';
+  const url = new URL(pathname, baseUrl);
+  Object.entries(query).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+module.exports = {
+  getTransport,
+  sendMail,
+  sendTemplate,
+  buildClientUrl
+};
@@ -0,0 +1,119 @@
+// Localized email templates, keyed by template name and then by User.preferences.language.
+// Each template returns { subject, text } for the given parameters.
+const templates = {
+  passwordReset: {
+    en: ({ name, resetUrl, expiresInMinutes }) => ({
+      subject: 'Reset your Love Always password',
+      text: [
+        `Hello ${name},`,
+        '',
+        'We received a request to reset the password for your Love Always account.',
+        'To choose a new password, open this link:',
+        '',
+        resetUrl,
+        '',
+        `This link will expire in ${expiresInMinutes} minutes.`,
+        'If you did not ask to reset your password, you can ignore this email. Your password will not change.',
+        '',
+        'With love,',
+        'The Love Always Team'
+      ].join('\n')
+    }),
+    zh: ({ name, resetUrl, expiresInMinutes }) => ({
+      subject: '重设您的 Love Always 密码',
+      text: [
+        `${name}，您好：`,
+        '',
+        '我们收到了重设您 Love Always 账户密码的请求。',
+        '请打开以下链接设置新密码：',
+        '',
+        resetUrl,
+        '',
+        `此链接将在 ${expiresInMinutes} 分钟后失效。`,
+        '如果您没有申请重设密码，请忽略此邮件，您的密码不会改变。',
+        '',
+        '祝您安好，',
+        'Love Always 团队'
+      ].join('\n')
+    })
+  },
+
+  emailVerification: {
+    en: ({ name, verifyUrl, expiresInHours }) => ({
+      subject: 'Please confirm your email for Love Always',
+      text: [
+        `Hello ${name},`,
+        '',
+        'Welcome to Love Always! Please confirm your email address by opening this link:',
+        '',
+        verifyUrl,
+        '',
+        `This link will expire in ${expiresInHours} hours.`,
+        'If you did not create an account, you can ignore this email.',
+        '',
+        'With love,',
+        'The Love Always Team'
+      ].join('\n')
+    }),
+    zh: ({ name, verifyUrl, expiresInHours }) => ({
+      subject: '请确认您的 Love Always 电子邮箱',
+      text: [
+        `${name}，您好：`,
+        '',
+        '欢迎加入 Love Always！请打开以下链接确认您的电子邮箱：',
+        '',
+        verifyUrl,
+        '',
+        `此链接将在 ${expiresInHours} 小时后失效。`,
+        '如果您没有注册账户，请忽略此邮件。',
+        '',
+        '祝您安好，',
+        'Love Always 团队'
+      ].join('\n')
+    })
+  },
+
+  passwordChanged: {
+    en: ({ name }) => ({
+      subject: 'Your Love Always password was changed',
+      text: [
+        `Hello ${name},`,
+        '',
+        'The password for your Love Always account was just changed.',
+        'If you did not do this, please contact us right away.',
+        '',
+        'With love,',
+        'The Love Always Team'
+      ].join('\n')
+    }),
+    zh: ({ name }) => ({
+      subject: '您的 Love Always 密码已更改',
+      text: [
+        `${name}，您好：`,
+        '',
+        '您的 Love Always 账户密码刚刚已被更改。',
+        '如果这不是您本人的操作，请立即联系我们。',
+        '',
+        '祝您安好，',
+        'Love Always 团队'
+      ].join('\n')
+    })
+  }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Render a template in the requested language, falling back to English
+const renderTemplate = (templateName, language, params) => {
+  const template = templates[templateName];
+  if (!template) {
+    throw new Error(`Unknown email template: ${templateName}`);
+  }
+
+  const render = template[language] || template[DEFAULT_LANGUAGE];
+  return render(params);
+};
+
+module.exports = {
+  renderTemplate
+};
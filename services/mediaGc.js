@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const Song = require('../models/Song');
+const User = require('../models/User');
+const { getStorage } = require('./storage');
+const { UPLOAD_TEMP_DIR } = require('../middleware/upload');
+
+// Storage folders that hold media owned by songs and users
+const MEDIA_PREFIXES = ['audio/', 'images/'];
+
+const DEFAULT_RETENTION_DAYS = parseInt(process.env.MEDIA_RETENTION_DAYS || '30');
+// Files younger than this are never touched, so uploads that are still being saved are safe
+const DEFAULT_GRACE_HOURS = parseInt(process.env.MEDIA_GC_GRACE_HOURS || '24');
+
+let running = false;
+
+// Map every storage key to whether a record still needs it ('live') or was deleted
+// longer ago than the retention period ('expired')
+const collectReferencedKeys = async (retentionCutoff) => {
+  const references = new Map();
+  const reference = (key, state, record) => {
+    if (!key) return;
+    // A key needed by any live record is kept, even if an expired record shares it
+    const existing = references.get(key);
+    if (existing && existing.state === 'live') return;
+    references.set(key, { state, record });
+  };
+
+  const songs = Song.find()
+    .select('isActive deletedAt updatedAt audioFile coverImage +pendingRevision')
+    .cursor();
+
+  for await (const song of songs) {
+    // Songs deleted before deletedAt existed fall back to when they were last updated
+    const deletedAt = song.isActive ? null : (song.deletedAt || song.updatedAt);
+    const state = deletedAt && deletedAt < retentionCutoff ? 'expired' : 'live';
+    const record = { type: 'song', id: song._id };
+
+    reference(song.getAudioKey(), state, record);
+    reference(song.getCoverKey(), state, record);
+
+    // Replacement files waiting for moderation
+    if (song.hasPendingRevision()) {
+      reference(song.pendingRevision.audioFile && song.pendingRevision.audioFile.key, state, record);
+      reference(song.pendingRevision.coverImage && song.pendingRevision.coverImage.key, state, record);
+    }
+  }
+
+  const users = User.find({ 'profile.avatar': { $ne: null } })
+    .select('isActive deletedAt profile.avatar profile.avatarKey')
+    .cursor();
+
+  for await (const user of users) {
+    const expired = !user.isActive && user.deletedAt && user.deletedAt < retentionCutoff;
+    reference(user.getAvatarKey(), expired ? 'expired' : 'live', { type: 'user', id: user._id });
+  }
+
+  return references;
+};
+
+// Leftovers from multipart uploads that never made it into storage
+async function* listStaleTempFiles(graceCutoff) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(UPLOAD_TEMP_DIR, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  for (const entry of entries) {
+    if (!entry.isFile()) continue;
+    const filePath = path.join(UPLOAD_TEMP_DIR, entry.name);
+    const stats = await fs.promises.stat(filePath);
+    if (stats.mtime < graceCutoff) {
+      yield { path: filePath, size: stats.size, lastModified: stats.mtime };
+    }
+  }
+}
+
+// Find media files nothing needs any more and, unless dryRun is set, delete them.
+// Returns a report of what was (or would be) removed.
+const collectMedia = async ({
+  dryRun = true,
+  retentionDays = DEFAULT_RETENTION_DAYS,
+  graceHours = DEFAULT_GRACE_HOURS
+} = {}) => {
+  if (running) {
+    const error = new Error('A media collection is already running');
+    error.code = 'GC_RUNNING';
+    throw error;
+  }
+  running = true;
+
+  try {
+    const storage = getStorage();
+    const startedAt = new Date();
+    const retentionCutoff = new Date(startedAt - retentionDays * 24 * 60 * 60 * 1000);
+    const graceCutoff = new Date(startedAt - graceHours * 60 * 60 * 1000);
+
+    const report = {
+      dryRun,
+      storageDriver: storage.name,
+      retentionDays,
+      graceHours,
+      startedAt,
+      scanned: 0,
+      orphaned: [], // Files in storage with no record
+      expired: [], // Files of records deleted longer ago than the retention period
+      staleTemp: [], // Abandoned files in the upload temp dir
+      deleted: 0,
+      reclaimedBytes: 0,
+      errors: []
+    };
+
+    const remove = async (item, deleteItem) => {
+      if (dryRun) {
+        report.reclaimedBytes += item.size;
+        return;
+      }
+      try {
+        await deleteItem();
+        report.deleted++;
+        report.reclaimedBytes += item.size;
+      } catch (error) {
+        report.errors.push({ file: item.key || item.path, message: error.message });
+      }
+    };
+
+    const references = await collectReferencedKeys(retentionCutoff);
+
+    for (const prefix of MEDIA_PREFIXES) {
+      for await (const object of storage.list(prefix)) {
+        report.scanned++;
+        const reference = references.get(object.key);
+
+        if (reference && reference.state === 'live') continue;
+        if (!reference && object.lastModified >= graceCutoff) continue;
+
+        const item = { key: object.key, size: object.size, lastModified: object.lastModified };
+        if (reference) {
+          item.record = reference.record;
+          report.expired.push(item);
+        } else {
+          report.orphaned.push(item);
+        }
+        await remove(item, () => storage.remove(object.key));
+      }
+    }
+
+    for await (const file of listStaleTempFiles(graceCutoff)) {
+      report.scanned++;
+      report.staleTemp.push(file);
+      await remove(file, () => fs.promises.unlink(file.path));
+    }
+
+    report.finishedAt = new Date();
+    return report;
+  } finally {
+    running = false;
+  }
+};
+
+module.exports = {
+  collectMedia,
+  DEFAULT_RETENTION_DAYS,
+  DEFAULT_GRACE_HOURS
+};
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const PlayEvent = require('../models/PlayEvent');
+const Song = require('../models/Song');
+const User = require('../models/User');
+const counterBuffer = require('./counterBuffer');
+
+// Rules that decide whether a play counts towards the public play counters
+const PLAY_RULES = {
+  // Seconds that must be listened before a play counts (half the song for songs shorter than twice this)
+  minSeconds: parseInt(process.env.PLAY_MIN_SECONDS || '30'),
+  // The same listener playing the same song again within this window is counted once
+  dedupeWindowMinutes: parseInt(process.env.PLAY_DEDUPE_WINDOW_MINUTES || '30'),
+  // More plays than this from one listener within the burst window are flagged as suspicious
+  burstLimit: parseInt(process.env.PLAY_BURST_LIMIT || '20'),
+  burstWindowMinutes: parseInt(process.env.PLAY_BURST_WINDOW_MINUTES || '10'),
+  // Plays received from one IP within the IP window beyond this are flagged, whoever they claim to
+  // be from - a new device ID per request must not make a new listener. Counted by server time.
+  ipLimit: parseInt(process.env.PLAY_IP_LIMIT || '240'),
+  ipWindowMinutes: parseInt(process.env.PLAY_IP_WINDOW_MINUTES || '60'),
+  // How far a phone's clock may be off from the server's
+  clockSkewSeconds: parseInt(process.env.PLAY_CLOCK_SKEW_SECONDS || '300'),
+  // Oldest play a batch (plays collected while offline) may report
+  batchMaxAgeHours: parseInt(process.env.PLAY_BATCH_MAX_AGE_HOURS || '24')
+};
+
+// IPs are only stored as salted hashes
+const hashIp = (ip) => {
+  if (!ip) return null;
+  const salt = process.env.PLAY_IP_SALT || process.env.JWT_SECRET || '';
+  return crypto.createHash('sha256').update(`${salt}:${ip}`).digest('hex');
+};
+
+// Identify who is listening: the account if signed in, otherwise the app install, otherwise the IP
+const buildListener = ({ userId, deviceId, ip }) => {
+  const ipHash = hashIp(ip);
+  let key;
+  if (userId) key = `user:${userId}`;
+  else if (deviceId) key = `device:${deviceId}`;
+  else key = `ip:${ipHash}`;
+
+  return { key, ipHash };
+};
+
+// The start times accepted for a play reported now, as { earliest, latest }. A play reported as
+// it ends started at most secondsListened ago; a batch may go back batchMaxAgeHours. Keeping
+// start times near the server clock stops fake plays being spread over empty past windows.
+const startTimeBounds = ({ secondsListened = 0, batch = false } = {}, now = Date.now()) => {
+  const skewMs = PLAY_RULES.clockSkewSeconds * 1000;
+  const earliest = batch
+    ? now - PLAY_RULES.batchMaxAgeHours * 60 * 60 * 1000
+    : now - Number(secondsListened) * 1000 - skewMs;
+  return { earliest: new Date(earliest), latest: new Date(now + skewMs) };
+};
+
+// Seconds that must be listened to this song for a play to count
+const requiredSeconds = (song) => {
+  if (song.duration) {
+    return Math.min(PLAY_RULES.minSeconds, song.duration / 2);
+  }
+  return PLAY_RULES.minSeconds;
+};
+
+// Decide whether a play counts. Returns null when it does, or the reason it does not:
+// 'too_short', 'duplicate' or 'burst' (the only one treated as suspicious).
+// startedAt must be within startTimeBounds.
+const evaluatePlay = async (song, { key: listenerKey, ipHash }, { startedAt, secondsListened }) => {
+  // Too many plays arriving from one IP, by server time
+  if (ipHash) {
+    const ipPlays = await PlayEvent.countDocuments({
+      ipHash,
+      createdAt: { $gt: new Date(Date.now() - PLAY_RULES.ipWindowMinutes * 60 * 1000) }
+    });
+    if (ipPlays >= PLAY_RULES.ipLimit) {
+      return 'burst';
+    }
+  }
+
+  // Too many plays, or plays started in the window that claim more listening than the window
+  // holds (one person listens to one song at a time), is not a person listening
+  const burstWindowMs = PLAY_RULES.burstWindowMinutes * 60 * 1000;
+  const [recent] = await PlayEvent.aggregate([
+    {
+      $match: {
+        listenerKey,
+        startedAt: { $gt: new Date(startedAt - burstWindowMs), $lte: startedAt }
+      }
+    },
+    { $group: { _id: null, plays: { $sum: 1 }, seconds: { $sum: '$secondsListened' } } }
+  ]);
+  if (recent && (recent.plays >= PLAY_RULES.burstLimit ||
+    recent.seconds > (burstWindowMs / 1000) * 1.5)) {
+    return 'burst';
+  }
+
+  if (secondsListened < requiredSeconds(song)) {
+    return 'too_short';
+  }
+
+  const dedupeWindowMs = PLAY_RULES.dedupeWindowMinutes * 60 * 1000;
+  const alreadyCounted = await PlayEvent.exists({
+    listenerKey,
+    song: song._id,
+    counted: true,
+    startedAt: {
+      $gt: new Date(startedAt - dedupeWindowMs),
+      $lt: new Date(startedAt.getTime() + dedupeWindowMs)
+    }
+  });
+  if (alreadyCounted) {
+    return 'duplicate';
+  }
+
+  return null;
+};
+
+// The dedupe window a play started in. The check in evaluatePlay looks around the start time;
+// this is what makes two plays checked at the same time unable to both count.
+const dedupeBucketOf = (startedAt) => Math.floor(startedAt.getTime() / (PLAY_RULES.dedupeWindowMinutes * 60 * 1000));
+
+// Whether a duplicate key error comes from the one-counted-play-per-window index
+const isCountedDuplicate = (error) => error.code === 11000 && Boolean(error.keyPattern && error.keyPattern.dedupeBucket);
+
+// Check a play against the counting rules and store it.
+// Returns { event, counted, reason }, or null when the client already sent this event (same clientEventId).
+const recordPlay = async (song, { userId, deviceId, ip }, {
+  startedAt = new Date(),
+  secondsListened = 0,
+  completed = false,
+  clientEventId
+} = {}) => {
+  deviceId = deviceId ? String(deviceId).substring(0, 100) : null;
+  const listener = buildListener({ userId, deviceId, ip });
+  const flag = await evaluatePlay(song, listener, { startedAt, secondsListened });
+
+  const store = (playFlag) => PlayEvent.create({
+    user: userId || undefined,
+    song: song._id,
+    startedAt,
+    secondsListened,
+    completed,
+    clientEventId,
+    listenerKey: listener.key,
+    deviceId: deviceId || undefined,
+    ipHash: listener.ipHash || undefined,
+    counted: playFlag === null,
+    flag: playFlag,
+    dedupeBucket: dedupeBucketOf(startedAt)
+  });
+
+  try {
+    let event;
+    try {
+      event = await store(flag);
+    } catch (error) {
+      // Another report of this play was counted between the check and the insert
+      if (flag !== null || !isCountedDuplicate(error)) throw error;
+      event = await store('duplicate');
+    }
+
+    return { event, counted: event.counted, reason: event.flag || 'counted' };
+  } catch (error) {
+    if (error.code === 11000 && clientEventId) return null;
+    throw error;
+  }
+};
+
+// Add counted plays to the song's public play count and the listener's stats.
+// Goes through the counter buffer, so it is written straight away or batched depending on config.
+const countPlays = async (songId, userId, count = 1, playedAt = new Date()) => {
+  await counterBuffer.increment(Song, songId, { 'stats.playCount': count }, { 'stats.lastPlayed': playedAt });
+  if (userId) {
+    await counterBuffer.increment(User, userId, { 'stats.songsPlayed': count });
+  }
+};
+
+// Current play count of a song, including plays that are still buffered
+const getPlayCount = (songId) => counterBuffer.readCount(Song, songId, 'stats.playCount');
+
+module.exports = {
+  PLAY_RULES,
+  hashIp,
+  startTimeBounds,
+  recordPlay,
+  countPlays,
+  getPlayCount
+};
@@ -0,0 +1,315 @@
+const Song = require('../models/Song');
+const Favorite = require('../models/Favorite');
+const Rating = require('../models/Rating');
+const PlayEvent = require('../models/PlayEvent');
+const { localizeReason } = require('../utils/i18n');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Songs played this recently are left out of recommendations
+const RECENT_PLAY_DAYS = parseInt(process.env.RECOMMENDATIONS_RECENT_PLAY_DAYS || '7');
+// How far back plays shape a listener's taste
+const TASTE_WINDOW_DAYS = parseInt(process.env.RECOMMENDATIONS_TASTE_WINDOW_DAYS || '90');
+
+// Points for each thing a song shares with another song
+const SIMILARITY_WEIGHTS = { artist: 4, genre: 3, tag: 1, language: 1, era: 1 };
+const MAX_SHARED_TAGS = 3;
+
+// How strongly each kind of activity says "I like this"
+const TASTE_WEIGHTS = { favorite: 3, rating: 2, play: 1 };
+// Play counts stop adding weight after this many plays of a song
+const MAX_PLAYS_PER_SONG = 5;
+
+// Songs looked at before scoring
+const CANDIDATE_LIMIT = 300;
+
+// Song fields returned with recommendations
+const SONG_FIELDS = 'title artist album translations genre language year duration tags coverImage audioFile.url stats uploadedBy';
+
+// Song languages worth naming as a reason ("mixed" and "other" say little)
+const NAMED_LANGUAGES = ['en', 'zh'];
+
+// Artists, genres and tags are matched without regard to case
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+// Artists and genres in reasons are shown by their normalized value, which is matched
+// case-insensitively
+
+const normalize = (value) => (value || '').toString().trim().toLowerCase();
+
+const playCountOf = (song) => (song.stats && song.stats.playCount) || 0;
+
+const decadeOf = (year) => (year ? Math.floor(year / 10) * 10 : null);
+
+// Score how alike two songs are, with a reason for everything they share.
+// Reasons are { type, value, code, params }; presentReasons() adds their text.
+const scoreSimilarity = (source, candidate) => {
+  const reasons = [];
+  let score = 0;
+
+  if (source.artist && normalize(source.artist) === normalize(candidate.artist)) {
+    score += SIMILARITY_WEIGHTS.artist;
+    reasons.push({ type: 'artist', value: candidate.artist, code: 'SIMILAR_ARTIST', params: { artist: candidate.artist } });
+  }
+
+  if (source.genre && normalize(source.genre) === normalize(candidate.genre)) {
+    score += SIMILARITY_WEIGHTS.genre;
+    reasons.push({ type: 'genre', value: candidate.genre, code: 'SIMILAR_GENRE', params: { genre: candidate.genre } });
+  }
+
+  const sourceTags = new Set((source.tags || []).map(normalize));
+  const sharedTags = (candidate.tags || []).filter(tag => sourceTags.has(normalize(tag))).slice(0, MAX_SHARED_TAGS);
+  if (sharedTags.length > 0) {
+    score += sharedTags.length * SIMILARITY_WEIGHTS.tag;
+    reasons.push({ type: 'tag', value: sharedTags, code: 'SIMILAR_TAGS', params: { tags: sharedTags } });
+  }
+
+  if (source.language && source.language === candidate.language) {
+    score += SIMILARITY_WEIGHTS.language;
+    if (NAMED_LANGUAGES.includes(candidate.language)) {
+      reasons.push({
+        type: 'language',
+        value: candidate.language,
+        code: 'SIMILAR_LANGUAGE',
+        params: { language: candidate.language }
+      });
+    }
+  }
+
+  const decade = decadeOf(source.year);
+  if (decade && decade === decadeOf(candidate.year)) {
+    score += SIMILARITY_WEIGHTS.era;
+    reasons.push({ type: 'era', value: `${decade}s`, code: 'SIMILAR_ERA', params: { decade } });
+  }
+
+  return { score, reasons };
+};
+
+// Published songs sharing the most with the given song, best match first
+const findSimilarSongs = async (song, limit = 10) => {
+  const shared = [];
+  if (song.artist) shared.push({ artist: song.artist });
+  if (song.genre) shared.push({ genre: song.genre });
+  if (song.tags && song.tags.length > 0) shared.push({ tags: { $in: song.tags } });
+
+  const baseQuery = { _id: { $ne: song._id }, status: 'approved', isActive: true };
+
+  let candidates = shared.length > 0
+    ? await Song.find({ ...baseQuery, $or: shared })
+      .collation(CASE_INSENSITIVE)
+      .select(SONG_FIELDS)
+      .sort({ 'stats.playCount': -1 })
+      .limit(CANDIDATE_LIMIT)
+      .lean()
+    : [];
+
+  // Not enough close matches - widen to songs in the same language or from the same decade
+  if (candidates.length < limit) {
+    const wider = [{ language: song.language }];
+    const decade = decadeOf(song.year);
+    if (decade) wider.push({ year: { $gte: decade, $lt: decade + 10 } });
+
+    const more = await Song.find({
+      ...baseQuery,
+      _id: { $nin: [song._id, ...candidates.map(candidate => candidate._id)] },
+      $or: wider
+    })
+      .select(SONG_FIELDS)
+      .sort({ 'stats.playCount': -1 })
+      .limit(CANDIDATE_LIMIT)
+      .lean();
+    candidates = candidates.concat(more);
+  }
+
+  const scored = candidates
+    .map(candidate => ({ candidate, ...scoreSimilarity(song, candidate) }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score || playCountOf(b.candidate) - playCountOf(a.candidate))
+    .slice(0, limit);
+
+  const songs = scored.map(({ candidate, score, reasons }) => ({ ...candidate, similarity: score, reasons }));
+  await Song.populate(songs, { path: 'uploadedBy', select: 'name' });
+  return songs;
+};
+
+// What a user likes, built from favorites, good ratings and recent plays.
+// Each artist, genre and tag gets a weight, and remembers the activity that added most to it
+// so a recommendation can say where it came from.
+const buildTasteProfile = async (userId) => {
+  const tasteSince = new Date(Date.now() - TASTE_WINDOW_DAYS * DAY_MS);
+
+  const [favorites, ratings, plays] = await Promise.all([
+    Favorite.find({ user: userId }).select('song').lean(),
+    Rating.find({ user: userId }).select('song rating').lean(),
+    PlayEvent.aggregate([
+      { $match: { user: userId, startedAt: { $gte: tasteSince }, flag: { $ne: 'too_short' } } },
+      { $group: { _id: '$song', plays: { $sum: 1 } } }
+    ])
+  ]);
+
+  // Activity per song: [{ song, source, weight }]
+  const signals = [
+    ...favorites.map(favorite => ({ song: favorite.song, source: 'favorite', weight: TASTE_WEIGHTS.favorite })),
+    ...ratings
+      .filter(rating => rating.rating >= 4)
+      .map(rating => ({ song: rating.song, source: 'rating', weight: TASTE_WEIGHTS.rating * (rating.rating - 3) / 2 })),
+    ...plays.map(play => ({
+      song: play._id,
+      source: 'play',
+      weight: TASTE_WEIGHTS.play * Math.min(play.plays, MAX_PLAYS_PER_SONG)
+    }))
+  ];
+
+  const profile = { artist: new Map(), genre: new Map(), tag: new Map(), isEmpty: signals.length === 0 };
+  // Songs the user already knows well or did not like
+  profile.knownSongIds = new Set([
+    ...favorites.map(favorite => favorite.song.toString()),
+    ...ratings.map(rating => rating.song.toString())
+  ]);
+  if (profile.isEmpty) return profile;
+
+  const seedSongs = await Song.find({ _id: { $in: signals.map(signal => signal.song) } })
+    .select('artist genre tags')
+    .lean();
+  const seedsById = new Map(seedSongs.map(song => [song._id.toString(), song]));
+
+  const addWeight = (type, value, signal) => {
+    const key = normalize(value);
+    if (!key) return;
+    const entry = profile[type].get(key) || { value, weight: 0, sources: {} };
+    entry.weight += signal.weight;
+    entry.sources[signal.source] = (entry.sources[signal.source] || 0) + signal.weight;
+    profile[type].set(key, entry);
+  };
+
+  signals.forEach(signal => {
+    const seed = seedsById.get(signal.song.toString());
+    if (!seed) return;
+    addWeight('artist', seed.artist, signal);
+    addWeight('genre', seed.genre, signal);
+    (seed.tags || []).forEach(tag => addWeight('tag', tag, signal));
+  });
+
+  return profile;
+};
+
+// Explain a taste match, using the activity that added most to it
+const tasteReason = (type, entry) => {
+  const [source] = Object.entries(entry.sources).sort((a, b) => b[1] - a[1])[0];
+  const { value } = entry;
+
+  if (type === 'artist') {
+    return { type, value, source, code: `TASTE_ARTIST_${source.toUpperCase()}`, params: { artist: value } };
+  }
+  if (type === 'genre') {
+    return { type, value, source, code: 'TASTE_GENRE', params: { genre: value } };
+  }
+  return { type, value, source, code: 'TASTE_TAG', params: { tag: value } };
+};
+
+// Personal recommendations for a user, each with the reasons it was picked.
+// Songs the user played recently, favorited or rated are left out.
+const recommendForUser = async (userId, limit = 20) => {
+  const recentSince = new Date(Date.now() - RECENT_PLAY_DAYS * DAY_MS);
+  const [profile, recentSongIds] = await Promise.all([
+    buildTasteProfile(userId),
+    PlayEvent.distinct('song', { user: userId, startedAt: { $gte: recentSince } })
+  ]);
+
+  const excludedIds = [
+    ...recentSongIds.map(id => id.toString()),
+    ...profile.knownSongIds
+  ];
+  const baseQuery = { _id: { $nin: excludedIds }, status: 'approved', isActive: true };
+
+  let recommendations = [];
+
+  if (!profile.isEmpty) {
+    // Normalized values, matched case-insensitively
+    const topValues = (type, count) => [...profile[type].entries()]
+      .sort((a, b) => b[1].weight - a[1].weight)
+      .slice(0, count)
+      .map(([key]) => key);
+
+    const artists = topValues('artist', 20);
+    const genres = topValues('genre', 10);
+    const tags = topValues('tag', 20);
+
+    const shared = [];
+    if (artists.length > 0) shared.push({ artist: { $in: artists } });
+    if (genres.length > 0) shared.push({ genre: { $in: genres } });
+    if (tags.length > 0) shared.push({ tags: { $in: tags } });
+
+    const candidates = shared.length > 0
+      ? await Song.find({ ...baseQuery, $or: shared })
+        .collation(CASE_INSENSITIVE)
+        .select(SONG_FIELDS)
+        .sort({ 'stats.playCount': -1 })
+        .limit(CANDIDATE_LIMIT)
+        .lean()
+      : [];
+
+    recommendations = candidates
+      .map(song => {
+        const matches = [];
+        const artistEntry = profile.artist.get(normalize(song.artist));
+        if (artistEntry) matches.push({ type: 'artist', entry: artistEntry, weight: artistEntry.weight * SIMILARITY_WEIGHTS.artist });
+        const genreEntry = profile.genre.get(normalize(song.genre));
+        if (genreEntry) matches.push({ type: 'genre', entry: genreEntry, weight: genreEntry.weight * SIMILARITY_WEIGHTS.genre });
+        (song.tags || []).forEach(tag => {
+          const tagEntry = profile.tag.get(normalize(tag));
+          if (tagEntry) matches.push({ type: 'tag', entry: tagEntry, weight: tagEntry.weight * SIMILARITY_WEIGHTS.tag });
+        });
+
+        matches.sort((a, b) => b.weight - a.weight);
+        return {
+          ...song,
+          score: Math.round(matches.reduce((sum, match) => sum + match.weight, 0) * 100) / 100,
+          reasons: matches.slice(0, 2).map(match => tasteReason(match.type, match.entry))
+        };
+      })
+      .filter(song => song.score > 0)
+      .sort((a, b) => b.score - a.score || playCountOf(b) - playCountOf(a))
+      .slice(0, limit);
+  }
+
+  // New listeners, or not enough matches - fill up with songs popular with everyone
+  if (recommendations.length < limit) {
+    const popular = await Song.find({
+      ...baseQuery,
+      _id: { $nin: [...excludedIds, ...recommendations.map(song => song._id)] }
+    })
+      .select(SONG_FIELDS)
+      .sort({ 'stats.playCount': -1, 'stats.favoriteCount': -1 })
+      .limit(limit - recommendations.length)
+      .lean();
+
+    recommendations = recommendations.concat(popular.map(song => ({
+      ...song,
+      score: 0,
+      reasons: [{ type: 'popular', value: null, source: null, code: 'POPULAR', params: {} }]
+    })));
+  }
+
+  await Song.populate(recommendations, { path: 'uploadedBy', select: 'name' });
+  return recommendations;
+};
+
+// A song (localized for locale) with the text of its reasons in that locale. Artists are named
+// the way the song shows them, not by the original name the reason was found by.
+const presentReasons = (song, locale) => ({
+  ...song,
+  reasons: (song.reasons || []).map(({ params, ...reason }) => ({
+    ...reason,
+    message: localizeReason(locale, reason.code, params.artist ? { ...params, artist: song.artist } : params)
+  }))
+});
+
+module.exports = {
+  SIMILARITY_WEIGHTS,
+  scoreSimilarity,
+  findSimilarSongs,
+  buildTasteProfile,
+  recommendForUser,
+  presentReasons
+};
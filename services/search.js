@@ -0,0 +1,143 @@
+const Song = require('../models/Song');
+const { analyzeQuery, queryTerms, scoreTerms, lyricSnippet } = require('../utils/searchText');
+
+// Songs loaded and scored per search pass, most played first. Matching is done by the database,
+// ranking here, so this caps the work per query rather than the number of results.
+const CANDIDATE_LIMIT = parseInt(process.env.SEARCH_CANDIDATE_LIMIT || '500');
+
+// Kinds of term that match a whole word, character or pinyin syllable (not a prefix or a typo)
+const EXACT_KINDS = ['w', 'c', 'y'];
+
+// Share of the query words a song must match - people often half-remember a title or a line
+const MIN_COVERAGE = 0.5;
+
+// Fields searched by typeahead suggestions
+const SUGGEST_FIELDS = ['t', 'a'];
+const SUGGEST_SELECT = 'title artist album translations coverImage duration stats';
+
+const popularityOf = (song) => {
+  const stats = song.stats || {};
+  return (stats.playCount || 0) + 3 * (stats.favoriteCount || 0);
+};
+
+// Load songs matching the given term lists: every list when all is set, otherwise any of them.
+// Returns { songs, capped } - capped when there may be more matching songs than were loaded.
+const findCandidates = async (termLists, { filter, fields, all, limit = CANDIDATE_LIMIT }) => {
+  const match = all
+    ? { $and: termLists.map(terms => ({ 'searchIndex.terms': { $in: terms } })) }
+    : { 'searchIndex.terms': { $in: [...new Set(termLists.flat())] } };
+
+  const songs = await Song.find({ ...filter, ...match })
+    .select(fields ? `${fields} searchIndex.terms` : '+searchIndex')
+    .sort({ 'stats.playCount': -1 })
+    .limit(limit)
+    .lean();
+
+  return { songs, capped: songs.length === limit };
+};
+
+// Candidates for a full search. The popularity cap applies to each pass separately, so a rarely
+// played song whose title or artist has every query word is loaded even when the words are common:
+// 1. every word found in the title or artist as a whole word (or character, or pinyin)
+// 2. every word found anywhere, in any form
+// 3. any word found (songs need only half the words to match)
+const findSearchCandidates = async (tokens, filter) => {
+  const perToken = tokens.map(token => queryTerms([token]));
+  const passes = [
+    findCandidates(tokens.map(token => queryTerms([token], ['t', 'a'], EXACT_KINDS)), { filter, all: true }),
+    findCandidates(perToken, { filter, all: true })
+  ];
+  if (tokens.length > 1) {
+    passes.push(findCandidates(perToken, { filter, all: false }));
+  }
+
+  const results = await Promise.all(passes);
+  const songs = new Map();
+  results.forEach(result => result.songs.forEach(song => songs.set(song._id.toString(), song)));
+
+  return { songs: [...songs.values()], capped: results.some(result => result.capped) };
+};
+
+// Search songs matching filter (e.g. { status: 'approved', isActive: true }) by title, artist,
+// album and lyrics in any translation. Best matches come first unless a sort is given.
+// Returns { songs, total, totalIsLowerBound }; each song has search: { score, matchedFields, lyricSnippet }.
+// totalIsLowerBound is set when not every matching song could be loaded, so there may be more.
+const searchSongs = async (text, { filter = {}, sort, page = 1, limit = 20 } = {}) => {
+  const tokens = analyzeQuery(text);
+  if (tokens.length === 0) return { songs: [], total: 0, totalIsLowerBound: false };
+
+  const { songs: candidates, capped } = await findSearchCandidates(tokens, filter);
+
+  const matches = candidates
+    .map(song => ({ song, match: scoreTerms(song.searchIndex ? song.searchIndex.terms : [], tokens) }))
+    .filter(({ match }) => match.coverage >= MIN_COVERAGE);
+
+  if (sort) {
+    const [[field, direction]] = Object.entries(sort);
+    const valueOf = (song) => field.split('.').reduce((value, part) => (value ? value[part] : undefined), song);
+    matches.sort((a, b) => {
+      const [first, second] = [valueOf(a.song), valueOf(b.song)];
+      if (first === second) return b.match.score - a.match.score;
+      if (first === undefined || first === null) return 1;
+      if (second === undefined || second === null) return -1;
+      return (first > second ? 1 : -1) * direction;
+    });
+  } else {
+    // More of the query matched first, then better matches, then more popular songs
+    matches.sort((a, b) => b.match.coverage - a.match.coverage ||
+      b.match.score - a.match.score ||
+      popularityOf(b.song) - popularityOf(a.song));
+  }
+
+  const pageMatches = matches.slice((page - 1) * limit, page * limit);
+  const songs = pageMatches.map(({ song, match }) => {
+    const { searchIndex, ...songData } = song;
+    return {
+      ...songData,
+      search: {
+        score: Math.round(match.score * 100) / 100,
+        matchedFields: match.fields.map(field => ({ t: 'title', a: 'artist', b: 'album', l: 'lyrics' })[field]),
+        lyricSnippet: match.fields.includes('l') ? lyricSnippet(song.lyrics, tokens) : null
+      }
+    };
+  });
+
+  return { songs, total: matches.length, totalIsLowerBound: capped };
+};
+
+// Typeahead suggestions for a partly typed title or artist, weighted by popularity.
+// Every word typed so far must match.
+const suggestSongs = async (text, { filter = {}, limit = 8 } = {}) => {
+  const tokens = analyzeQuery(text);
+  if (tokens.length === 0) return [];
+
+  // Only songs matching every word can be suggested, so only those are loaded
+  const { songs: candidates } = await findCandidates(
+    tokens.map(token => queryTerms([token], SUGGEST_FIELDS)),
+    { filter, fields: SUGGEST_SELECT, all: true }
+  );
+
+  return candidates
+    .map(song => {
+      const match = scoreTerms(song.searchIndex ? song.searchIndex.terms : [], tokens, SUGGEST_FIELDS);
+      return { song, match, weight: match.score * (1 + Math.log10(1 + popularityOf(song))) };
+    })
+    .filter(({ match }) => match.coverage === 1)
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, limit)
+    .map(({ song, match }) => ({
+      _id: song._id,
+      title: song.title,
+      artist: song.artist,
+      album: song.album,
+      translations: song.translations,
+      coverImage: song.coverImage,
+      duration: song.duration,
+      matchedField: match.fields.includes('t') ? 'title' : 'artist'
+    }));
+};
+
+module.exports = {
+  searchSongs,
+  suggestSongs
+};
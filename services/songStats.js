@@ -0,0 +1,102 @@
+const SongDailyStat = require('../models/SongDailyStat');
+const PlayEvent = require('../models/PlayEvent');
+const Favorite = require('../models/Favorite');
+const Rating = require('../models/Rating');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Recent days are rolled up again on every run, so late batches of plays still land in them
+const ROLLUP_LOOKBACK_DAYS = parseInt(process.env.STATS_ROLLUP_LOOKBACK_DAYS || '3');
+const ROLLUP_INTERVAL_MINUTES = parseInt(process.env.STATS_ROLLUP_INTERVAL_MINUTES || '15');
+
+let timer = null;
+let running = null;
+// Rollups run one after another, never side by side
+let queue = Promise.resolve();
+
+const exclusive = (task) => {
+  const result = queue.then(task);
+  queue = result.catch(() => {});
+  return result;
+};
+
+// Count one UTC day's counted plays, new favorites and ratings per song, and store them.
+// Safe to run again - the day's rows are replaced. Returns the number of songs with activity.
+const rollupDay = async (date) => {
+  const start = SongDailyStat.startOfDay(date);
+  const end = new Date(start.getTime() + DAY_MS);
+  const during = { $gte: start, $lt: end };
+
+  const [plays, favorites, ratings] = await Promise.all([
+    PlayEvent.aggregate([
+      { $match: { counted: true, startedAt: during } },
+      { $group: { _id: '$song', plays: { $sum: 1 } } }
+    ]),
+    Favorite.aggregate([
+      { $match: { createdAt: during } },
+      { $group: { _id: '$song', favorites: { $sum: 1 } } }
+    ]),
+    Rating.aggregate([
+      { $match: { updatedAt: during } },
+      { $group: { _id: '$song', ratings: { $sum: 1 }, ratingSum: { $sum: '$rating' } } }
+    ])
+  ]);
+
+  const rows = new Map();
+  [...plays, ...favorites, ...ratings].forEach(({ _id: song, ...counts }) => {
+    const key = song.toString();
+    rows.set(key, { ...rows.get(key), song, ...counts });
+  });
+
+  await SongDailyStat.replaceDay(start, [...rows.values()]);
+  return rows.size;
+};
+
+// Roll up every day from start up to (not including) end
+const rollupRange = async (start, end) => {
+  let songs = 0;
+  for (let day = SongDailyStat.startOfDay(start); day < end; day = new Date(day.getTime() + DAY_MS)) {
+    songs += await rollupDay(day);
+  }
+  return songs;
+};
+
+// Roll up today and the last few days
+const rollupRecentDays = (days = ROLLUP_LOOKBACK_DAYS) => {
+  // A caller arriving during a run shares its result
+  if (!running) {
+    const today = SongDailyStat.startOfDay();
+    running = exclusive(() => rollupRange(new Date(today.getTime() - (days - 1) * DAY_MS), new Date(today.getTime() + DAY_MS)))
+      .finally(() => { running = null; });
+  }
+  return running;
+};
+
+// Roll up a past range once other rollups are done, e.g. a period before its chart is published
+const rollupPeriod = (start, end) => exclusive(() => rollupRange(start, end));
+
+// Start rolling up recent days at the configured interval
+const start = () => {
+  if (timer) return;
+  const run = () => rollupRecentDays().catch(error => console.error('Stats rollup error:', error));
+  run();
+  timer = setInterval(run, ROLLUP_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  DAY_MS,
+  rollupDay,
+  rollupRange,
+  rollupRecentDays,
+  rollupPeriod,
+  start,
+  stop
+};
@@ -0,0 +1,55 @@
+const path = require('path');
+const createLocalDriver = require('./local');
+const createS3Driver = require('./s3');
+
+// Storage driver interface. Every driver provides:
+//   putFile(key, sourcePath, { contentType })   move a local (temp) file into storage
+//   putBuffer(key, buffer, { contentType })      store bytes under a key
+//   stat(key)                                    { size, lastModified } or null when missing
+//   openReadStream(key, { start, end })          readable stream, optionally for a byte range
+//   remove(key)                                  delete an object (no error if missing)
+//   list(prefix)                                 async iterator of { key, size, lastModified }
+//   getUrl(key)                                  public URL (used for images)
+const drivers = {
+  local: createLocalDriver,
+  s3: createS3Driver
+};
+
+let storage = null;
+
+// Pick the storage driver from STORAGE_DRIVER (default: local)
+const getStorage = () => {
+  if (!storage) {
+    const driverName = process.env.STORAGE_DRIVER || 'local';
+    const createDriver = drivers[driverName];
+
+    if (!createDriver) {
+      throw new Error(`Unknown storage driver "${driverName}". Use one of: ${Object.keys(drivers).join(', ')}`);
+    }
+
+    storage = createDriver();
+  }
+  return storage;
+};
+
+const FILE_EXTENSION_PATTERN = /^\.[a-z0-9]+$/;
+
+// Build a unique storage key like "audio/my-song-1700000000000-123456789.mp3".
+// The extension is passed in (from the file's detected type); the original name only gives the base name.
+const buildKey = (folder, originalName, extension) => {
+  if (!FILE_EXTENSION_PATTERN.test(extension)) {
+    throw new Error(`Invalid storage key extension "${extension}"`);
+  }
+
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const baseName = path.basename(originalName, path.extname(originalName))
+    .replace(/[^a-zA-Z0-9]/g, '-') // Replace special chars with hyphens
+    .substring(0, 50); // Limit length
+
+  return `${folder}/${baseName}-${uniqueSuffix}${extension}`;
+};
+
+module.exports = {
+  getStorage,
+  buildKey
+};
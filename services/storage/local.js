@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local-disk driver - stores objects as files under LOCAL_STORAGE_DIR (default "uploads").
+// Note that on hosts with ephemeral disks (e.g. Railway) these files do not survive a redeploy.
+const createLocalDriver = () => {
+  const root = path.resolve(process.env.LOCAL_STORAGE_DIR || 'uploads');
+
+  // Resolve a key to a path, refusing keys that would escape the storage root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const putFile = async (key, sourcePath) => {
+    const target = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+    try {
+      await fs.promises.rename(sourcePath, target);
+    } catch (error) {
+      // Temp dir on another device - fall back to copy and delete
+      if (error.code !== 'EXDEV') throw error;
+      await fs.promises.copyFile(sourcePath, target);
+      await fs.promises.unlink(sourcePath);
+    }
+  };
+
+  const putBuffer = async (key, buffer) => {
+    const target = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(target, buffer);
+  };
+
+  const stat = async (key) => {
+    try {
+      const stats = await fs.promises.stat(resolveKey(key));
+      return { size: stats.size, lastModified: stats.mtime };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const openReadStream = async (key, { start, end } = {}) => {
+    return fs.createReadStream(resolveKey(key), { start, end });
+  };
+
+  const remove = async (key) => {
+    try {
+      await fs.promises.unlink(resolveKey(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  };
+
+  // Walk every file below a prefix, yielding { key, size, lastModified }
+  async function* list(prefix = '') {
+    const walk = async function* (dir) {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          yield* walk(fullPath);
+        } else if (entry.isFile()) {
+          const stats = await fs.promises.stat(fullPath);
+          yield {
+            key: path.relative(root, fullPath).split(path.sep).join('/'),
+            size: stats.size,
+            lastModified: stats.mtime
+          };
+        }
+      }
+    };
+
+    yield* walk(prefix ? resolveKey(prefix) : root);
+  }
+
+  // Images are served by express.static from this directory
+  const getUrl = (key) => `/uploads/${key}`;
+
+  return {
+    name: 'local',
+    root,
+    putFile,
+    putBuffer,
+    stat,
+    openReadStream,
+    remove,
+    list,
+    getUrl
+  };
+};
+
+module.exports = createLocalDriver;
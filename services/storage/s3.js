@@ -0,0 +1,129 @@
+const fs = require('fs');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+// S3-compatible driver - works with AWS S3, Cloudflare R2, or a local MinIO
+// (set S3_ENDPOINT=http://localhost:9000 and S3_FORCE_PATH_STYLE=true).
+const createS3Driver = () => {
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set to use the s3 storage driver');
+  }
+
+  const region = process.env.S3_REGION || 'us-east-1';
+  const endpoint = process.env.S3_ENDPOINT;
+  const forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true';
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        }
+      : undefined // Fall back to the SDK's default credential chain
+  });
+
+  const isNotFound = (error) => error.name === 'NotFound' ||
+    error.name === 'NoSuchKey' ||
+    (error.$metadata && error.$metadata.httpStatusCode === 404);
+
+  const putFile = async (key, sourcePath, { contentType } = {}) => {
+    const { size } = await fs.promises.stat(sourcePath);
+
+    await client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: fs.createReadStream(sourcePath),
+      ContentLength: size,
+      ContentType: contentType
+    }));
+
+    // The local copy was only a temp file
+    await fs.promises.unlink(sourcePath);
+  };
+
+  const putBuffer = async (key, buffer, { contentType } = {}) => {
+    await client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType
+    }));
+  };
+
+  const stat = async (key) => {
+    try {
+      const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+      return { size: head.ContentLength, lastModified: head.LastModified };
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  };
+
+  const openReadStream = async (key, { start, end } = {}) => {
+    const range = start !== undefined ? `bytes=${start}-${end !== undefined ? end : ''}` : undefined;
+    const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key, Range: range }));
+    return object.Body;
+  };
+
+  const remove = async (key) => {
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  };
+
+  // Page through every object below a prefix, yielding { key, size, lastModified }
+  async function* list(prefix = '') {
+    let continuationToken;
+    do {
+      const page = await client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: prefix,
+        ContinuationToken: continuationToken
+      }));
+
+      for (const object of page.Contents || []) {
+        yield { key: object.Key, size: object.Size, lastModified: object.LastModified };
+      }
+
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+  }
+
+  // Public URL for images. Use S3_PUBLIC_URL for a CDN or custom domain in front of the bucket.
+  const getUrl = (key) => {
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+
+    if (process.env.S3_PUBLIC_URL) {
+      return `${process.env.S3_PUBLIC_URL.replace(/\/$/, '')}/${encodedKey}`;
+    }
+    if (endpoint) {
+      const base = endpoint.replace(/\/$/, '');
+      return forcePathStyle
+        ? `${base}/${bucket}/${encodedKey}`
+        : `${base.replace('://', `://${bucket}.`)}/${encodedKey}`;
+    }
+    return `https://${bucket}.s3.${region}.amazonaws.com/${encodedKey}`;
+  };
+
+  return {
+    name: 's3',
+    putFile,
+    putBuffer,
+    stat,
+    openReadStream,
+    remove,
+    list,
+    getUrl
+  };
+};
+
+module.exports = createS3Driver;
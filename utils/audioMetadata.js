@@ -0,0 +1,61 @@
+// Reads technical details and tags from uploaded audio files.
+// Parsing is done by music-metadata, which understands ID3v1/v2 (MP3), MP4/M4A atoms,
+// FLAC Vorbis comments, WAV/RIFF headers and Ogg (Vorbis/Opus) streams.
+
+// music-metadata is published as an ES module, so it is loaded on first use
+let musicMetadata = null;
+const loadParser = async () => {
+  if (!musicMetadata) {
+    musicMetadata = await import('music-metadata');
+  }
+  return musicMetadata;
+};
+
+const firstNonEmpty = (value) => {
+  const values = Array.isArray(value) ? value : [value];
+  const found = values.find(item => typeof item === 'string' && item.trim() !== '');
+  return found ? found.trim() : undefined;
+};
+
+// Extract { technical, tags, picture } from an audio file on disk.
+// technical - duration (seconds), bitrate (bits/s), sampleRate (Hz), channels, codec, container, lossless
+// tags      - title, artist, album, year, genre (only the ones present in the file)
+// picture   - { data, mimeType } of the embedded front cover, if any
+const extractAudioMetadata = async (filePath, mimeType) => {
+  const { parseFile } = await loadParser();
+  const { format, common } = await parseFile(filePath, {
+    duration: true, // Scan the whole file when the header doesn't state the duration (e.g. CBR MP3 without Xing)
+    mimeType
+  });
+
+  const technical = {
+    duration: format.duration ? Math.round(format.duration * 1000) / 1000 : undefined,
+    bitrate: format.bitrate ? Math.round(format.bitrate) : undefined,
+    sampleRate: format.sampleRate,
+    channels: format.numberOfChannels,
+    codec: format.codec,
+    container: format.container,
+    lossless: format.lossless
+  };
+
+  const tags = {
+    title: firstNonEmpty(common.title),
+    artist: firstNonEmpty(common.artist) || firstNonEmpty(common.artists) || firstNonEmpty(common.albumartist),
+    album: firstNonEmpty(common.album),
+    year: common.year,
+    genre: firstNonEmpty(common.genre)
+  };
+
+  // Prefer the front cover when several pictures are embedded
+  const pictures = common.picture || [];
+  const cover = pictures.find(picture => /front/i.test(picture.type || '')) || pictures[0];
+  const picture = cover && cover.data && cover.data.length > 0
+    ? { data: Buffer.from(cover.data), mimeType: cover.format }
+    : null;
+
+  return { technical, tags, picture };
+};
+
+module.exports = {
+  extractAudioMetadata
+};
@@ -0,0 +1,169 @@
+// Parses, checks and writes caption tracks in WebVTT and SRT.
+// Both come down to the same cues - { start, end, text } with times in milliseconds - so a track
+// uploaded in one format can be served in the other.
+
+const MAX_CAPTION_LENGTH = 200000;
+const MAX_CUES = 5000;
+const MAX_CUE_TEXT_LENGTH = 1000;
+// Cues may run slightly past the end of the audio (fade-outs, rounded durations)
+const DURATION_TOLERANCE_MS = 5000;
+
+// hh:mm:ss.mmm (hours optional in WebVTT) - SRT uses a comma before the milliseconds
+const TIMESTAMP = '(?:(\\d{1,3}):)?(\\d{2}):(\\d{2})[.,](\\d{3})';
+const TIMING_PATTERN = new RegExp(`^${TIMESTAMP}\\s+-->\\s+${TIMESTAMP}(?:\\s+.*)?$`);
+
+const toMilliseconds = (hours, minutes, seconds, millis) =>
+  ((parseInt(hours || '0') * 60 + parseInt(minutes)) * 60 + parseInt(seconds)) * 1000 + parseInt(millis);
+
+const formatTimestamp = (ms, separator) => {
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  const millis = ms % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+};
+
+// Tell the format from the content: WebVTT files must start with "WEBVTT"
+const detectCaptionFormat = (text) => (/^\uFEFF?WEBVTT(?:[ \t].*)?$/.test(text.split(/\r?\n/)[0]) ? 'vtt' : 'srt');
+
+// Split into blocks separated by blank lines, remembering where each starts
+const splitBlocks = (text) => {
+  const blocks = [];
+  let current = null;
+
+  text.split(/\r?\n|\r/).forEach((line, index) => {
+    if (line.trim() === '') {
+      current = null;
+      return;
+    }
+    if (!current) {
+      current = { lineNumber: index + 1, lines: [] };
+      blocks.push(current);
+    }
+    current.lines.push(line);
+  });
+
+  return blocks;
+};
+
+// Read the cue in a block: an optional identifier line, the timing line, then the text
+const parseCueBlock = (block, errors) => {
+  const timingIndex = block.lines.findIndex(line => line.includes('-->'));
+  if (timingIndex === -1 || timingIndex > 1) {
+    errors.push({ line: block.lineNumber, message: 'Cue has no timing line ("00:00:01.000 --> 00:00:04.000")' });
+    return null;
+  }
+
+  const timingLineNumber = block.lineNumber + timingIndex;
+  const timing = block.lines[timingIndex].trim().match(TIMING_PATTERN);
+  if (!timing) {
+    errors.push({ line: timingLineNumber, message: `Invalid cue timing "${block.lines[timingIndex].trim()}"` });
+    return null;
+  }
+
+  if ([timing[2], timing[3], timing[6], timing[7]].some(value => parseInt(value) > 59)) {
+    errors.push({ line: timingLineNumber, message: 'Minutes and seconds in cue timings must be below 60' });
+    return null;
+  }
+
+  const start = toMilliseconds(timing[1], timing[2], timing[3], timing[4]);
+  const end = toMilliseconds(timing[5], timing[6], timing[7], timing[8]);
+  if (end <= start) {
+    errors.push({ line: timingLineNumber, message: 'Cue must end after it starts' });
+    return null;
+  }
+
+  const text = block.lines.slice(timingIndex + 1).join('\n').trim();
+  if (!text) {
+    errors.push({ line: timingLineNumber, message: 'Cue has no text' });
+    return null;
+  }
+  if (text.length > MAX_CUE_TEXT_LENGTH) {
+    errors.push({ line: timingLineNumber, message: `Cue text cannot exceed ${MAX_CUE_TEXT_LENGTH} characters` });
+    return null;
+  }
+
+  return { start, end, text, lineNumber: timingLineNumber };
+};
+
+// Parse a WebVTT or SRT track (format is detected when not given).
+// Returns { format, cues, errors }; cues are [{ start, end, text }] sorted by start, and errors
+// [{ line, message }]. Pass the song duration in seconds to reject cues past the end of the audio.
+const parseCaptions = (input, { format, duration } = {}) => {
+  const errors = [];
+  const text = String(input || '').replace(/^\uFEFF/, '');
+  const detectedFormat = format || detectCaptionFormat(text);
+
+  if (text.length > MAX_CAPTION_LENGTH) {
+    return { format: detectedFormat, cues: [], errors: [{ line: null, message: `Captions cannot exceed ${MAX_CAPTION_LENGTH} characters` }] };
+  }
+
+  let blocks = splitBlocks(text);
+
+  if (detectedFormat === 'vtt') {
+    if (blocks.length === 0 || !/^WEBVTT(?:[ \t].*)?$/.test(blocks[0].lines[0])) {
+      return { format: detectedFormat, cues: [], errors: [{ line: 1, message: 'WebVTT files must start with "WEBVTT"' }] };
+    }
+    // Drop the header, and NOTE, STYLE and REGION blocks, which hold no cues
+    blocks = blocks.slice(1).filter(block => !/^(NOTE|STYLE|REGION)(?:\s|$)/.test(block.lines[0]));
+  }
+
+  const cues = blocks
+    .map(block => parseCueBlock(block, errors))
+    .filter(Boolean);
+
+  if (cues.length === 0 && errors.length === 0) {
+    errors.push({ line: null, message: 'Captions must contain at least one cue' });
+  }
+  if (cues.length > MAX_CUES) {
+    errors.push({ line: null, message: `Captions cannot have more than ${MAX_CUES} cues` });
+  }
+
+  if (duration) {
+    const endMs = duration * 1000 + DURATION_TOLERANCE_MS;
+    cues.forEach(cue => {
+      if (cue.end > endMs) {
+        errors.push({ line: cue.lineNumber, message: `Cue ending at ${formatTimestamp(cue.end, '.')} is after the end of the song` });
+      }
+    });
+  }
+
+  // Stable sort keeps cues with the same start in file order
+  cues.sort((a, b) => a.start - b.start);
+
+  return {
+    format: detectedFormat,
+    cues: cues.map(({ start, end, text: cueText }) => ({ start, end, text: cueText })),
+    errors
+  };
+};
+
+// Write cues as a WebVTT track
+const formatVtt = (cues) => [
+  'WEBVTT',
+  ...cues.map(cue => `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cue.text}`)
+].join('\n\n') + '\n';
+
+// Write cues as an SRT track (numbered from 1). SRT has no markup of its own, so WebVTT
+// voice and class tags are dropped; <b>, <i> and <u> are understood by most players and kept.
+const formatSrt = (cues) => cues
+  .map((cue, index) => {
+    const text = cue.text.replace(/<\/?(?:v|c|lang|ruby|rt)(?:[.\s][^>]*)?>/g, '');
+    return `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${text}`;
+  })
+  .join('\n\n') + '\n';
+
+// The words of a track without timing or markup, one cue per line
+const captionsToTranscript = (cues) => cues
+  .map(cue => cue.text.replace(/<[^>]+>/g, '').replace(/\s*\n\s*/g, ' ').trim())
+  .join('\n');
+
+module.exports = {
+  MAX_CAPTION_LENGTH,
+  detectCaptionFormat,
+  parseCaptions,
+  formatVtt,
+  formatSrt,
+  captionsToTranscript
+};
@@ -0,0 +1,124 @@
+const fs = require('fs').promises;
+
+// Detects the real type of a file from its magic bytes, ignoring the name and the
+// mimetype the client claimed. Returns { mime, kind } (kind is 'audio' or 'image'), or null.
+
+// The extension a file of each detected type is stored with - never the one the client sent
+const FILE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'audio/mpeg': '.mp3',
+  'audio/aac': '.aac',
+  'audio/wav': '.wav',
+  'audio/flac': '.flac',
+  'audio/ogg': '.ogg',
+  'audio/mp4': '.m4a',
+  'audio/webm': '.webm'
+};
+
+const startsWith = (buffer, bytes, offset = 0) => {
+  if (buffer.length < offset + bytes.length) return false;
+  return bytes.every((byte, i) => buffer[offset + i] === byte);
+};
+
+const ascii = (text) => Array.from(Buffer.from(text, 'ascii'));
+
+// ftyp brands used by still images (HEIF/AVIF) rather than audio/video
+const IMAGE_FTYP_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1', 'avif', 'avis'];
+
+// An MPEG audio frame header: 11 sync bits, then checks that rule out most random data
+const detectFrameSync = (buffer) => {
+  if (buffer.length < 4 || buffer[0] !== 0xFF || (buffer[1] & 0xE0) !== 0xE0) return null;
+
+  const layer = (buffer[1] >> 1) & 0x03;
+
+  // Layer bits 00 with MPEG-2/4 version marks an AAC ADTS stream
+  if (layer === 0) {
+    return (buffer[1] & 0xF6) === 0xF0 ? { mime: 'audio/aac', kind: 'audio' } : null;
+  }
+
+  const version = (buffer[1] >> 3) & 0x03;
+  const bitrateIndex = (buffer[2] >> 4) & 0x0F;
+  const sampleRateIndex = (buffer[2] >> 2) & 0x03;
+
+  if (version === 1 || bitrateIndex === 0x0F || sampleRateIndex === 0x03) return null;
+  return { mime: 'audio/mpeg', kind: 'audio' };
+};
+
+// Detect the type from the first bytes of a file
+const detectFileType = (buffer) => {
+  if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) {
+    return { mime: 'image/jpeg', kind: 'image' };
+  }
+  if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) {
+    return { mime: 'image/png', kind: 'image' };
+  }
+  if (startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a'))) {
+    return { mime: 'image/gif', kind: 'image' };
+  }
+  if (startsWith(buffer, ascii('RIFF'))) {
+    if (startsWith(buffer, ascii('WEBP'), 8)) return { mime: 'image/webp', kind: 'image' };
+    if (startsWith(buffer, ascii('WAVE'), 8)) return { mime: 'audio/wav', kind: 'audio' };
+    return null;
+  }
+  if (startsWith(buffer, ascii('fLaC'))) {
+    return { mime: 'audio/flac', kind: 'audio' };
+  }
+  if (startsWith(buffer, ascii('OggS'))) {
+    return { mime: 'audio/ogg', kind: 'audio' };
+  }
+  if (startsWith(buffer, ascii('ftyp'), 4)) {
+    const brand = buffer.toString('ascii', 8, 12);
+    if (IMAGE_FTYP_BRANDS.includes(brand)) return null;
+    return { mime: 'audio/mp4', kind: 'audio' };
+  }
+  if (startsWith(buffer, [0x1A, 0x45, 0xDF, 0xA3])) {
+    return { mime: 'audio/webm', kind: 'audio' };
+  }
+  if (startsWith(buffer, ascii('ID3'))) {
+    return { mime: 'audio/mpeg', kind: 'audio' };
+  }
+  return detectFrameSync(buffer);
+};
+
+// Size of an ID3v2 tag (header + body + optional footer), from its syncsafe length field
+const id3TagSize = (header) => {
+  const size = (header[6] << 21) | (header[7] << 14) | (header[8] << 7) | header[9];
+  const hasFooter = (header[5] & 0x10) !== 0;
+  return 10 + size + (hasFooter ? 10 : 0);
+};
+
+// Detect the type of a file on disk. ID3v2 tags are skipped so that the audio behind
+// them is checked too (FLAC and AAC files sometimes carry ID3 tags).
+const detectFileTypeFromFile = async (filePath) => {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const header = Buffer.alloc(64);
+    const { bytesRead } = await handle.read(header, 0, header.length, 0);
+    const head = header.subarray(0, bytesRead);
+
+    if (!startsWith(head, ascii('ID3')) || head.length < 10) {
+      return detectFileType(head);
+    }
+
+    // Some encoders pad past the declared tag size, so skip leading zero bytes
+    const afterTag = Buffer.alloc(4096);
+    const { bytesRead: afterBytes } = await handle.read(afterTag, 0, afterTag.length, id3TagSize(head));
+    const body = afterTag.subarray(0, afterBytes);
+    const start = body.findIndex(byte => byte !== 0);
+    const inner = start === -1 ? null : detectFileType(body.subarray(start));
+
+    // A tag with nothing recognisable behind it is not accepted as audio
+    return inner && inner.kind === 'audio' ? inner : null;
+  } finally {
+    await handle.close();
+  }
+};
+
+module.exports = {
+  FILE_EXTENSIONS,
+  detectFileType,
+  detectFileTypeFromFile
+};
@@ -0,0 +1,147 @@
+const en = require('../locales/en');
+const zh = require('../locales/zh');
+
+// Localized API messages. Error responses carry a stable code from locales/en.js, e.g.
+// { code: 'SONG_NOT_FOUND', error, message }, with the text in the caller's language:
+// the user's preferences.language when logged in, otherwise the best Accept-Language match.
+
+const BUNDLES = { en, zh };
+const SUPPORTED_LOCALES = Object.keys(BUNDLES);
+const DEFAULT_LOCALE = 'en';
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+const hasPlaceholders = (text) => /\{\w+\}/.test(text);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Validation messages with {placeholders} are matched as patterns, the rest looked up as they are
+const compileValidation = (messages = {}) => {
+  const entries = Object.entries(messages);
+  const exact = new Map(entries.filter(([source]) => !hasPlaceholders(source)));
+  const patterns = entries
+    .filter(([source]) => hasPlaceholders(source))
+    .map(([source, translation]) => {
+      const names = [...source.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+      const pattern = new RegExp('^' + source.split(PLACEHOLDER_PATTERN)
+        .map((part, index) => (index % 2 === 0 ? escapeRegex(part) : '(.+?)'))
+        .join('') + '$');
+      return { pattern, names, translation };
+    });
+  return { exact, patterns };
+};
+
+const VALIDATION = Object.fromEntries(
+  Object.entries(BUNDLES).map(([locale, bundle]) => [locale, compileValidation(bundle.validation)])
+);
+
+// Fill {placeholders} from params; unknown ones are left as they are
+const interpolate = (template, params = {}) => template.replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+  (params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder));
+
+// Map a language tag to a supported locale ("zh-Hant-TW" -> "zh"), or null
+const matchLocale = (tag) => {
+  if (!tag) return null;
+  const language = String(tag).trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+};
+
+// The supported locale the client prefers most in an Accept-Language header, or null
+const localeFromAcceptLanguage = (header) => {
+  if (!header) return null;
+
+  const ranges = String(header).split(',')
+    .map((range, index) => {
+      const [tag, ...params] = range.trim().split(';');
+      const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      const quality = qParam ? parseFloat(qParam.slice(2)) : 1;
+      return { tag, quality: Number.isNaN(quality) ? 0 : quality, index };
+    })
+    .filter(range => range.tag && range.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  for (const range of ranges) {
+    const locale = matchLocale(range.tag);
+    if (locale) return locale;
+  }
+  return null;
+};
+
+// The locale to answer a request in
+const resolveLocale = (req) => {
+  const preferred = req.user && req.user.preferences ? matchLocale(req.user.preferences.language) : null;
+  return preferred || localeFromAcceptLanguage(req.headers['accept-language']) || DEFAULT_LOCALE;
+};
+
+// The body of an error response for a code in the request's locale: { code, error, message }.
+// Params fill the {placeholders} in the message.
+const localizeError = (req, code, params = {}) => {
+  const locale = resolveLocale(req);
+  const entry = BUNDLES[locale].errors[code] || en.errors[code];
+  if (!entry) {
+    console.error(`Unknown error code: ${code}`);
+    return { code, error: code, message: code };
+  }
+
+  return {
+    code,
+    error: interpolate(entry.error, params),
+    message: interpolate(entry.message, params)
+  };
+};
+
+// Translate an English validation message, keeping it as it is when there is no translation
+const translateMessage = (locale, message) => {
+  if (typeof message !== 'string' || locale === DEFAULT_LOCALE) return message;
+
+  const { exact, patterns } = VALIDATION[locale];
+  if (exact.has(message)) return exact.get(message);
+
+  for (const { pattern, names, translation } of patterns) {
+    const match = message.match(pattern);
+    if (match) {
+      return interpolate(translation, Object.fromEntries(names.map((name, index) => [name, match[index + 1]])));
+    }
+  }
+  return message;
+};
+
+// Translate the details of a validation failure: express-validator errors ({ msg }),
+// parse errors ({ line, message }) or plain messages (mongoose validation)
+const localizeDetails = (req, details) => {
+  const locale = resolveLocale(req);
+  return details.map(detail => {
+    if (typeof detail === 'string') return translateMessage(locale, detail);
+    if (detail && typeof detail.msg === 'string') return { ...detail, msg: translateMessage(locale, detail.msg) };
+    if (detail && typeof detail.message === 'string') return { ...detail, message: translateMessage(locale, detail.message) };
+    return detail;
+  });
+};
+
+// The text of a recommendation reason code in a locale. Params named language are shown by
+// the language's name, and lists are joined the way the locale joins them.
+const localizeReason = (locale, code, params = {}) => {
+  const bundle = BUNDLES[locale] || en;
+  const template = (bundle.reasons && bundle.reasons[code]) || en.reasons[code];
+  if (!template) {
+    console.error(`Unknown reason code: ${code}`);
+    return code;
+  }
+
+  const values = Object.fromEntries(Object.entries(params).map(([name, value]) => {
+    if (name === 'language') return [name, bundle.languageNames[value] || en.languageNames[value] || value];
+    if (Array.isArray(value)) return [name, new Intl.ListFormat(locale, { type: 'conjunction' }).format(value)];
+    return [name, value];
+  }));
+  return interpolate(template, values);
+};
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  matchLocale,
+  localeFromAcceptLanguage,
+  resolveLocale,
+  localizeError,
+  localizeDetails,
+  localizeReason
+};
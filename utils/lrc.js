@@ -0,0 +1,208 @@
+// Parses and writes LRC timed lyrics.
+// Supports the common format ([mm:ss.xx] before each line, several stamps for repeated lines,
+// [ar:]/[ti:]/[al:]/[offset:] tags) and enhanced LRC with word timing (<mm:ss.xx> before words).
+// Times are kept in milliseconds.
+
+const MAX_LRC_LENGTH = 100000;
+const MAX_LINES = 2000;
+const MAX_LINE_LENGTH = 500;
+// Timestamps may run slightly past the end of the audio (fade-outs, rounded durations)
+const DURATION_TOLERANCE_MS = 5000;
+
+const TIMESTAMP = '(\\d{1,3}):(\\d{1,2})(?:[.:](\\d{1,3}))?';
+const LINE_STAMP_PATTERN = new RegExp(`^\\[${TIMESTAMP}\\]`);
+const WORD_STAMP_PATTERN = new RegExp(`<${TIMESTAMP}>`, 'g');
+const TAG_PATTERN = /^\[([a-zA-Z#]+):(.*)\]$/;
+
+// Tags worth keeping, by their LRC name
+const METADATA_TAGS = { ti: 'title', ar: 'artist', al: 'album', au: 'author', by: 'createdBy', length: 'length' };
+
+const toMilliseconds = (minutes, seconds, fraction = '') => {
+  // ".5" is half a second, ".50" too, ".500" too
+  const fractionMs = fraction ? Math.round(parseInt(fraction) * Math.pow(10, 3 - fraction.length)) : 0;
+  return (parseInt(minutes) * 60 + parseInt(seconds)) * 1000 + fractionMs;
+};
+
+// Format milliseconds as mm:ss.xx
+const formatTimestamp = (ms) => {
+  const centiseconds = Math.round(ms / 10);
+  const minutes = Math.floor(centiseconds / 6000);
+  const seconds = Math.floor((centiseconds % 6000) / 100);
+  const hundredths = centiseconds % 100;
+  return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${String(hundredths).padStart(2, '0')}`;
+};
+
+// Split enhanced-LRC text into words with their times: "<00:01.00>Hello <00:01.50>world".
+// Text before the first stamp is sung from the start of the line (lineTime).
+const parseWords = (text, offset, lineTime) => {
+  const stamps = [...text.matchAll(WORD_STAMP_PATTERN)];
+  if (stamps.length === 0) return { text: text.trim(), words: [] };
+
+  const words = [];
+  const leadingText = text.slice(0, stamps[0].index);
+  if (leadingText.trim()) {
+    const firstStampTime = Math.max(0, toMilliseconds(stamps[0][1], stamps[0][2], stamps[0][3]) - offset);
+    words.push({ time: Math.min(lineTime, firstStampTime), text: leadingText });
+  }
+
+  stamps.forEach((stamp, index) => {
+    const start = stamp.index + stamp[0].length;
+    const end = index + 1 < stamps.length ? stamps[index + 1].index : text.length;
+    const wordText = text.slice(start, end);
+    // A closing stamp with no text after it only marks when the last word ends
+    if (wordText.trim()) {
+      words.push({ time: Math.max(0, toMilliseconds(stamp[1], stamp[2], stamp[3]) - offset), text: wordText });
+    }
+  });
+
+  // Words keep the space after them, so they join back up as written (Chinese has no spaces)
+  const lastIndex = words.length - 1;
+  return {
+    text: text.replace(WORD_STAMP_PATTERN, '').replace(/\s+/g, ' ').trim(),
+    words: words.map((word, index) => {
+      let wordText = word.text.replace(/\s+/g, ' ');
+      if (index === 0) wordText = wordText.trimStart();
+      if (index === lastIndex) wordText = wordText.trimEnd();
+      return { time: word.time, text: wordText };
+    })
+  };
+};
+
+// Parse LRC text. Returns { metadata, lines, hasWordTiming, errors }, where
+// lines are [{ time, text, words: [{ time, text }] }] sorted by time and
+// errors are [{ line, message }] (line numbers start at 1). Pass the song duration
+// in seconds to reject timestamps past the end of the audio.
+const parseLrc = (input, { duration } = {}) => {
+  const errors = [];
+  const metadata = {};
+  const lines = [];
+
+  const text = String(input || '').replace(/^\uFEFF/, '');
+  if (text.length > MAX_LRC_LENGTH) {
+    return { metadata, lines, hasWordTiming: false, errors: [{ line: null, message: `LRC cannot exceed ${MAX_LRC_LENGTH} characters` }] };
+  }
+
+  const rawLines = text.split(/\r?\n|\r/);
+
+  // The offset tag applies to the whole file, wherever it appears
+  let offset = 0;
+  rawLines.forEach((rawLine, index) => {
+    const tag = rawLine.trim().match(TAG_PATTERN);
+    if (tag && tag[1].toLowerCase() === 'offset') {
+      const value = parseInt(tag[2].trim());
+      if (Number.isNaN(value)) {
+        errors.push({ line: index + 1, message: 'Offset must be a whole number of milliseconds' });
+      } else {
+        offset = value;
+      }
+    }
+  });
+
+  rawLines.forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    let rest = rawLine.trim();
+    if (!rest) return;
+
+    // One or more line timestamps, e.g. [00:12.00][01:05.30]Chorus
+    const times = [];
+    let stamp;
+    while ((stamp = rest.match(LINE_STAMP_PATTERN))) {
+      if (parseInt(stamp[2]) > 59) {
+        errors.push({ line: lineNumber, message: `Invalid timestamp "${stamp[0]}" - seconds must be below 60` });
+      }
+      times.push(Math.max(0, toMilliseconds(stamp[1], stamp[2], stamp[3]) - offset));
+      rest = rest.slice(stamp[0].length);
+    }
+
+    if (times.length === 0) {
+      const tag = rest.match(TAG_PATTERN);
+      if (tag) {
+        const name = METADATA_TAGS[tag[1].toLowerCase()];
+        if (name) metadata[name] = tag[2].trim();
+        return;
+      }
+      errors.push({ line: lineNumber, message: 'Line has no timestamp' });
+      return;
+    }
+
+    const { text: lineText, words } = parseWords(rest, offset, times[0]);
+
+    if (lineText.length > MAX_LINE_LENGTH) {
+      errors.push({ line: lineNumber, message: `Line cannot exceed ${MAX_LINE_LENGTH} characters` });
+      return;
+    }
+
+    for (let i = 1; i < words.length; i++) {
+      if (words[i].time < words[i - 1].time) {
+        errors.push({ line: lineNumber, message: 'Word timestamps must not go backwards' });
+        return;
+      }
+    }
+
+    times.forEach(time => {
+      // Repeated lines get their word times moved along with the line
+      const shift = words.length > 0 && times.length > 1 ? time - times[0] : 0;
+      lines.push({
+        time,
+        text: lineText,
+        words: words.map(word => ({ time: word.time + shift, text: word.text })),
+        lineNumber
+      });
+    });
+  });
+
+  if (lines.length === 0 && errors.length === 0) {
+    errors.push({ line: null, message: 'LRC must contain at least one timed line' });
+  }
+  if (lines.length > MAX_LINES) {
+    errors.push({ line: null, message: `LRC cannot have more than ${MAX_LINES} timed lines` });
+  }
+
+  if (duration) {
+    const endMs = duration * 1000 + DURATION_TOLERANCE_MS;
+    lines.forEach(line => {
+      const lastTime = line.words.length > 0 ? line.words[line.words.length - 1].time : line.time;
+      if (Math.max(line.time, lastTime) > endMs) {
+        errors.push({ line: line.lineNumber, message: `Timestamp ${formatTimestamp(Math.max(line.time, lastTime))} is after the end of the song` });
+      }
+    });
+  }
+
+  // Stable sort keeps lines with the same time in file order
+  lines.sort((a, b) => a.time - b.time);
+
+  return {
+    metadata,
+    lines: lines.map(({ time, text: lineText, words }) => ({ time, text: lineText, words })),
+    hasWordTiming: lines.some(line => line.words.length > 0),
+    errors
+  };
+};
+
+// Write timed lines (and optional metadata such as { title, artist, album }) as LRC text
+const formatLrc = (lines, metadata = {}) => {
+  const tagNames = Object.fromEntries(Object.entries(METADATA_TAGS).map(([tag, name]) => [name, tag]));
+  const header = Object.entries(metadata)
+    .filter(([name, value]) => tagNames[name] && value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => `[${tagNames[name]}:${value}]`);
+
+  const body = lines.map(line => {
+    const text = line.words && line.words.length > 0
+      ? line.words.map(word => `<${formatTimestamp(word.time)}>${word.text}`).join('')
+      : line.text;
+    return `[${formatTimestamp(line.time)}]${text}`;
+  });
+
+  return [...header, ...body].join('\n') + '\n';
+};
+
+// The lyrics without timing, one line per timed line
+const lrcToPlainText = (lines) => lines.map(line => line.text).join('\n');
+
+module.exports = {
+  MAX_LRC_LENGTH,
+  parseLrc,
+  formatLrc,
+  formatTimestamp,
+  lrcToPlainText
+};
@@ -0,0 +1,333 @@
+const { pinyin } = require('pinyin-pro');
+
+// Text analysis for song search.
+// A song's title, artist, album and lyrics are turned into a list of search terms stored on the song,
+// and a query is turned into the terms that would match it. Each term is
+// "<field><kind>:<value>", e.g. "tw:moon" is the word "moon" in the title.
+//
+// Fields: t title, a artist, b album, l lyrics
+// Kinds:  w  word
+//         p  beginning of a word (for half-typed words)
+//         f  word with one letter left out (SymSpell-style typo matching)
+//         c  one or two Chinese/Japanese/Korean characters (these are not split into words)
+//         y  pinyin of Chinese text: each syllable, the whole run ("tianmimi") and its initials ("tmm")
+//         z  beginning of the whole pinyin run or its initials
+// Lyrics only get words (with typos) and characters, to keep the index small.
+// Translated titles, artists and albums are indexed in the same fields as the original ones.
+
+// Bump when the terms change, so songs can be reindexed with `npm run reindex-search`
+// (2: translations and sort keys)
+const SEARCH_INDEX_VERSION = 2;
+
+const FIELD_WEIGHTS = { t: 3, a: 2.5, b: 1.5, l: 1 };
+const KIND_WEIGHTS = { w: 1, c: 1, y: 0.9, p: 0.7, z: 0.6, f: 0.5 };
+
+const FULL_KINDS = ['w', 'p', 'f', 'c', 'y', 'z'];
+const FIELD_KINDS = { t: FULL_KINDS, a: FULL_KINDS, b: FULL_KINDS, l: ['w', 'f', 'c'] };
+
+// Words shorter than this are not matched with typos - too many words are one letter apart
+const FUZZY_MIN_LENGTH = 4;
+const MAX_PREFIX_LENGTH = 12;
+
+const CJK = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}';
+const WORD_CHAR = `(?:(?![${CJK}])[\\p{L}\\p{N}\\p{M}])`;
+const TOKEN_PATTERN = new RegExp(`([${CJK}]+)|(${WORD_CHAR}+(?:['’]${WORD_CHAR}+)*)`, 'gu');
+const HAN_PATTERN = /\p{Script=Han}/u;
+
+// Lowercase a word and drop accents and apostrophes ("Café" -> "cafe", "don't" -> "dont")
+const normalizeWord = (word) => word
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .replace(/['’]/g, '')
+  .toLowerCase();
+
+// Split text into words and runs of CJK characters, with their positions in the original text
+const tokenize = (text) => {
+  const tokens = [];
+  if (!text) return tokens;
+
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    const [raw, cjkRun] = match;
+    const value = cjkRun ? raw : normalizeWord(raw);
+    if (value) {
+      tokens.push({ type: cjkRun ? 'cjk' : 'word', value, start: match.index, end: match.index + raw.length });
+    }
+  }
+  return tokens;
+};
+
+// Overlapping pairs of characters ("甜蜜蜜" -> "甜蜜", "蜜蜜"); a single character stays as it is
+const cjkBigrams = (run) => {
+  const chars = [...run];
+  if (chars.length === 1) return chars;
+  return chars.slice(1).map((char, index) => chars[index] + char);
+};
+
+const prefixes = (word) => {
+  const result = [];
+  for (let length = 1; length < Math.min(word.length, MAX_PREFIX_LENGTH + 1); length++) {
+    result.push(word.slice(0, length));
+  }
+  return result;
+};
+
+// The word itself plus every way of leaving one letter out. Two words share one of these
+// when they are one typo apart (a missing, extra, wrong or swapped letter).
+const fuzzyKeys = (word) => {
+  const keys = new Set([word]);
+  if (word.length >= FUZZY_MIN_LENGTH) {
+    for (let index = 0; index < word.length; index++) {
+      keys.add(word.slice(0, index) + word.slice(index + 1));
+    }
+  }
+  return [...keys];
+};
+
+// Pinyin of the Chinese characters in a run: { syllables, joined, initials }
+const pinyinOf = (run) => {
+  if (!HAN_PATTERN.test(run)) return null;
+
+  const syllables = pinyin(run, { toneType: 'none', type: 'array' })
+    .map(normalizeWord)
+    .filter(syllable => /^[a-z]+$/.test(syllable));
+  if (syllables.length === 0) return null;
+
+  return {
+    syllables,
+    joined: syllables.join(''),
+    initials: syllables.map(syllable => syllable[0]).join('')
+  };
+};
+
+// Values of each kind of term for one piece of text
+const analyzeField = (text) => {
+  const values = { w: new Set(), p: new Set(), f: new Set(), c: new Set(), y: new Set(), z: new Set() };
+
+  tokenize(text).forEach(token => {
+    if (token.type === 'word') {
+      values.w.add(token.value);
+      prefixes(token.value).forEach(prefix => values.p.add(prefix));
+      fuzzyKeys(token.value).forEach(key => values.f.add(key));
+      return;
+    }
+
+    [...token.value].forEach(char => values.c.add(char));
+    cjkBigrams(token.value).forEach(gram => values.c.add(gram));
+
+    const reading = pinyinOf(token.value);
+    if (reading) {
+      reading.syllables.forEach(syllable => values.y.add(syllable));
+      [reading.joined, reading.initials].forEach(word => {
+        values.y.add(word);
+        prefixes(word).forEach(prefix => values.z.add(prefix));
+      });
+    }
+  });
+
+  return values;
+};
+
+// Build the search terms stored on a song, from its own and its translated names
+const buildSearchTerms = ({ title, artist, album, lyrics, translations = [] }) => {
+  const terms = new Set();
+  const withTranslations = (field, value) => [value, ...translations.map(translation => translation[field])]
+    .filter(Boolean)
+    .join('\n');
+  const fields = {
+    t: withTranslations('title', title),
+    a: withTranslations('artist', artist),
+    b: withTranslations('album', album),
+    l: lyrics
+  };
+
+  Object.entries(fields).forEach(([field, text]) => {
+    if (!text) return;
+    const values = analyzeField(text);
+    FIELD_KINDS[field].forEach(kind => {
+      values[kind].forEach(value => terms.add(`${field}${kind}:${value}`));
+    });
+  });
+
+  return [...terms].sort();
+};
+
+// A key that sorts text by how it reads in Latin letters: accents and case are dropped and
+// Chinese characters are spelled in pinyin, so "甜蜜蜜" sorts with "Tennessee Waltz" under T
+const sortKey = (text) => {
+  if (!text) return '';
+  const spelled = text.replace(/\p{Script=Han}+/gu, run => ` ${pinyin(run, { toneType: 'none' })} `);
+  return normalizeWord(spelled).replace(/\s+/g, ' ').trim();
+};
+
+// Turn a query into tokens, each with the term values (per kind) that would match it
+const analyzeQuery = (text) => {
+  const tokens = [];
+
+  tokenize(text).forEach(token => {
+    if (token.type === 'cjk') {
+      // Each pair of characters must be found on its own, so partly remembered lines still match
+      cjkBigrams(token.value).forEach(gram => {
+        tokens.push({ type: 'cjk', value: gram, kinds: { c: [gram] } });
+      });
+      return;
+    }
+
+    const word = token.value;
+    tokens.push({
+      type: 'word',
+      value: word,
+      kinds: {
+        w: [word],
+        y: [word],
+        p: [word],
+        z: [word],
+        f: word.length >= FUZZY_MIN_LENGTH - 1 ? fuzzyKeys(word) : []
+      }
+    });
+  });
+
+  // Repeated words add nothing
+  const seen = new Set();
+  return tokens.filter(token => {
+    if (seen.has(token.value)) return false;
+    seen.add(token.value);
+    return true;
+  });
+};
+
+// Every stored term that could match the query tokens in the given fields (and kinds of term)
+const queryTerms = (tokens, fields = Object.keys(FIELD_KINDS), kinds = FULL_KINDS) => {
+  const terms = new Set();
+  tokens.forEach(token => {
+    fields.forEach(field => {
+      FIELD_KINDS[field].filter(kind => kinds.includes(kind)).forEach(kind => {
+        (token.kinds[kind] || []).forEach(value => terms.add(`${field}${kind}:${value}`));
+      });
+    });
+  });
+  return [...terms];
+};
+
+// Score a song's terms against query tokens. Each token counts once, for its best match.
+// Returns { score, matchedTokens, coverage, fields } - fields being where the tokens were found.
+const scoreTerms = (songTerms, tokens, fields = Object.keys(FIELD_KINDS)) => {
+  const termSet = songTerms instanceof Set ? songTerms : new Set(songTerms);
+  const matchedFields = new Set();
+  let score = 0;
+  let matchedTokens = 0;
+
+  tokens.forEach(token => {
+    let best = null;
+    fields.forEach(field => {
+      FIELD_KINDS[field].forEach(kind => {
+        const weight = FIELD_WEIGHTS[field] * KIND_WEIGHTS[kind];
+        if (best && best.weight >= weight) return;
+        if ((token.kinds[kind] || []).some(value => termSet.has(`${field}${kind}:${value}`))) {
+          best = { field, weight };
+        }
+      });
+    });
+
+    if (best) {
+      score += best.weight;
+      matchedTokens++;
+      matchedFields.add(best.field);
+    }
+  });
+
+  return {
+    score,
+    matchedTokens,
+    coverage: tokens.length > 0 ? matchedTokens / tokens.length : 0,
+    fields: [...matchedFields]
+  };
+};
+
+// Whether a word from the lyrics matches a query token (the same word or one typo away)
+const wordMatches = (word, token) => {
+  if (word === token.value) return true;
+  if (token.kinds.f.length === 0) return false;
+  const keys = new Set(fuzzyKeys(word));
+  return token.kinds.f.some(key => keys.has(key));
+};
+
+// Join touching or overlapping highlights
+const mergeRanges = (ranges) => ranges
+  .sort((a, b) => a.start - b.start)
+  .reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+    return merged;
+  }, []);
+
+// Find the lyric line that matches the query best, with the matching parts marked.
+// Returns { text, line, highlights: [{ start, end }] } with offsets into text, or null.
+const lyricSnippet = (lyrics, tokens, maxLength = 120) => {
+  if (!lyrics || tokens.length === 0) return null;
+
+  let best = null;
+
+  lyrics.split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+
+    const highlights = [];
+    const matched = new Set();
+
+    tokenize(line).forEach(lineToken => {
+      tokens.forEach(token => {
+        if (token.type === 'word' && lineToken.type === 'word' && wordMatches(lineToken.value, token)) {
+          highlights.push({ start: lineToken.start, end: lineToken.end });
+          matched.add(token.value);
+        } else if (token.type === 'cjk' && lineToken.type === 'cjk') {
+          let position = lineToken.value.indexOf(token.value);
+          while (position !== -1) {
+            const start = lineToken.start + position;
+            highlights.push({ start, end: start + token.value.length });
+            matched.add(token.value);
+            position = lineToken.value.indexOf(token.value, position + 1);
+          }
+        }
+      });
+    });
+
+    if (matched.size > 0 && (!best || matched.size > best.matched)) {
+      best = { line, lineNumber: index + 1, matched: matched.size, highlights: mergeRanges(highlights) };
+    }
+  });
+
+  if (!best) return null;
+
+  // Cut long lines down to a window around the first highlight
+  let text = best.line;
+  let shift = 0;
+  if (text.length > maxLength) {
+    shift = Math.max(0, Math.min(best.highlights[0].start - Math.floor(maxLength / 4), text.length - maxLength));
+    text = text.slice(shift, shift + maxLength);
+  }
+  shift += text.length - text.trimStart().length;
+  text = text.trim();
+
+  return {
+    text,
+    line: best.lineNumber,
+    highlights: best.highlights
+      .map(range => ({ start: range.start - shift, end: Math.min(range.end - shift, text.length) }))
+      .filter(range => range.start >= 0 && range.start < range.end)
+  };
+};
+
+module.exports = {
+  SEARCH_INDEX_VERSION,
+  normalizeWord,
+  tokenize,
+  buildSearchTerms,
+  sortKey,
+  analyzeQuery,
+  queryTerms,
+  scoreTerms,
+  lyricSnippet
+};
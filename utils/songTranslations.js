@@ -0,0 +1,99 @@
+const { sortKey } = require('./searchText');
+
+// Translated song names.
+// A song's title, artist and album are its original values, in the script it was released in.
+// Song.translations adds other versions per language tag: "en" for an English title,
+// "zh-Hant" for traditional characters, or a romanization such as "zh-Latn-pinyin",
+// "yue-Latn-jyutping" (Cantonese) or "nan-Latn-pehoeji" (Hokkien).
+
+const TRANSLATED_FIELDS = ['title', 'artist', 'album'];
+
+// Translations tried for each app language, first match wins; "*" matches any run of subtags.
+// Each field falls back on its own (an English title with a romanized artist is common), and
+// the original value is used when no translation has the field.
+//   en: English, then a romanization, which an English reader can at least sound out
+//   zh: simplified characters, then traditional, then any other Chinese
+const LOCALE_FALLBACKS = {
+  en: ['en', 'en-*', '*-Latn', '*-Latn-*'],
+  zh: ['zh-Hans', 'zh', 'zh-Hans-*', 'zh-CN', 'zh-SG', 'zh-Hant', 'zh-Hant-*', 'zh-TW', 'zh-HK', 'zh-MO', 'yue-Hant', 'yue']
+};
+
+// Languages songs keep sort keys for (the app languages)
+const SORT_LOCALES = Object.keys(LOCALE_FALLBACKS);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const FALLBACK_PATTERNS = Object.fromEntries(Object.entries(LOCALE_FALLBACKS).map(([locale, tags]) => [
+  locale,
+  tags.map(tag => new RegExp(`^${tag.split('*').map(escapeRegex).join('[A-Za-z0-9-]+')}$`, 'i'))
+]));
+
+// Turn a language tag into its standard form ("EN-us" -> "en-US"), or null if invalid
+const canonicalLanguageTag = (tag) => {
+  try {
+    const [canonical] = Intl.getCanonicalLocales(tag);
+    return canonical || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// The translations of a song in the order they are tried for a locale
+const translationsInFallbackOrder = (translations, locale) => {
+  const patterns = FALLBACK_PATTERNS[locale] || [];
+  const ordered = [];
+  patterns.forEach(pattern => {
+    translations.forEach(translation => {
+      if (pattern.test(translation.locale) && !ordered.includes(translation)) ordered.push(translation);
+    });
+  });
+  return ordered;
+};
+
+// The title, artist and album to show for a locale: { title, artist, album }
+const resolveSongFields = (song, locale) => {
+  const ordered = translationsInFallbackOrder(song.translations || [], locale);
+  const resolved = {};
+
+  TRANSLATED_FIELDS.forEach(field => {
+    const translation = ordered.find(candidate => candidate[field]);
+    resolved[field] = translation ? translation[field] : song[field];
+  });
+
+  return resolved;
+};
+
+// The keys a song sorts by in each app language: { en: { title, artist }, zh: { title, artist } }
+const buildSortKeys = (song) => Object.fromEntries(SORT_LOCALES.map(locale => {
+  const { title, artist } = resolveSongFields(song, locale);
+  return [locale, { title: sortKey(title), artist: sortKey(artist) }];
+}));
+
+// A song (document or plain object) as shown in a locale: title, artist and album are
+// translated where possible, and the original values are kept in `original`
+const localizeSong = (song, locale) => {
+  if (!song) return song;
+
+  const songData = typeof song.toJSON === 'function' ? song.toJSON() : song;
+  const resolved = resolveSongFields(songData, locale);
+
+  const localized = { ...songData, original: {} };
+  TRANSLATED_FIELDS.forEach(field => {
+    if (songData[field] === undefined) return;
+    localized.original[field] = songData[field];
+    localized[field] = resolved[field];
+  });
+  return localized;
+};
+
+const localizeSongs = (songs, locale) => songs.map(song => localizeSong(song, locale));
+
+module.exports = {
+  TRANSLATED_FIELDS,
+  LOCALE_FALLBACKS,
+  canonicalLanguageTag,
+  resolveSongFields,
+  buildSortKeys,
+  localizeSong,
+  localizeSongs
+};